@@ -78,9 +78,24 @@ function makeMetalsmithBuilder() {
   })).use(jsdoc({
     src: 'src/url.js',
     namespace: 'url'
+  })).use(jsdoc({
+    src: 'src/filterExpression.js',
+    namespace: 'filters'
   })).use(jsdoc({
     src: 'index.js',
     namespace: 'main'
+  })).use(jsdoc({
+    src: 'src/localClient/index.js',
+    namespace: 'localClient'
+  })).use(jsdoc({
+    src: 'src/recording.js',
+    namespace: 'recording'
+  })).use(jsdoc({
+    src: 'src/FederatedHelper/index.js',
+    namespace: 'federated'
+  })).use(jsdoc({
+    src: 'src/routers/index.js',
+    namespace: 'routers'
   })).use(inPlace({
     engine: 'handlebars',
     partials: 'documentation-src/metalsmith/partials',
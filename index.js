@@ -1,6 +1,7 @@
 'use strict';
 
 var AlgoliaSearchHelper = require('./src/algoliasearch.helper');
+var FederatedHelper = require('./src/FederatedHelper');
 
 var SearchParameters = require('./src/SearchParameters');
 var SearchResults = require('./src/SearchResults');
@@ -33,10 +34,11 @@ var SearchResults = require('./src/SearchResults');
  * @param  {AlgoliaSearch} client an AlgoliaSearch client
  * @param  {string} index the name of the index to query
  * @param  {SearchParameters|object} opts an object defining the initial config of the search. It doesn't have to be a {SearchParameters}, just an object containing the properties you need from it.
+ * @param  {AlgoliaSearchHelper.HelperOptions} [helperOptions] options changing the behavior of the helper itself
  * @return {AlgoliaSearchHelper}
  */
-function algoliasearchHelper(client, index, opts) {
-  return new AlgoliaSearchHelper(client, index, opts);
+function algoliasearchHelper(client, index, opts, helperOptions) {
+  return new AlgoliaSearchHelper(client, index, opts, helperOptions);
 }
 
 /**
@@ -53,6 +55,36 @@ algoliasearchHelper.version = require('./src/version.js');
  */
 algoliasearchHelper.AlgoliaSearchHelper = AlgoliaSearchHelper;
 
+/**
+ * Constructor for the federated search in several indices.
+ * @member module:algoliasearchHelper.FederatedHelper
+ * @type {FederatedHelper}
+ */
+algoliasearchHelper.FederatedHelper = FederatedHelper;
+
+/**
+ * Search in several indices at once, each with its own facets and refinements,
+ * in a single multi query.
+ * @member module:algoliasearchHelper.federated
+ * @param {AlgoliaSearch} client an AlgoliaSearch client
+ * @param {Object.<string, SearchParameters|object>} indices the initial
+ * parameters of each index, by index name
+ * @param {FederatedHelper.Options} [options] options of the federated search
+ * @return {FederatedHelper}
+ * @example
+ * var federated = algoliasearchHelper.federated(client, {
+ *   products: {disjunctiveFacets: ['brand']},
+ *   articles: {facets: ['category'], hitsPerPage: 3}
+ * });
+ * federated.on('result', function(results) {
+ *   console.log(results.products.nbHits, results.articles.nbHits);
+ * });
+ * federated.setQuery('phone').search();
+ */
+algoliasearchHelper.federated = function (client, indices, options) {
+  return new FederatedHelper(client, indices, options);
+};
+
 /**
  * Constructor for the object containing all the parameters of the search.
  * @member module:algoliasearchHelper.SearchParameters
@@ -76,4 +108,28 @@ algoliasearchHelper.SearchResults = SearchResults;
  */
 algoliasearchHelper.url = require('./src/url');
 
+/**
+ * Builders of filter expressions, to use with `addFilterExpression`.
+ * @member module:algoliasearchHelper.filters
+ * @type {object} {@link module:algoliasearchHelper.filters}
+ */
+algoliasearchHelper.filters = require('./src/filterExpression');
+
+/**
+ * Factory of clients searching in records kept in memory, for tests and demos
+ * that should work offline.
+ * @member module:algoliasearchHelper.createLocalClient
+ * @type {function} {@link createLocalClient}
+ */
+algoliasearchHelper.createLocalClient = require('./src/localClient');
+
+/**
+ * Factories of the routers keeping the state of a helper in the URL, to use
+ * with `helper.connectRouter`: `history` for the query string and `hash` for
+ * the hash of the URL.
+ * @member module:algoliasearchHelper.routers
+ * @type {object} {@link module:routers}
+ */
+algoliasearchHelper.routers = require('./src/routers');
+
 module.exports = algoliasearchHelper;
\ No newline at end of file
@@ -0,0 +1,11 @@
+'use strict';
+
+/**
+ * Entry point of the clients recording and replaying the responses of Algolia.
+ * They use the file system, so they only work in Node.js and are kept out of the
+ * main module, which is also built for the browsers.
+ * @example
+ * var recording = require('algoliasearch-helper/recording');
+ * var client = recording.replayClient('test/recordings');
+ */
+module.exports = require('./src/recording');
\ No newline at end of file
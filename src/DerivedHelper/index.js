@@ -3,6 +3,8 @@
 var util = require('util');
 var events = require('events');
 
+var has = require('lodash/has');
+
 /**
  * A DerivedHelper is a way to create sub requests to
  * Algolia from a main helper.
@@ -13,9 +15,10 @@ var events = require('events');
  *    This event contains a {@link SearchResults} object and the
  *    {@link SearchParameters} corresponding to this answer.
  */
-function DerivedHelper(mainHelper, fn) {
+function DerivedHelper(mainHelper, fn, options) {
   this.main = mainHelper;
   this.fn = fn;
+  this.followSortBy = !options || options.followSortBy !== false;
   this.lastResults = null;
 }
 
@@ -32,7 +35,15 @@ DerivedHelper.prototype.detach = function () {
 };
 
 DerivedHelper.prototype.getModifiedState = function (parameters) {
-  return this.fn(parameters);
+  var state = this.fn(parameters);
+  var label = parameters.getSortBy();
+
+  // only the states targeting one of their replicas follow the sort of the main helper
+  if (!this.followSortBy || label === undefined || state.getSortBy() === undefined || !has(state.sortBy, label)) {
+    return state;
+  }
+
+  return state.setSortBy(label);
 };
 
 module.exports = DerivedHelper;
\ No newline at end of file
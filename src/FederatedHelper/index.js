@@ -0,0 +1,287 @@
+'use strict';
+
+var util = require('util');
+var events = require('events');
+
+var assign = require('lodash/assign');
+var forEach = require('lodash/forEach');
+var isEmpty = require('lodash/isEmpty');
+var isEqual = require('lodash/isEqual');
+var keys = require('lodash/keys');
+var last = require('lodash/last');
+var pick = require('lodash/pick');
+var tail = require('lodash/tail');
+
+var AlgoliaSearchHelper = require('../algoliasearch.helper');
+var SearchParameters = require('../SearchParameters');
+
+/**
+ * Event triggered when the state of an index changed.
+ * @event FederatedHelper#event:change
+ * @property {string} index the name of the index
+ * @property {SearchParameters} state the new state of the index
+ */
+
+/**
+ * Event triggered when the search of all the indices is sent.
+ * @event FederatedHelper#event:search
+ * @property {Object.<string, SearchParameters>} states the states of the indices
+ */
+
+/**
+ * Event triggered when the results of all the indices are received.
+ * @event FederatedHelper#event:result
+ * @property {Object.<string, SearchResults>} results the results of each index
+ * @property {Object.<string, SearchParameters>} states the states used for the search
+ * @example
+ * federated.on('result', function(results) {
+ *   renderProducts(results.products.hits);
+ *   renderArticles(results.articles.hits);
+ * });
+ */
+
+/**
+ * Event triggered when the search failed.
+ * @event FederatedHelper#event:error
+ * @property {Error} error the error of the search
+ */
+
+/**
+ * Options of the federated search.
+ * @typedef FederatedHelper.Options
+ * @type {object}
+ * @property {string[]} [sharedParameters=['query', 'page']] the parameters that
+ * have the same value for all the indices
+ * @property {AlgoliaSearchHelper.HelperOptions} [helperOptions] options of the
+ * helper sending the searches, e.g. the cache or the retries
+ */
+
+/**
+ * Search in several indices at once, each with its own facets and
+ * refinements. The searches of all the indices are sent in a single multi
+ * query, and their results are received in a single `result` event.
+ *
+ * The first index is searched by an {@link AlgoliaSearchHelper}, available as
+ * `helper`, and the other ones by its derived helpers.
+ * @class
+ * @param {AlgoliaSearch} client an AlgoliaSearch client
+ * @param {Object.<string, SearchParameters|object>} indices the initial
+ * parameters of each index, by index name
+ * @param {FederatedHelper.Options} [options] options of the federated search
+ * @throws will throw an error if there is no index
+ */
+function FederatedHelper(client, indices, options) {
+  var self = this;
+  var names = keys(indices);
+  var opts = options || {};
+
+  if (isEmpty(names)) throw new Error('[Federated] At least one index is needed');
+
+  this.indices = names;
+  this.sharedParameters = opts.sharedParameters || ['query', 'page'];
+  this.lastResults = null;
+
+  this._states = {};
+  forEach(tail(names), function (name) {
+    self._states[name] = SearchParameters.make(assign({}, indices[name], {index: name}));
+  });
+
+  /**
+   * Helper searching the first index, and the other ones with its derived helpers
+   * @member {AlgoliaSearchHelper}
+   */
+  this.helper = new AlgoliaSearchHelper(client, names[0], assign({}, indices[names[0]]), opts.helperOptions);
+  this._derivedHelpers = {};
+
+  forEach(tail(names), function (name) {
+    self._derivedHelpers[name] = self.helper.derive(function (mainState) {
+      return self._states[name].setQueryParameters(pick(mainState, self.sharedParameters));
+    }, {followSortBy: false});
+  });
+
+  // all the results are dispatched at once, the last helper completes them
+  this._resultHelper = names.length > 1 ? this._derivedHelpers[last(names)] : this.helper;
+  this._listeners = {
+    search: function () {
+      self.emit('search', self.getStates());
+    },
+    error: function (err) {
+      self.emit('error', err);
+    },
+    result: function () {
+      var results = {};
+      var states = {};
+
+      forEach(names, function (name) {
+        var helper = name === names[0] ? self.helper : self._derivedHelpers[name];
+        results[name] = helper.lastResults;
+        states[name] = helper.lastResults._state;
+      });
+
+      self.lastResults = results;
+      self.emit('result', results, states);
+    }
+  };
+
+  this.helper.on('search', this._listeners.search);
+  this.helper.on('error', this._listeners.error);
+  this._resultHelper.on('result', this._listeners.result);
+}
+
+util.inherits(FederatedHelper, events.EventEmitter);
+
+/**
+ * Get the state of an index, with the shared parameters.
+ * @param {string} index the name of the index
+ * @return {SearchParameters} the state
+ * @throws will throw an error if the index is not searched
+ */
+FederatedHelper.prototype.getState = function (index) {
+  if (index === this.indices[0]) return this.helper.state;
+
+  var state = this._states[index];
+  if (!state) throw new Error('[Federated] Unknown index: ' + index);
+
+  return state.setQueryParameters(pick(this.helper.state, this.sharedParameters));
+};
+
+/**
+ * Get the states of all the indices, with the shared parameters.
+ * @return {Object.<string, SearchParameters>} the states, by index name
+ */
+FederatedHelper.prototype.getStates = function () {
+  var self = this;
+  var states = {};
+
+  forEach(this.indices, function (name) {
+    states[name] = self.getState(name);
+  });
+
+  return states;
+};
+
+/**
+ * Change the state of an index. The other indices are not changed, except
+ * for the shared parameters.
+ * @param {string} index the name of the index
+ * @param {function} fn SearchParameters -> SearchParameters, called with the
+ * current state of the index
+ * @return {FederatedHelper}
+ * @throws will throw an error if the index is not searched
+ * @fires change
+ * @chainable
+ * @example
+ * federated.update('products', function(state) {
+ *   return state.setPage(0).addDisjunctiveFacetRefinement('brand', 'Apple');
+ * }).search();
+ */
+FederatedHelper.prototype.update = function (index, fn) {
+  var previousState = this.getState(index);
+  var state = fn(previousState);
+  if (!(state instanceof SearchParameters)) state = new SearchParameters(state);
+
+  var shared = pick(state, this.sharedParameters);
+  var isSharedChanged = !isEqual(shared, pick(previousState, this.sharedParameters));
+
+  if (index === this.indices[0]) {
+    this.helper.setState(state);
+  } else {
+    this._states[index] = state;
+    if (isSharedChanged) this.helper.setState(this.helper.state.setQueryParameters(shared));
+  }
+
+  this._emitChange(index, isSharedChanged);
+
+  return this;
+};
+
+/**
+ * Change the state of all the indices.
+ * @private
+ * @param {function} fn SearchParameters -> SearchParameters
+ * @return {FederatedHelper}
+ */
+FederatedHelper.prototype._updateAll = function (fn) {
+  var self = this;
+
+  this.helper.setState(fn(this.helper.state));
+  forEach(tail(this.indices), function (name) {
+    self._states[name] = fn(self._states[name]);
+  });
+
+  this._emitChange(this.indices[0], true);
+
+  return this;
+};
+
+/**
+ * Emit the `change` events of an index, or of all of them when a shared
+ * parameter changed.
+ * @private
+ * @param {string} index the index changed
+ * @param {boolean} isSharedChanged if the shared parameters changed
+ * @return {undefined}
+ */
+FederatedHelper.prototype._emitChange = function (index, isSharedChanged) {
+  var self = this;
+
+  forEach(isSharedChanged ? this.indices : [index], function (name) {
+    self.emit('change', name, self.getState(name));
+  });
+};
+
+/**
+ * Set the query of all the indices. It resets their page to 0.
+ * @param {string} query the query
+ * @return {FederatedHelper}
+ * @fires change
+ * @chainable
+ */
+FederatedHelper.prototype.setQuery = function (query) {
+  return this._updateAll(function (state) {
+    return state.setPage(0).setQuery(query);
+  });
+};
+
+/**
+ * Set the page of all the indices.
+ * @param {number} page the page, starting at 0
+ * @return {FederatedHelper}
+ * @fires change
+ * @chainable
+ */
+FederatedHelper.prototype.setPage = function (page) {
+  return this._updateAll(function (state) {
+    return state.setPage(page);
+  });
+};
+
+/**
+ * Search in all the indices, with a single multi query.
+ * @return {FederatedHelper}
+ * @fires search
+ * @fires result
+ * @fires error
+ * @chainable
+ */
+FederatedHelper.prototype.search = function () {
+  this.helper.search();
+  return this;
+};
+
+/**
+ * Stop searching: remove the derived helpers, the listeners of the federated
+ * helper and the ones it added to `helper`.
+ * @return {undefined}
+ */
+FederatedHelper.prototype.detach = function () {
+  forEach(this._derivedHelpers, function (derivedHelper) {
+    derivedHelper.detach();
+  });
+  this.helper.removeListener('search', this._listeners.search);
+  this.helper.removeListener('error', this._listeners.error);
+  this._resultHelper.removeListener('result', this._listeners.result);
+  this.removeAllListeners();
+};
+
+module.exports = FederatedHelper;
\ No newline at end of file
@@ -0,0 +1,90 @@
+'use strict';
+
+var flatMap = require('lodash/flatMap');
+var range = require('lodash/range');
+
+/**
+ * Hits of the consecutive pages of a search, used to display them as an
+ * infinite list. The pages are kept while only the page of the search changes.
+ * @class
+ */
+function InfiniteHits() {
+  this.reset();
+}
+
+/**
+ * Key of the list of a state: the states only differing by their page share it.
+ * @param {SearchParameters} state the state of a search
+ * @return {string} the key of the list
+ */
+InfiniteHits.getKey = function getKey(state) {
+  return state.setPage(0).getHash();
+};
+
+/**
+ * Forget all the pages.
+ * @return {undefined}
+ */
+InfiniteHits.prototype.reset = function () {
+  this._key = null;
+  this._pages = {};
+
+  /**
+   * first page of the list, undefined when it is empty
+   * @member {number}
+   */
+  this.firstPage = undefined;
+  /**
+   * last page of the list, undefined when it is empty
+   * @member {number}
+   */
+  this.lastPage = undefined;
+};
+
+/**
+ * Forget the pages if the state describes another list.
+ * @param {SearchParameters} state the new state of the helper
+ * @return {undefined}
+ */
+InfiniteHits.prototype.sync = function (state) {
+  if (this._key !== null && this._key !== InfiniteHits.getKey(state)) this.reset();
+};
+
+/**
+ * Add the hits of a page. The list starts again from this page if the state
+ * describes another list, or if the page is not next to the pages of the list.
+ * @param {SearchParameters} state the state used for the search
+ * @param {object[]} hits the hits of the page
+ * @return {object[]} the hits of all the pages of the list
+ */
+InfiniteHits.prototype.add = function (state, hits) {
+  var key = InfiniteHits.getKey(state);
+  var page = state.page || 0;
+  var isNext = page >= this.firstPage - 1 && page <= this.lastPage + 1;
+
+  if (key !== this._key || !isNext) {
+    this.reset();
+    this._key = key;
+    this.firstPage = this.lastPage = page;
+  }
+
+  this._pages[page] = hits;
+  this.firstPage = Math.min(this.firstPage, page);
+  this.lastPage = Math.max(this.lastPage, page);
+
+  return this.getHits();
+};
+
+/**
+ * @return {object[]} the hits of all the pages of the list, in order
+ */
+InfiniteHits.prototype.getHits = function () {
+  if (this.firstPage === undefined) return [];
+
+  var pages = this._pages;
+  return flatMap(range(this.firstPage, this.lastPage + 1), function (page) {
+    return pages[page];
+  });
+};
+
+module.exports = InfiniteHits;
\ No newline at end of file
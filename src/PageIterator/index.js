@@ -0,0 +1,133 @@
+'use strict';
+
+var noop = require('lodash/noop');
+
+/**
+ * Iterator over the pages of a search, following the async iterator protocol so
+ * that it can be used with `for await`. Each call to `next` is resolved with the
+ * results of the following page. The first page is always yielded, the next ones
+ * until the last page of the results or until the maximum number of hits.
+ * @class
+ * @param {function(number): Promise.<SearchResults>} search searches a page
+ * @param {number} firstPage the first page to yield
+ * @param {object} [options] configuration of the iteration
+ * @param {number} [options.concurrency=1] maximum number of pages searched at the
+ * same time, the pages after the current one are searched in advance
+ * @param {number} [options.maxHits] maximum number of hits yielded, the hits of
+ * the last page are truncated to it
+ * @throws will throw an error if the concurrency or the maximum number of hits
+ * is not valid
+ */
+function PageIterator(search, firstPage, options) {
+  var opts = options || {};
+
+  this.concurrency = opts.concurrency === undefined ? 1 : opts.concurrency;
+  this.maxHits = opts.maxHits === undefined ? Infinity : opts.maxHits;
+
+  if (!(this.concurrency >= 1)) throw new Error('The concurrency of the iteration should be at least 1');
+  if (!(this.maxHits > 0)) throw new Error('The maximum number of hits of the iteration should be a positive number');
+
+  this._search = search;
+  this._nextPage = firstPage;
+  // unknown until the first page is received
+  this._lastPage = undefined;
+  this._lastRequestedPage = firstPage - 1;
+  this._requests = {};
+  this._hitsCount = 0;
+  this._done = false;
+  // the calls to next are chained so that the pages are yielded in order
+  this._queue = Promise.resolve();
+}
+
+/**
+ * Get the next page.
+ * @return {Promise.<{value: SearchResults, done: boolean}>} the results of the
+ * page, rejected with the error of its search
+ */
+PageIterator.prototype.next = function () {
+  var self = this;
+
+  var step = this._queue.then(function () {
+    return self._step();
+  });
+  this._queue = step.catch(noop);
+
+  return step;
+};
+
+/**
+ * Stop the iteration, the pages searched in advance are ignored. It is called
+ * when a `for await` loop is left early.
+ * @return {Promise.<{value: undefined, done: boolean}>}
+ */
+PageIterator.prototype.return = function () {
+  this._finish();
+  return Promise.resolve({value: undefined, done: true});
+};
+
+if (typeof Symbol === 'function' && Symbol.asyncIterator) {
+  PageIterator.prototype[Symbol.asyncIterator] = function () {
+    return this;
+  };
+}
+
+PageIterator.prototype._step = function () {
+  var self = this;
+
+  if (this._done || this._nextPage > this._lastPage) {
+    this._finish();
+    return {value: undefined, done: true};
+  }
+
+  this._requestPages();
+
+  var page = this._nextPage++;
+  var request = this._requests[page];
+  delete this._requests[page];
+
+  return request.then(function (results) {
+    if (self._lastPage === undefined) {
+      var pagesForMaxHits = Math.ceil(self.maxHits / results.hitsPerPage);
+      self._lastPage = Math.min(results.nbPages - 1, page + pagesForMaxHits - 1);
+    }
+
+    var remainingHits = self.maxHits - self._hitsCount;
+    if (results.hits.length > remainingHits) results.hits = results.hits.slice(0, remainingHits);
+
+    self._hitsCount += results.hits.length;
+    if (self._hitsCount >= self.maxHits) self._lastPage = page;
+
+    self._requestPages();
+
+    return {value: results, done: false};
+  }, function (err) {
+    self._finish();
+    throw err;
+  });
+};
+
+/*
+ * Search the pages that can be searched in advance. Until the first page is
+ * received, the number of pages is unknown: only the next page is searched.
+ */
+PageIterator.prototype._requestPages = function () {
+  if (this._done) return;
+
+  var limit = this._lastPage === undefined ?
+    this._nextPage :
+    Math.min(this._lastPage, this._nextPage + this.concurrency - 1);
+
+  while (this._lastRequestedPage < limit) {
+    var page = ++this._lastRequestedPage;
+    this._requests[page] = this._search(page);
+    // the failure is reported when the page is yielded
+    this._requests[page].catch(noop);
+  }
+};
+
+PageIterator.prototype._finish = function () {
+  this._done = true;
+  this._requests = {};
+};
+
+module.exports = PageIterator;
\ No newline at end of file
@@ -0,0 +1,99 @@
+'use strict';
+
+var indexOf = require('lodash/indexOf');
+var isEmpty = require('lodash/isEmpty');
+var map = require('lodash/map');
+
+var requestBuilder = require('../requestBuilder');
+
+/**
+ * A least recently used cache of the raw responses of the searches, keyed by
+ * the parameters used for those searches.
+ * @class
+ * @param {object} [options] configuration of the cache
+ * @param {number} [options.size=50] maximum number of responses stored
+ * @param {number} [options.ttl] time in milliseconds after which a response is
+ * no longer used. By default, the responses do not expire.
+ */
+function ResponseCache(options) {
+  var opts = options || {};
+
+  this.size = opts.size === undefined ? 50 : opts.size;
+  this.ttl = opts.ttl;
+
+  if (!(this.size > 0)) throw new Error('The size of the cache should be a positive number');
+
+  this._entries = {};
+  // Keys of the entries, from the least to the most recently used
+  this._keys = [];
+}
+
+/**
+ * Compute the key of a search, based on the hashes of the states used to build it.
+ * The date presets are relative to the current time: their resolved bounds are
+ * part of the key, so that a response is not used once the period has changed.
+ * @param {SearchParameters[]} states the states used to build the request
+ * @return {string} the key of the search
+ * @see SearchParameters#getHash
+ */
+ResponseCache.getKey = function getKey(states) {
+  return JSON.stringify(map(states, function (state) {
+    if (isEmpty(state.dateRefinements)) return state.getHash();
+    return [state.getHash(), requestBuilder._getDateFilters(state)];
+  }));
+};
+
+/**
+ * Read a response from the cache.
+ * @param {string} key the key of the search
+ * @return {object|undefined} the response, undefined if it is not in the cache or
+ * if it has expired
+ */
+ResponseCache.prototype.get = function (key) {
+  var entry = this._entries[key];
+  if (!entry) return undefined;
+
+  if (this.ttl !== undefined && Date.now() - entry.time > this.ttl) {
+    this._remove(key);
+    return undefined;
+  }
+
+  this._keys.splice(indexOf(this._keys, key), 1);
+  this._keys.push(key);
+
+  return entry.value;
+};
+
+/**
+ * Store a response in the cache, evicting the least recently used one if the
+ * cache is full.
+ * @param {string} key the key of the search
+ * @param {object} value the response
+ * @return {undefined}
+ */
+ResponseCache.prototype.set = function (key, value) {
+  if (this._entries[key]) this._remove(key);
+
+  this._entries[key] = {value: value, time: Date.now()};
+  this._keys.push(key);
+
+  while (this._keys.length > this.size) {
+    this._remove(this._keys[0]);
+  }
+};
+
+/**
+ * Remove all the responses from the cache.
+ * @return {undefined}
+ */
+ResponseCache.prototype.clear = function () {
+  this._entries = {};
+  this._keys = [];
+};
+
+ResponseCache.prototype._remove = function (key) {
+  delete this._entries[key];
+  this._keys.splice(indexOf(this._keys, key), 1);
+};
+
+module.exports = ResponseCache;
\ No newline at end of file
@@ -37,6 +37,11 @@ function filterState(state, filters) {
         if (!partialState.numericRefinements) partialState.numericRefinements = {};
         partialState.numericRefinements[attr] = state.numericRefinements[attr];
       }
+
+      if (state.isDateRefined(attr)) {
+        if (!partialState.dateRefinements) partialState.dateRefinements = {};
+        partialState.dateRefinements[attr] = state.dateRefinements[attr];
+      }
     });
   } else {
     if (!isEmpty(state.numericRefinements)) {
@@ -49,6 +54,8 @@ function filterState(state, filters) {
     if (!isEmpty(state.hierarchicalFacetsRefinements)) {
       partialState.hierarchicalFacetsRefinements = state.hierarchicalFacetsRefinements;
     }
+    if (!isEmpty(state.filterExpressions)) partialState.filterExpressions = state.filterExpressions;
+    if (!isEmpty(state.dateRefinements)) partialState.dateRefinements = state.dateRefinements;
   }
 
   var searchParameters = filter(filters, function (f) {
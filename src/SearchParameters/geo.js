@@ -0,0 +1,149 @@
+'use strict';
+
+/**
+ * Functions to convert the geo search parameters between their format in the
+ * Algolia API and structured objects.
+ * @module SearchParameters.geo
+ * @private
+ */
+
+var chunk = require('lodash/chunk');
+var every = require('lodash/every');
+var flatMap = require('lodash/flatMap');
+var forEach = require('lodash/forEach');
+var isArray = require('lodash/isArray');
+var isNumber = require('lodash/isNumber');
+var isString = require('lodash/isString');
+var map = require('lodash/map');
+
+/**
+ * Check that a point has valid coordinates
+ * @param {SearchParameters.GeoPoint} point the point to check
+ * @return {undefined}
+ * @throws will throw an error if the latitude or the longitude is not in its range
+ */
+function validatePoint(point) {
+  var isValid = point &&
+    isNumber(point.lat) && point.lat >= -90 && point.lat <= 90 &&
+    isNumber(point.lng) && point.lng >= -180 && point.lng <= 180;
+
+  if (!isValid) {
+    throw new Error('[Geo] A point should have a latitude between -90 and 90 and a longitude between -180 and 180, got: ' + JSON.stringify(point));
+  }
+}
+
+/*
+ * Numbers of a coordinates list, as a comma separated string or as an array
+ */
+function toNumbers(coordinates) {
+  var values = isString(coordinates) ? coordinates.split(',') : coordinates;
+  return map(values, parseFloat);
+}
+
+function toPoints(numbers) {
+  return map(chunk(numbers, 2), function (pair) {
+    return {lat: pair[0], lng: pair[1]};
+  });
+}
+
+/**
+ * Read a point in the format of `aroundLatLng`
+ * @param {string} latLng the latitude and the longitude separated by a comma
+ * @return {SearchParameters.GeoPoint} the point, undefined if not set
+ */
+function parseLatLng(latLng) {
+  if (!latLng) return undefined;
+  return toPoints(toNumbers(latLng))[0];
+}
+
+/**
+ * Format a point in the format of `aroundLatLng`
+ * @param {SearchParameters.GeoPoint} point the point
+ * @return {string}
+ */
+function formatLatLng(point) {
+  return point.lat + ',' + point.lng;
+}
+
+/*
+ * Groups of coordinates of `insideBoundingBox` and `insidePolygon`: an array
+ * of arrays, or a string for a single group. The bounding boxes can also be
+ * several groups in a single string.
+ */
+function toGroups(value, groupSize) {
+  if (!value) return [];
+  if (isArray(value) && every(value, isArray)) return map(value, toNumbers);
+  return groupSize ? chunk(toNumbers(value), groupSize) : [toNumbers(value)];
+}
+
+/**
+ * Read the bounding boxes of `insideBoundingBox`
+ * @param {string|number[][]} insideBoundingBox the parameter
+ * @return {SearchParameters.GeoBoundingBox[]} the boxes, empty if not set
+ */
+function parseBoundingBoxes(insideBoundingBox) {
+  return map(toGroups(insideBoundingBox, 4), function (numbers) {
+    var points = toPoints(numbers);
+    return {northEast: points[0], southWest: points[1]};
+  });
+}
+
+/**
+ * Format bounding boxes in the format of `insideBoundingBox`
+ * @param {SearchParameters.GeoBoundingBox[]} boxes the boxes
+ * @return {number[][]}
+ * @throws will throw an error if a box or a point is not valid
+ */
+function formatBoundingBoxes(boxes) {
+  return map(boxes, function (box) {
+    if (!box) throw new Error('[Geo] A bounding box should have a northEast and a southWest point');
+
+    validatePoint(box.northEast);
+    validatePoint(box.southWest);
+
+    if (box.northEast.lat < box.southWest.lat) {
+      throw new Error('[Geo] The northEast point of a bounding box should be north of the southWest point');
+    }
+
+    return [box.northEast.lat, box.northEast.lng, box.southWest.lat, box.southWest.lng];
+  });
+}
+
+/**
+ * Read the polygons of `insidePolygon`
+ * @param {string|number[][]} insidePolygon the parameter
+ * @return {SearchParameters.GeoPoint[][]} the polygons, empty if not set
+ */
+function parsePolygons(insidePolygon) {
+  return map(toGroups(insidePolygon), toPoints);
+}
+
+/**
+ * Format polygons in the format of `insidePolygon`
+ * @param {SearchParameters.GeoPoint[][]} polygons the polygons
+ * @return {number[][]}
+ * @throws will throw an error if a polygon has less than 3 points or if a point is not valid
+ */
+function formatPolygons(polygons) {
+  return map(polygons, function (polygon) {
+    if (!isArray(polygon) || polygon.length < 3) {
+      throw new Error('[Geo] A polygon should have at least 3 points');
+    }
+
+    forEach(polygon, validatePoint);
+
+    return flatMap(polygon, function (point) {
+      return [point.lat, point.lng];
+    });
+  });
+}
+
+module.exports = {
+  validatePoint: validatePoint,
+  parseLatLng: parseLatLng,
+  formatLatLng: formatLatLng,
+  parseBoundingBoxes: parseBoundingBoxes,
+  formatBoundingBoxes: formatBoundingBoxes,
+  parsePolygons: parsePolygons,
+  formatPolygons: formatPolygons
+};
\ No newline at end of file
@@ -2,12 +2,14 @@
 
 var keys = require('lodash/keys');
 var intersection = require('lodash/intersection');
+var difference = require('lodash/difference');
 var forOwn = require('lodash/forOwn');
 var forEach = require('lodash/forEach');
 var filter = require('lodash/filter');
 var map = require('lodash/map');
 var reduce = require('lodash/reduce');
 var omit = require('lodash/omit');
+var omitBy = require('lodash/omitBy');
 var indexOf = require('lodash/indexOf');
 var isNaN = require('lodash/isNaN');
 var isArray = require('lodash/isArray');
@@ -15,18 +17,29 @@ var isEmpty = require('lodash/isEmpty');
 var isEqual = require('lodash/isEqual');
 var isUndefined = require('lodash/isUndefined');
 var isString = require('lodash/isString');
+var isNumber = require('lodash/isNumber');
 var isFunction = require('lodash/isFunction');
+var isPlainObject = require('lodash/isPlainObject');
 var find = require('lodash/find');
+var findKey = require('lodash/findKey');
+var every = require('lodash/every');
+var has = require('lodash/has');
 var trim = require('lodash/trim');
 
 var defaults = require('lodash/defaults');
 var merge = require('lodash/merge');
+var assign = require('lodash/assign');
+var mapValues = require('lodash/mapValues');
 
 var valToNumber = require('../functions/valToNumber');
+var resolveDateRefinement = require('../functions/resolveDateRefinement');
 
 var filterState = require('./filterState');
+var filterExpression = require('../filterExpression');
 
 var RefinementList = require('./RefinementList');
+var statePatch = require('./patch');
+var geo = require('./geo');
 
 /**
  * like _.find but using _.isEqual to be able to use it
@@ -42,6 +55,84 @@ function findArray(array, searchedValue) {
   });
 }
 
+/**
+ * Attributes storing the refinements, the order of their values is not
+ * meaningful.
+ * @private
+ */
+var REFINEMENT_ATTRIBUTES = [
+  'facetsRefinements',
+  'facetsExcludes',
+  'disjunctiveFacetsRefinements',
+  'hierarchicalFacetsRefinements',
+  'numericRefinements',
+  'tagRefinements'
+];
+
+/**
+ * Make a canonical copy of a state: the keys and the values of the refinements
+ * are sorted, the empty values are removed, the facet values are strings and the
+ * numbers are parsed.
+ * @private
+ * @param {SearchParameters} state the state to normalize
+ * @return {object} the normalized copy
+ */
+function normalizeState(state) {
+  var parsed = SearchParameters._parseNumbers(merge({}, state));
+
+  forEach(REFINEMENT_ATTRIBUTES, function (attribute) {
+    if (attribute === 'numericRefinements') return;
+    parsed[attribute] = normalizeFacetValues(parsed[attribute]);
+  });
+
+  return normalizeValue(parsed, false, REFINEMENT_ATTRIBUTES);
+}
+
+function normalizeFacetValues(value) {
+  if (isArray(value)) {
+    return map(value, function (v) {
+      return '' + v;
+    });
+  }
+
+  if (!isPlainObject(value)) return value;
+
+  var normalized = {};
+  forOwn(value, function (v, k) {
+    normalized[k] = normalizeFacetValues(v);
+  });
+  return normalized;
+}
+
+function normalizeValue(value, sortArrays, sortedAttributes) {
+  if (isArray(value)) {
+    var values = map(value, function (v) {
+      return normalizeValue(v, sortArrays);
+    });
+    return sortArrays ? values.sort(compareJSON) : values;
+  }
+
+  if (!isPlainObject(value)) return value;
+
+  var normalized = {};
+  forEach(keys(value).sort(), function (key) {
+    var sortValues = sortArrays || indexOf(sortedAttributes, key) !== -1;
+    var v = normalizeValue(value[key], sortValues);
+
+    if (isUndefined(v) || (isArray(v) || isPlainObject(v)) && isEmpty(v)) return;
+
+    normalized[key] = v;
+  });
+  return normalized;
+}
+
+function compareJSON(a, b) {
+  var aJSON = JSON.stringify(a);
+  var bJSON = JSON.stringify(b);
+  if (aJSON === bJSON) return 0;
+  return aJSON < bJSON ? -1 : 1;
+}
+
 /**
  * The facet list is the structure used to store the list of values used to
  * filter a single attribute.
@@ -54,6 +145,98 @@ function findArray(array, searchedValue) {
  * @typedef {Object.<string, Array.<number|number[]>>} SearchParameters.OperatorList
  */
 
+/**
+ * Range of values of a numeric attribute. A bound that is not defined leaves
+ * the range open on that side.
+ * @typedef {object} SearchParameters.NumericRange
+ * @property {number} [min] the lower bound
+ * @property {number} [max] the upper bound
+ * @property {boolean} [minInclusive=true] if the lower bound is in the range
+ * @property {boolean} [maxInclusive=true] if the upper bound is in the range
+ */
+
+/*
+ * Operators used by the bounds of a numeric range
+ */
+var RANGE_OPERATORS = ['>=', '>', '<=', '<'];
+
+/**
+ * Refinement of a date attribute, either a range between two dates or a
+ * preset relative to the time of the search: `today`, `yesterday`,
+ * `last7days`, `last30days`, `thisWeek`, `thisMonth`, `lastMonth` or
+ * `thisYear`. The dates are stored in milliseconds since the epoch.
+ * @typedef {object} SearchParameters.DateRefinement
+ * @property {number} [from] the first date of the range, included
+ * @property {number} [to] the last date of the range, included
+ * @property {string} [preset] the name of the preset
+ * @property {string} [timezone] the IANA timezone of the preset (e.g.
+ * `Europe/Paris`), the local one if not set
+ */
+
+/**
+ * A point on the globe.
+ * @typedef {object} SearchParameters.GeoPoint
+ * @property {number} lat the latitude, between -90 and 90
+ * @property {number} lng the longitude, between -180 and 180
+ */
+
+/**
+ * A rectangle, defined by two opposite corners.
+ * @typedef {object} SearchParameters.GeoBoundingBox
+ * @property {SearchParameters.GeoPoint} northEast the north east corner
+ * @property {SearchParameters.GeoPoint} southWest the south west corner
+ */
+
+/**
+ * An area around a point.
+ * @typedef {object} SearchParameters.GeoCircle
+ * @property {SearchParameters.GeoPoint} center the center of the search
+ * @property {number|string} [radius] the radius in meters, `'all'` to not limit
+ * the results, or undefined for a radius computed by Algolia
+ */
+
+/*
+ * Modes of the geo search, with the parameters that enable them. Only one
+ * mode can be used at a time: Algolia ignores the other ones.
+ */
+var GEO_MODES = {
+  circle: ['aroundLatLng', 'aroundLatLngViaIP'],
+  'bounding box': ['insideBoundingBox'],
+  polygon: ['insidePolygon']
+};
+
+/*
+ * Throw if a geo mode other than `mode` is used by the state
+ */
+function checkGeoMode(state, mode) {
+  forOwn(GEO_MODES, function (parameters, otherMode) {
+    if (otherMode === mode) return;
+
+    forEach(parameters, function (parameter) {
+      if (!isUndefined(state[parameter])) {
+        throw new Error('[Geo] Cannot combine a ' + mode + ' with a ' + otherMode + ' (' + parameter + '),' + ' clear the geo search first with clearGeo.');
+      }
+    });
+  });
+}
+
+/*
+ * Convert a date, a date string or a number of milliseconds since the epoch
+ */
+function toTimestamp(date) {
+  if (date === undefined || date === null) return undefined;
+
+  var timestamp = date;
+  if (date instanceof Date) timestamp = date.getTime();
+  if (isString(date)) timestamp = Date.parse(date);
+
+  if (typeof timestamp !== 'number' || isNaN(timestamp)) {
+    throw new Error('[Date refinement] Invalid date: ' + date);
+  }
+
+  return timestamp;
+}
+
 /**
  * SearchParameters is the data structure that contains all the information
  * usable for making a search to Algolia API. It doesn't do the search itself,
@@ -97,6 +280,15 @@ function SearchParameters(newParameters) {
    * @member {string}
    */
   this.index = params.index || '';
+  /**
+   * Labels of the sort orders, mapped to the names of the replica indices
+   * that implement them. With this mapping, the index can be changed with
+   * `setSortBy` and is written as its label in the URL.
+   * @member {Object.<string, string>}
+   * @example
+   * {relevance: 'products', price_asc: 'products_price_asc'}
+   */
+  this.sortBy = params.sortBy;
 
   // Query
   /**
@@ -206,6 +398,29 @@ function SearchParameters(newParameters) {
    * @member {Object.<string, SearchParameters.FacetList>}
    */
   this.hierarchicalFacetsRefinements = params.hierarchicalFacetsRefinements || {};
+  /**
+   * This attribute contains the filter expressions, combining filters on
+   * several attributes. All the expressions should match.
+   *
+   * When querying algolia, they are compiled into the `filters` attribute.
+   * @member {algoliasearchHelper.filters.FilterExpression[]}
+   */
+  this.filterExpressions = params.filterExpressions || [];
+  /**
+   * This attribute contains the refinements of the date attributes, one
+   * for each attribute.
+   *
+   * When querying algolia, they are resolved into numeric filters with the
+   * unit of `timestampUnit`. The presets are resolved at the time of the query.
+   * @member {Object.<string, SearchParameters.DateRefinement>}
+   */
+  this.dateRefinements = params.dateRefinements || {};
+  /**
+   * Unit of the timestamps stored in the date attributes of the records,
+   * seconds (`'s'`, the default) or milliseconds (`'ms'`).
+   * @member {string}
+   */
+  this.timestampUnit = params.timestampUnit;
 
   /**
    * Contains the numeric filters in the raw format of the Algolia API. Setting
@@ -237,6 +452,21 @@ function SearchParameters(newParameters) {
    * @member {string}
    */
   this.optionalFacetFilters = params.optionalFacetFilters;
+  /**
+   * Contains a filter expression in the `filters` format of the Algolia API.
+   * With the `filters` format, it is combined with the refinements.
+   * @see https://www.algolia.com/doc/rest#param-filters
+   * @member {string}
+   */
+  this.filters = params.filters;
+  /**
+   * Format in which the refinements are sent to Algolia. By default
+   * (`'facetFilters'`), they are sent as `facetFilters`, `numericFilters` and
+   * `tagFilters`. With `'filters'`, they are compiled into a single `filters`
+   * expression, combined with the `filters` parameter.
+   * @member {string}
+   */
+  this.filtersFormat = params.filtersFormat;
 
   // Misc. parameters
   /**
@@ -510,6 +740,15 @@ SearchParameters._parseNumbers = function (partialState) {
     });
   }
 
+  // same for the array format of insidePolygon
+  if (Array.isArray(partialState.insidePolygon)) {
+    numbers.insidePolygon = partialState.insidePolygon.map(function (polygon) {
+      return polygon.map(function (value) {
+        return parseFloat(value);
+      });
+    });
+  }
+
   if (partialState.numericRefinements) {
     var numericRefinements = {};
     forEach(partialState.numericRefinements, function (operators, attribute) {
@@ -534,9 +773,35 @@ SearchParameters._parseNumbers = function (partialState) {
     numbers.numericRefinements = numericRefinements;
   }
 
+  if (partialState.dateRefinements) {
+    numbers.dateRefinements = mapValues(partialState.dateRefinements, function (refinement) {
+      return mapValues(refinement, function (value, key) {
+        return (key === 'from' || key === 'to') && isString(value) ? parseFloat(value) : value;
+      });
+    });
+  }
+
   return merge({}, partialState, numbers);
 };
 
+/**
+ * Compute the operations that transform a state into another one. The facet
+ * values are compared as strings and the numeric values as numbers, like in
+ * `isEqual`.
+ * @param {SearchParameters} previous the initial state
+ * @param {SearchParameters} next the final state
+ * @return {SearchParameters.PatchOperation[]} the operations to apply to `previous`
+ * to get `next`, empty if there is no difference
+ * @example
+ * var previous = new SearchParameters({facets: ['brand'], query: 'tv'});
+ * var next = previous.addFacetRefinement('brand', 'Apple');
+ * SearchParameters.diff(previous, next);
+ * // [
+ * //   {op: 'addRefinement', type: 'conjunctiveFacet', attribute: 'brand', value: 'Apple'}
+ * // ]
+ */
+SearchParameters.diff = statePatch.diff;
+
 /**
  * Factory for SearchParameters
  * @param {object|SearchParameters} newParameters existing parameters or partial
@@ -586,10 +851,42 @@ SearchParameters.validate = function (currentState, parameters) {
     return new Error("[Numeric filters] Can't switch from the advanced to the managed API. It" + ' is probably an error, if this is really what you want, you have to first' + ' clear the numeric filters.');
   }
 
+  if (currentState.numericFilters && params.dateRefinements && !isEmpty(params.dateRefinements)) {
+    return new Error("[Date refinement] Can't use the date refinements with the advanced numeric filters API." + ' You have to first clear the numeric filters.');
+  }
+
+  if (!isEmpty(currentState.dateRefinements) && params.numericFilters) {
+    return new Error("[Date refinement] Can't use the advanced numeric filters API with date refinements." + ' You have to first clear the date refinements.');
+  }
+
+  if (params.sortBy !== undefined && !(isPlainObject(params.sortBy) && every(params.sortBy, isString))) {
+    return new Error('[Sort by] The sortBy parameter should map the labels to index names, got: ' + JSON.stringify(params.sortBy));
+  }
+
+  if (params.timestampUnit !== undefined && params.timestampUnit !== 's' && params.timestampUnit !== 'ms') {
+    return new Error("[Date refinement] The timestamp unit should be 's' or 'ms', got: " + params.timestampUnit);
+  }
+
   if (!isEmpty(currentState.numericRefinements) && params.numericFilters) {
     return new Error("[Numeric filters] Can't switch from the managed API to the advanced. It" + ' is probably an error, if this is really what you want, you have to first' + ' clear the numeric filters.');
   }
 
+  if (params.filtersFormat !== undefined && params.filtersFormat !== 'facetFilters' && params.filtersFormat !== 'filters') {
+    return new Error("[Filters format] The format should be 'facetFilters' or 'filters', got: " + params.filtersFormat);
+  }
+
+  var expressionError = null;
+  forEach(params.filterExpressions, function (expression) {
+    try {
+      filterExpression.validate(expression);
+    } catch (e) {
+      expressionError = e;
+      return false;
+    }
+    return undefined;
+  });
+  if (expressionError) return expressionError;
+
   return null;
 };
 
@@ -609,12 +906,13 @@ SearchParameters.prototype = {
     var clear = RefinementList.clearRefinement;
     var patch = {
       numericRefinements: this._clearNumericRefinements(attribute),
+      dateRefinements: this._clearDateRefinements(attribute),
       facetsRefinements: clear(this.facetsRefinements, attribute, 'conjunctiveFacet'),
       facetsExcludes: clear(this.facetsExcludes, attribute, 'exclude'),
       disjunctiveFacetsRefinements: clear(this.disjunctiveFacetsRefinements, attribute, 'disjunctiveFacet'),
       hierarchicalFacetsRefinements: clear(this.hierarchicalFacetsRefinements, attribute, 'hierarchicalFacet')
     };
-    if (patch.numericRefinements === this.numericRefinements && patch.facetsRefinements === this.facetsRefinements && patch.facetsExcludes === this.facetsExcludes && patch.disjunctiveFacetsRefinements === this.disjunctiveFacetsRefinements && patch.hierarchicalFacetsRefinements === this.hierarchicalFacetsRefinements) {
+    if (patch.numericRefinements === this.numericRefinements && patch.dateRefinements === this.dateRefinements && patch.facetsRefinements === this.facetsRefinements && patch.facetsExcludes === this.facetsExcludes && patch.disjunctiveFacetsRefinements === this.disjunctiveFacetsRefinements && patch.hierarchicalFacetsRefinements === this.hierarchicalFacetsRefinements) {
       return this;
     }
     return this.setQueryParameters(patch);
@@ -645,6 +943,37 @@ SearchParameters.prototype = {
       index: index
     });
   },
+  /**
+   * Target the replica index of a sort order defined in `sortBy`.
+   * @method
+   * @param {string} label the label of the sort order
+   * @return {SearchParameters}
+   * @throws will throw an error if the label is not in `sortBy`
+   * @example
+   * state.setQueryParameter('sortBy', {relevance: 'products', price_asc: 'products_price_asc'})
+   *   .setSortBy('price_asc')
+   *   .index; // 'products_price_asc'
+   */
+  setSortBy: function setSortBy(label) {
+    if (!this.sortBy || !has(this.sortBy, label)) {
+      throw new Error('[Sort by] Unknown sort label: ' + label + ', the labels are: ' + keys(this.sortBy).join(', '));
+    }
+
+    return this.setIndex(this.sortBy[label]);
+  },
+  /**
+   * Get the label of the sort order of the current index, as defined in
+   * `sortBy`.
+   * @method
+   * @return {string} the label, or undefined if the index is not in `sortBy`
+   */
+  getSortBy: function getSortBy() {
+    var index = this.index;
+
+    return findKey(this.sortBy, function (replica) {
+      return replica === index;
+    });
+  },
   /**
    * Query setter
    * @method
@@ -856,6 +1185,347 @@ SearchParameters.prototype = {
   getNumericRefinement: function getNumericRefinement(attribute, operator) {
     return this.numericRefinements[attribute] && this.numericRefinements[attribute][operator];
   },
+  /**
+   * Return the range set on a numeric attribute with the operators `>=`, `>`,
+   * `<=` and `<`. If there are several refinements for a bound, the most
+   * restrictive one is returned.
+   * @method
+   * @param {string} attribute the numeric attribute
+   * @return {SearchParameters.NumericRange} the range, or undefined if there is
+   * neither a lower nor an upper bound
+   */
+  getNumericRange: function getNumericRange(attribute) {
+    var refinements = this.getNumericRefinements(attribute);
+    var range = {min: undefined, max: undefined, minInclusive: undefined, maxInclusive: undefined};
+
+    forEach(['>=', '>'], function (operator) {
+      forEach(refinements[operator], function (value) {
+        if (isArray(value)) return;
+        if (range.min === undefined || value > range.min || value === range.min && operator === '>') {
+          range.min = value;
+          range.minInclusive = operator === '>=';
+        }
+      });
+    });
+
+    forEach(['<=', '<'], function (operator) {
+      forEach(refinements[operator], function (value) {
+        if (isArray(value)) return;
+        if (range.max === undefined || value < range.max || value === range.max && operator === '<') {
+          range.max = value;
+          range.maxInclusive = operator === '<=';
+        }
+      });
+    });
+
+    if (range.min === undefined && range.max === undefined) return undefined;
+    return range;
+  },
+  /**
+   * Set the range of a numeric attribute, replacing the refinements with the
+   * operators `>=`, `>`, `<=` and `<` of this attribute. The other numeric
+   * refinements are kept.
+   * @method
+   * @param {string} attribute the numeric attribute
+   * @param {SearchParameters.NumericRange} range the range, without bounds to remove it
+   * @return {SearchParameters}
+   * @throws will throw an error if a bound is not a number or if the range is empty
+   * @example
+   * // 10 <= price < 100
+   * state.setNumericRange('price', {min: 10, max: 100, maxInclusive: false});
+   * // price > 10
+   * state.setNumericRange('price', {min: 10, minInclusive: false});
+   */
+  setNumericRange: function setNumericRange(attribute, range) {
+    var r = range || {};
+    var min = r.min === undefined || r.min === null ? undefined : valToNumber(r.min);
+    var max = r.max === undefined || r.max === null ? undefined : valToNumber(r.max);
+
+    if (isNaN(min) || isNaN(max) || isArray(min) || isArray(max)) {
+      throw new Error('[Numeric range] The bounds of the range of ' + attribute + ' should be numbers');
+    }
+
+    var normalizedRange = {
+      min: min,
+      max: max,
+      minInclusive: min === undefined ? undefined : r.minInclusive !== false,
+      maxInclusive: max === undefined ? undefined : r.maxInclusive !== false
+    };
+
+    if (min !== undefined && max !== undefined && (min > max || min === max && !(normalizedRange.minInclusive && normalizedRange.maxInclusive))) {
+      throw new Error('[Numeric range] The range of ' + attribute + ' is empty: ' + JSON.stringify(normalizedRange));
+    }
+
+    if (isEqual(normalizedRange, this.getNumericRange(attribute))) return this;
+
+    var state = this.clearNumericRange(attribute);
+
+    if (min !== undefined) {
+      state = state.addNumericRefinement(attribute, normalizedRange.minInclusive ? '>=' : '>', min);
+    }
+
+    if (max !== undefined) {
+      state = state.addNumericRefinement(attribute, normalizedRange.maxInclusive ? '<=' : '<', max);
+    }
+
+    return state;
+  },
+  /**
+   * Set the range of a numeric attribute to a bucket of
+   * {@link SearchResults#getNumericHistogram}, or remove it if it is already the
+   * range of the attribute.
+   * @method
+   * @param {string} attribute the numeric attribute
+   * @param {SearchResults.NumericBucket} bucket the bucket to refine on
+   * @return {SearchParameters}
+   */
+  toggleNumericBucket: function toggleNumericBucket(attribute, bucket) {
+    var state = this.setNumericRange(attribute, {
+      min: bucket.min,
+      max: bucket.max,
+      minInclusive: bucket.minInclusive,
+      maxInclusive: bucket.maxInclusive
+    });
+
+    return state === this ? this.clearNumericRange(attribute) : state;
+  },
+  /**
+   * Remove the range of a numeric attribute: the refinements with the operators
+   * `>=`, `>`, `<=` and `<`. The other numeric refinements are kept.
+   * @method
+   * @param {string} attribute the numeric attribute
+   * @return {SearchParameters}
+   */
+  clearNumericRange: function clearNumericRange(attribute) {
+    if (!this.getNumericRange(attribute)) return this;
+
+    return this.setQueryParameters({
+      numericRefinements: this._clearNumericRefinements(function (value, key) {
+        return key === attribute && indexOf(RANGE_OPERATORS, value.op) !== -1 && !isArray(value.val);
+      })
+    });
+  },
+  /**
+   * Refine a date attribute on the dates between `from` and `to`, both
+   * included. It replaces the previous date refinement of the attribute.
+   * @method
+   * @param {string} attribute the date attribute
+   * @param {Date|number|string} [from] the first date, as a date, a number of
+   * milliseconds since the epoch or a date string. The range is open if not set.
+   * @param {Date|number|string} [to] the last date, in the same formats
+   * @return {SearchParameters}
+   * @throws will throw an error if a date is invalid or if there is no date
+   * @example
+   * state.addDateRangeRefinement('created_at', new Date(2020, 0, 1), '2020-06-30T23:59:59');
+   */
+  addDateRangeRefinement: function addDateRangeRefinement(attribute, from, to) {
+    var refinement = {};
+    var fromTime = toTimestamp(from);
+    var toTime = toTimestamp(to);
+
+    if (fromTime === undefined && toTime === undefined) {
+      throw new Error('[Date refinement] The range of ' + attribute + ' needs at least one date');
+    }
+
+    if (fromTime !== undefined) refinement.from = fromTime;
+    if (toTime !== undefined) refinement.to = toTime;
+
+    return this._setDateRefinement(attribute, refinement);
+  },
+  /**
+   * Refine a date attribute with a preset, relative to the time of the search.
+   * The preset is resolved each time the query is sent, so it is still correct
+   * when the state is restored later. It replaces the previous date refinement
+   * of the attribute.
+   * @method
+   * @param {string} attribute the date attribute
+   * @param {string} preset `today`, `yesterday`, `last7days`, `last30days`,
+   * `thisWeek`, `thisMonth`, `lastMonth` or `thisYear`
+   * @param {string} [timezone] the IANA timezone in which the days start, the
+   * local one if not set
+   * @return {SearchParameters}
+   * @throws will throw an error if the preset or the timezone is unknown
+   * @example
+   * state.addDatePresetRefinement('created_at', 'last7days', 'Europe/Paris');
+   */
+  addDatePresetRefinement: function addDatePresetRefinement(attribute, preset, timezone) {
+    var refinement = {preset: preset};
+    if (timezone !== undefined) refinement.timezone = timezone;
+
+    resolveDateRefinement(refinement, Date.now());
+
+    return this._setDateRefinement(attribute, refinement);
+  },
+  /**
+   * Replace the date refinement of an attribute.
+   * @method
+   * @private
+   * @param {string} attribute the date attribute
+   * @param {SearchParameters.DateRefinement} refinement the new refinement
+   * @return {SearchParameters}
+   */
+  _setDateRefinement: function _setDateRefinement(attribute, refinement) {
+    if (isEqual(this.dateRefinements[attribute], refinement)) return this;
+
+    var dateRefinements = assign({}, this.dateRefinements);
+    dateRefinements[attribute] = refinement;
+
+    return this.setQueryParameters({
+      dateRefinements: dateRefinements
+    });
+  },
+  /**
+   * Remove the date refinement of an attribute.
+   * @method
+   * @param {string} attribute the date attribute
+   * @return {SearchParameters}
+   */
+  removeDateRefinement: function removeDateRefinement(attribute) {
+    if (!this.isDateRefined(attribute)) return this;
+
+    return this.setQueryParameters({
+      dateRefinements: this._clearDateRefinements(attribute)
+    });
+  },
+  /**
+   * Get the date refinement of an attribute, as it is stored: the presets are
+   * not resolved.
+   * @method
+   * @param {string} attribute the date attribute
+   * @return {SearchParameters.DateRefinement} the refinement, or undefined if
+   * the attribute is not refined
+   */
+  getDateRefinement: function getDateRefinement(attribute) {
+    return this.dateRefinements[attribute];
+  },
+  /**
+   * Test if a date attribute is refined.
+   * @method
+   * @param {string} attribute the date attribute
+   * @return {boolean}
+   */
+  isDateRefined: function isDateRefined(attribute) {
+    return !!this.dateRefinements[attribute];
+  },
+  /**
+   * Search around a point, in a radius. It replaces the previous center, and
+   * the search around the position of the user IP.
+   * @method
+   * @param {SearchParameters.GeoPoint} center the center of the search
+   * @param {number|string} [radius] the radius in meters, `'all'` to not limit
+   * the results, or undefined for a radius computed by Algolia
+   * @return {SearchParameters}
+   * @throws will throw an error if the parameters are not valid or if a bounding
+   * box or a polygon is set
+   * @example
+   * state.setGeoCircle({lat: 48.8566, lng: 2.3522}, 1000);
+   */
+  setGeoCircle: function setGeoCircle(center, radius) {
+    geo.validatePoint(center);
+
+    if (!isUndefined(radius) && radius !== 'all' && !(isNumber(radius) && radius > 0)) {
+      throw new Error("[Geo] The radius should be a positive number of meters or 'all', got: " + radius);
+    }
+
+    checkGeoMode(this, 'circle');
+
+    return this.setQueryParameters({
+      aroundLatLng: geo.formatLatLng(center),
+      aroundLatLngViaIP: undefined,
+      aroundRadius: radius
+    });
+  },
+  /**
+   * Get the point and the radius of the search around a point.
+   * @method
+   * @return {SearchParameters.GeoCircle} the circle, or undefined if there is
+   * no center
+   */
+  getGeoCircle: function getGeoCircle() {
+    if (!this.aroundLatLng) return undefined;
+
+    return {center: geo.parseLatLng(this.aroundLatLng), radius: this.aroundRadius};
+  },
+  /**
+   * Search inside rectangles. It replaces the previous ones.
+   * @method
+   * @param {SearchParameters.GeoBoundingBox[]} boxes the rectangles, the results
+   * can be in any of them. An empty list removes the rectangles.
+   * @return {SearchParameters}
+   * @throws will throw an error if a rectangle is not valid or if a circle or a
+   * polygon is set
+   * @example
+   * state.setGeoBoundingBoxes([{
+   *   northEast: {lat: 48.9, lng: 2.4},
+   *   southWest: {lat: 48.8, lng: 2.3}
+   * }]);
+   */
+  setGeoBoundingBoxes: function setGeoBoundingBoxes(boxes) {
+    var insideBoundingBox = geo.formatBoundingBoxes(boxes);
+
+    checkGeoMode(this, 'bounding box');
+
+    return this.setQueryParameters({
+      insideBoundingBox: insideBoundingBox.length > 0 ? insideBoundingBox : undefined
+    });
+  },
+  /**
+   * Get the rectangles of the geo search.
+   * @method
+   * @return {SearchParameters.GeoBoundingBox[]} the rectangles, empty if not set
+   */
+  getGeoBoundingBoxes: function getGeoBoundingBoxes() {
+    return geo.parseBoundingBoxes(this.insideBoundingBox);
+  },
+  /**
+   * Search inside polygons. It replaces the previous ones.
+   * @method
+   * @param {Array.<SearchParameters.GeoPoint[]>} polygons the polygons, each of
+   * at least 3 points. The results can be in any of them. An empty list removes
+   * the polygons.
+   * @return {SearchParameters}
+   * @throws will throw an error if a polygon is not valid or if a circle or a
+   * bounding box is set
+   * @example
+   * state.setGeoPolygons([[{lat: 0, lng: 0}, {lat: 1, lng: 0}, {lat: 1, lng: 1}]]);
+   */
+  setGeoPolygons: function setGeoPolygons(polygons) {
+    var insidePolygon = geo.formatPolygons(polygons);
+
+    checkGeoMode(this, 'polygon');
+
+    return this.setQueryParameters({
+      insidePolygon: insidePolygon.length > 0 ? insidePolygon : undefined
+    });
+  },
+  /**
+   * Get the polygons of the geo search.
+   * @method
+   * @return {Array.<SearchParameters.GeoPoint[]>} the polygons, empty if not set
+   */
+  getGeoPolygons: function getGeoPolygons() {
+    return geo.parsePolygons(this.insidePolygon);
+  },
+  /**
+   * Remove the geo search: the circle, the search around the user IP, the
+   * rectangles and the polygons. The precision settings are kept.
+   * @method
+   * @return {SearchParameters}
+   */
+  clearGeo: function clearGeo() {
+    var geoParameters = ['aroundLatLng', 'aroundLatLngViaIP', 'aroundRadius', 'insideBoundingBox', 'insidePolygon'];
+    var state = this;
+
+    var isSet = find(geoParameters, function (parameter) {
+      return !isUndefined(state[parameter]);
+    });
+    if (!isSet) return this;
+
+    return this.setQueryParameters(reduce(geoParameters, function (params, parameter) {
+      params[parameter] = undefined;
+      return params;
+    }, {}));
+  },
   /**
    * Clear numeric filters.
    * @method
@@ -899,6 +1569,32 @@ SearchParameters.prototype = {
       return this.numericRefinements;
     }
   },
+  /**
+   * Clear date refinements.
+   * @method
+   * @private
+   * @param {string|SearchParameters.clearCallback} [attribute] optional string or function
+   * - If not given, means to clear all the date refinements.
+   * - If `string`, means to clear the refinement of the `attribute`.
+   * - If `function`, means to clear all the refinements that return truthy values.
+   * @return {Object.<string, SearchParameters.DateRefinement>}
+   */
+  _clearDateRefinements: function _clearDateRefinements(attribute) {
+    if (isUndefined(attribute)) {
+      if (isEmpty(this.dateRefinements)) return this.dateRefinements;
+      return {};
+    } else if (isString(attribute)) {
+      if (!this.dateRefinements[attribute]) return this.dateRefinements;
+      return omit(this.dateRefinements, attribute);
+    } else if (isFunction(attribute)) {
+      var newDateRefinements = omitBy(this.dateRefinements, function (refinement, key) {
+        return attribute(refinement, key, 'date');
+      });
+
+      if (keys(newDateRefinements).length === keys(this.dateRefinements).length) return this.dateRefinements;
+      return newDateRefinements;
+    }
+  },
   /**
    * Add a facet to the facets attribute of the helper configuration, if it
    * isn't already present.
@@ -1138,6 +1834,62 @@ SearchParameters.prototype = {
 
     return this.setQueryParameters(modification);
   },
+  /**
+   * Add a filter expression, built with the functions of
+   * `algoliasearchHelper.filters`. It does nothing if the same expression is
+   * already set.
+   * @method
+   * @param {algoliasearchHelper.filters.FilterExpression} expression the expression to add
+   * @return {SearchParameters}
+   * @throws will throw an error if the expression is not valid
+   */
+  addFilterExpression: function addFilterExpression(expression) {
+    filterExpression.validate(expression);
+
+    if (this.hasFilterExpression(expression)) return this;
+
+    return this.setQueryParameters({
+      filterExpressions: this.filterExpressions.concat([expression])
+    });
+  },
+  /**
+   * Remove a filter expression, equal to the one given.
+   * @method
+   * @param {algoliasearchHelper.filters.FilterExpression} expression the expression to remove
+   * @return {SearchParameters}
+   */
+  removeFilterExpression: function removeFilterExpression(expression) {
+    if (!this.hasFilterExpression(expression)) return this;
+
+    return this.setQueryParameters({
+      filterExpressions: filter(this.filterExpressions, function (e) {
+        return !isEqual(e, expression);
+      })
+    });
+  },
+  /**
+   * Remove all the filter expressions.
+   * @method
+   * @return {SearchParameters}
+   */
+  clearFilterExpressions: function clearFilterExpressions() {
+    if (this.filterExpressions.length === 0) return this;
+
+    return this.setQueryParameters({
+      filterExpressions: []
+    });
+  },
+  /**
+   * Test if a filter expression equal to the one given is set.
+   * @method
+   * @param {algoliasearchHelper.filters.FilterExpression} expression the expression to look for
+   * @return {boolean}
+   */
+  hasFilterExpression: function hasFilterExpression(expression) {
+    return !!find(this.filterExpressions, function (e) {
+      return isEqual(e, expression);
+    });
+  },
   /**
    * Generic toggle refinement method to use with facet, disjunctive facets
    * and hierarchical facets
@@ -1446,8 +2198,12 @@ SearchParameters.prototype = {
   getRefinedDisjunctiveFacets: function getRefinedDisjunctiveFacets() {
     // attributes used for numeric filter can also be disjunctive
     var disjunctiveNumericRefinedFacets = intersection(keys(this.numericRefinements), this.disjunctiveFacets);
+    var disjunctiveDateRefinedFacets = intersection(keys(this.dateRefinements), this.disjunctiveFacets);
 
-    return keys(this.disjunctiveFacetsRefinements).concat(disjunctiveNumericRefinedFacets).concat(this.getRefinedHierarchicalFacets());
+    return keys(this.disjunctiveFacetsRefinements)
+      .concat(disjunctiveNumericRefinedFacets)
+      .concat(difference(disjunctiveDateRefinedFacets, disjunctiveNumericRefinedFacets))
+      .concat(this.getRefinedHierarchicalFacets());
   },
   /**
    * Returns the list of all disjunctive facets refined
@@ -1475,7 +2231,7 @@ SearchParameters.prototype = {
     });
   },
 
-  managedParameters: ['index', 'facets', 'disjunctiveFacets', 'facetsRefinements', 'facetsExcludes', 'disjunctiveFacetsRefinements', 'numericRefinements', 'tagRefinements', 'hierarchicalFacets', 'hierarchicalFacetsRefinements'],
+  managedParameters: ['index', 'facets', 'disjunctiveFacets', 'facetsRefinements', 'facetsExcludes', 'disjunctiveFacetsRefinements', 'numericRefinements', 'tagRefinements', 'hierarchicalFacets', 'hierarchicalFacetsRefinements', 'filterExpressions', 'filtersFormat', 'dateRefinements', 'timestampUnit', 'sortBy'],
   getQueryParams: function getQueryParams() {
     var managedParameters = this.managedParameters;
 
@@ -1642,17 +2398,77 @@ SearchParameters.prototype = {
     return map(path, trim);
   },
 
+  /**
+   * Compute a string identifying the search described by this state. Two states
+   * describing the same search have the same hash, even if:
+   *  - the refinements are not in the same order
+   *  - one of them has an empty list of refinements where the other has none
+   *  - the numbers are stored as strings in one of them
+   * @return {string} a stable hash of this state
+   * @example
+   * var state1 = new SearchParameters({disjunctiveFacetsRefinements: {brand: ['a', 'b']}});
+   * var state2 = new SearchParameters({disjunctiveFacetsRefinements: {brand: ['b', 'a']}});
+   * state1.getHash() === state2.getHash(); // true
+   */
+  getHash: function getHash() {
+    return JSON.stringify(normalizeState(this));
+  },
+
+  /**
+   * Tells if another state describes the same search as this one. The comparison
+   * uses the same normalization as `getHash`.
+   * @param {SearchParameters} other the state to compare with
+   * @return {boolean} true if both states describe the same search
+   */
+  isEqual: function isEqualState(other) {
+    if (other === this) return true;
+    if (!other) return false;
+
+    var otherState = other instanceof SearchParameters ? other : new SearchParameters(other);
+    return this.getHash() === otherState.getHash();
+  },
+
+  /**
+   * Apply the operations computed by `SearchParameters.diff`. Unlike the
+   * refinement methods, the patch does not reset the page: the page is only changed
+   * by a `set` operation.
+   * @param {SearchParameters.PatchOperation[]} operations the operations to apply
+   * @return {SearchParameters} the patched state
+   * @throws Error if an operation is unknown
+   */
+  applyPatch: function applyPatch(operations) {
+    return statePatch.applyPatch(this, operations);
+  },
+
   toString: function toString() {
     return JSON.stringify(this, null, 2);
   }
 };
 
+/**
+ * An operation describing a single difference between two states.
+ *  - `{op: 'set', parameter, value}`: a parameter is changed, `value` is
+ *  undefined if it has been removed
+ *  - `{op: 'addRefinement', type, attribute, value}`: a refinement is added,
+ *  `type` is `conjunctiveFacet`, `disjunctiveFacet`, `hierarchicalFacet`, `exclude`,
+ *  `numeric` (with an `operator`) or `tag` (without attribute)
+ *  - `{op: 'removeRefinement', type, attribute, value}`: a refinement is removed
+ * @typedef SearchParameters.PatchOperation
+ * @type {object}
+ * @property {string} op `set`, `addRefinement` or `removeRefinement`
+ * @property {string} [parameter] the name of the parameter set
+ * @property {string} [type] the type of the refinement
+ * @property {string} [attribute] the attribute refined
+ * @property {string} [operator] the operator of a numeric refinement
+ * @property {*} value the new value of the parameter, or the value of the refinement
+ */
+
 /**
  * Callback used for clearRefinement method
  * @callback SearchParameters.clearCallback
- * @param {OperatorList|FacetList} value the value of the filter
+ * @param {OperatorList|FacetList|SearchParameters.DateRefinement} value the value of the filter
  * @param {string} key the current attribute name
- * @param {string} type `numeric`, `disjunctiveFacet`, `conjunctiveFacet`, `hierarchicalFacet` or `exclude`
+ * @param {string} type `numeric`, `date`, `disjunctiveFacet`, `conjunctiveFacet`, `hierarchicalFacet` or `exclude`
  * depending on the type of facet
  * @return {boolean} `true` if the element should be removed. `false` otherwise.
  */
@@ -0,0 +1,195 @@
+'use strict';
+
+/**
+ * Functions to compute the differences between two states, and to apply them
+ * to another state.
+ *
+ * @module SearchParameters.patch
+ */
+
+var difference = require('lodash/difference');
+var forEach = require('lodash/forEach');
+var forOwn = require('lodash/forOwn');
+var filter = require('lodash/filter');
+var find = require('lodash/find');
+var has = require('lodash/has');
+var indexOf = require('lodash/indexOf');
+var isEmpty = require('lodash/isEmpty');
+var isEqual = require('lodash/isEqual');
+var keys = require('lodash/keys');
+var map = require('lodash/map');
+var union = require('lodash/union');
+var without = require('lodash/without');
+
+var RefinementList = require('./RefinementList');
+var valToNumber = require('../functions/valToNumber');
+
+/**
+ * Type of refinement of each refinement list, the types are the same as the ones
+ * given to the clearRefinements callback.
+ * @private
+ */
+var REFINEMENT_LISTS = {
+  facetsRefinements: 'conjunctiveFacet',
+  facetsExcludes: 'exclude',
+  disjunctiveFacetsRefinements: 'disjunctiveFacet',
+  hierarchicalFacetsRefinements: 'hierarchicalFacet'
+};
+
+var REFINEMENT_ATTRIBUTES = keys(REFINEMENT_LISTS).concat(['numericRefinements', 'tagRefinements']);
+
+/**
+ * Compute the operations to apply to `previous` to get `next`. The removed
+ * refinements come first, then the added ones and finally the other parameters.
+ * @param {SearchParameters} previous the initial state
+ * @param {SearchParameters} next the final state
+ * @return {SearchParameters.PatchOperation[]} the operations, empty if both states
+ * describe the same search
+ */
+function diff(previous, next) {
+  var removals = [];
+  var additions = [];
+  var sets = [];
+
+  forOwn(REFINEMENT_LISTS, function (type, listName) {
+    diffRefinementList(previous[listName], next[listName], function (attribute, value) {
+      removals.push({op: 'removeRefinement', type: type, attribute: attribute, value: value});
+    });
+    diffRefinementList(next[listName], previous[listName], function (attribute, value) {
+      additions.push({op: 'addRefinement', type: type, attribute: attribute, value: value});
+    });
+  });
+
+  diffNumericRefinements(previous.numericRefinements, next.numericRefinements, function (attribute, operator, value) {
+    removals.push({op: 'removeRefinement', type: 'numeric', attribute: attribute, operator: operator, value: value});
+  });
+  diffNumericRefinements(next.numericRefinements, previous.numericRefinements, function (attribute, operator, value) {
+    additions.push({op: 'addRefinement', type: 'numeric', attribute: attribute, operator: operator, value: value});
+  });
+
+  forEach(difference(previous.tagRefinements, next.tagRefinements), function (tag) {
+    removals.push({op: 'removeRefinement', type: 'tag', value: tag});
+  });
+  forEach(difference(next.tagRefinements, previous.tagRefinements), function (tag) {
+    additions.push({op: 'addRefinement', type: 'tag', value: tag});
+  });
+
+  forEach(union(keys(previous), keys(next)), function (parameter) {
+    if (indexOf(REFINEMENT_ATTRIBUTES, parameter) !== -1) return;
+    if (isEqual(previous[parameter], next[parameter])) return;
+    sets.push({op: 'set', parameter: parameter, value: next[parameter]});
+  });
+
+  return removals.concat(additions, sets);
+}
+
+/**
+ * Apply operations, as computed by `diff`, to a state.
+ * @param {SearchParameters} state the state to patch
+ * @param {SearchParameters.PatchOperation[]} operations the operations to apply
+ * @return {SearchParameters} the patched state
+ */
+function applyPatch(state, operations) {
+  var params = {};
+
+  function current(parameter) {
+    return has(params, parameter) ? params[parameter] : state[parameter];
+  }
+
+  forEach(operations, function (operation) {
+    var isAddition = operation.op === 'addRefinement';
+
+    if (operation.op === 'set') {
+      params[operation.parameter] = operation.value;
+    } else if (!isAddition && operation.op !== 'removeRefinement') {
+      throw new Error('Unknown patch operation: `' + operation.op + '`');
+    } else if (operation.type === 'tag') {
+      var tags = current('tagRefinements');
+      params.tagRefinements = isAddition ? union(tags, [operation.value]) : without(tags, operation.value);
+    } else if (operation.type === 'numeric') {
+      params.numericRefinements = patchNumericRefinements(current('numericRefinements'), operation, isAddition);
+    } else {
+      var listName = find(keys(REFINEMENT_LISTS), function (name) {
+        return REFINEMENT_LISTS[name] === operation.type;
+      });
+      if (!listName) throw new Error('Unknown refinement type: `' + operation.type + '`');
+
+      params[listName] = isAddition ?
+        RefinementList.addRefinement(current(listName), operation.attribute, operation.value) :
+        RefinementList.removeRefinement(current(listName), operation.attribute, operation.value);
+    }
+  });
+
+  if (isEmpty(params)) return state;
+
+  return state.setQueryParameters(params);
+}
+
+/*
+ * Call `cb` for each value of `list` that is not in `other`.
+ */
+function diffRefinementList(list, other, cb) {
+  forOwn(list, function (values, attribute) {
+    var otherValues = map(other && other[attribute], String);
+    forEach(values, function (value) {
+      if (indexOf(otherValues, '' + value) === -1) cb(attribute, value);
+    });
+  });
+}
+
+/*
+ * Call `cb` for each numeric value of `refinements` that is not in `other`.
+ */
+function diffNumericRefinements(refinements, other, cb) {
+  forOwn(refinements, function (operators, attribute) {
+    forOwn(operators, function (values, operator) {
+      var otherValues = other && other[attribute] && other[attribute][operator];
+      forEach(values, function (value) {
+        if (!containsNumericValue(otherValues, value)) cb(attribute, operator, value);
+      });
+    });
+  });
+}
+
+function containsNumericValue(values, value) {
+  var valueAsNumber = valToNumber(value);
+  return !!find(values, function (v) {
+    return isEqual(valToNumber(v), valueAsNumber);
+  });
+}
+
+function patchNumericRefinements(refinements, operation, isAddition) {
+  var attribute = operation.attribute;
+  var operator = operation.operator;
+  var values = refinements[attribute] && refinements[attribute][operator] || [];
+  var value = valToNumber(operation.value);
+
+  var newValues;
+
+  if (isAddition) {
+    newValues = containsNumericValue(values, value) ? values : values.concat([value]);
+  } else {
+    newValues = filter(values, function (v) {
+      return !isEqual(valToNumber(v), value);
+    });
+  }
+
+  var operators = {};
+  forOwn(refinements[attribute], function (v, op) {
+    if (op !== operator) operators[op] = v;
+  });
+  if (newValues.length > 0) operators[operator] = newValues;
+
+  var newRefinements = {};
+  forOwn(refinements, function (v, attr) {
+    if (attr !== attribute) newRefinements[attr] = v;
+  });
+  if (!isEmpty(operators)) newRefinements[attribute] = operators;
+
+  return newRefinements;
+}
+
+module.exports = {
+  diff: diff,
+  applyPatch: applyPatch
+};
\ No newline at end of file
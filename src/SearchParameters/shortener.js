@@ -53,6 +53,12 @@ var keys2Short = {
   typoTolerance: 'tT',
   optionalTagFilters: 'oTF',
   optionalFacetFilters: 'oFF',
+  filters: 'fi',
+  filtersFormat: 'fiF',
+  filterExpressions: 'fEx',
+  dateRefinements: 'dR',
+  timestampUnit: 'tU',
+  sortBy: 'sB',
   snippetEllipsisText: 'sET',
   disableExactOnAttributes: 'dEOA',
   enableExactOnSingleWordQuery: 'eEOSWQ'
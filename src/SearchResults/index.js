@@ -8,6 +8,11 @@ var get = require('lodash/get');
 
 var sumBy = require('lodash/sumBy');
 var find = require('lodash/find');
+var forOwn = require('lodash/forOwn');
+var isEqual = require('lodash/isEqual');
+var isNaN = require('lodash/isNaN');
+var maxBy = require('lodash/maxBy');
+var minBy = require('lodash/minBy');
 var includes = require('lodash/includes');
 var map = require('lodash/map');
 var orderBy = require('lodash/orderBy');
@@ -22,6 +27,9 @@ var partial = require('lodash/partial');
 var partialRight = require('lodash/partialRight');
 
 var formatSort = require('../functions/formatSort');
+var filterExpression = require('../filterExpression');
+var SearchParameters = require('../SearchParameters');
+var geo = require('../SearchParameters/geo');
 
 var generateHierarchicalTree = require('./generate-hierarchical-tree');
 
@@ -57,13 +65,20 @@ var generateHierarchicalTree = require('./generate-hierarchical-tree');
  * @typedef Refinement
  * @type {object}
  * @property {string} type the type of filter used:
- * `numeric`, `facet`, `exclude`, `disjunctive`, `hierarchical`
- * @property {string} attributeName name of the attribute used for filtering
- * @property {string} name the value of the filter
+ * `numeric`, `date`, `facet`, `exclude`, `disjunctive`, `hierarchical`, `tag`, `expression`
+ * @property {string} attributeName name of the attribute used for filtering. Not
+ * defined for filter expressions.
+ * @property {string} name the value of the filter. For filter expressions, the
+ * expression in the `filters` format. For date filters, the preset or the range
+ * as an ISO 8601 interval, with `..` for an open bound.
  * @property {number} numericValue the value as a number. Only for numeric filters.
  * @property {string} operator the operator used. Only for numeric filters.
  * @property {number} count the number of computed hits for this filter. Only on facets.
  * @property {boolean} exhaustive if the count is exhaustive
+ * @property {algoliasearchHelper.filters.FilterExpression} expression the filter
+ * expression. Only for filter expressions.
+ * @property {SearchParameters.DateRefinement} dateRefinement the refinement. Only
+ * for date filters.
  */
 
 function getIndices(obj) {
@@ -278,12 +293,14 @@ function SearchResults(state, results) {
    * The position if the position was guessed by IP.
    * @member {string}
    * @example "48.8637,2.3615",
+   * @see SearchResults#getAroundLatLng
    */
   this.aroundLatLng = mainSubResponse.aroundLatLng;
   /**
    * The radius computed by Algolia.
    * @member {string}
    * @example "126792922",
+   * @see SearchResults#getAutomaticRadius
    */
   this.automaticRadius = mainSubResponse.automaticRadius;
   /**
@@ -670,6 +687,166 @@ function getFacetStatsIfAvailable(facetList, facetName) {
   return data && data.stats;
 }
 
+/**
+ * @typedef SearchResults.NumericRangeInfo
+ * @type {object}
+ * @property {number} min the lowest value of the attribute, from the facet stats
+ * @property {number} max the highest value of the attribute, from the facet stats
+ * @property {number} refinedMin the lower bound of the range, `min` if it is open
+ * @property {number} refinedMax the upper bound of the range, `max` if it is open
+ * @property {boolean} minInclusive if `refinedMin` is in the range
+ * @property {boolean} maxInclusive if `refinedMax` is in the range
+ * @property {boolean} isRefined if a range is set on the attribute
+ */
+
+/**
+ * Returns the range set on a numeric attribute combined with its facet stats,
+ * to display a range slider. For the stats to cover all the values and not only
+ * the refined ones, the attribute should be a disjunctive facet. If the attribute
+ * is not a facet, `min` and `max` are not defined.
+ * @param {string} attribute name of the numeric attribute
+ * @return {SearchResults.NumericRangeInfo} the information about the range
+ * @example
+ * helper.setNumericRange('price', {min: 10}).searchOnce({}).then(function(res) {
+ *   res.content.getNumericRangeInfo('price');
+ *   // {min: 1, max: 5000, refinedMin: 10, refinedMax: 5000, minInclusive: true,
+ *   //  maxInclusive: true, isRefined: true}
+ * });
+ */
+SearchResults.prototype.getNumericRangeInfo = function (attribute) {
+  var state = this._state;
+  var isFacet = state.isConjunctiveFacet(attribute) || state.isDisjunctiveFacet(attribute);
+  var stats = isFacet ? this.getFacetStats(attribute) : undefined;
+  var range = state.getNumericRange(attribute) || {};
+  var min = stats && stats.min;
+  var max = stats && stats.max;
+
+  return {
+    min: min,
+    max: max,
+    refinedMin: range.min === undefined ? min : range.min,
+    refinedMax: range.max === undefined ? max : range.max,
+    minInclusive: range.minInclusive !== false,
+    maxInclusive: range.maxInclusive !== false,
+    isRefined: range.min !== undefined || range.max !== undefined
+  };
+};
+
+/**
+ * @typedef SearchResults.NumericBucket
+ * @type {object}
+ * @property {number} min the lower bound of the bucket, always included
+ * @property {number} max the upper bound of the bucket
+ * @property {boolean} minInclusive always true
+ * @property {boolean} maxInclusive if the upper bound is in the bucket, only for
+ * the last bucket when the histogram is made with a number of buckets
+ * @property {number} count the number of hits with a value in the bucket
+ * @property {boolean} isRefined if the range set on the attribute is the bucket
+ */
+
+/**
+ * Group the values of a numeric facet into buckets, with the number of hits in
+ * each of them. The buckets are computed from the facet values of the response,
+ * so there are as many values as `maxValuesPerFacet` allows. A bucket can be
+ * used as a range with {@link SearchParameters#setNumericRange} or
+ * {@link SearchParameters#toggleNumericBucket}.
+ * @param {string} attribute name of the numeric facet
+ * @param {object} [options] how to make the buckets, only one of those can be used
+ * @param {number} [options.buckets=10] the number of buckets of the same size,
+ * between the lowest and the highest values
+ * @param {number} [options.interval] the size of the buckets, they start at a
+ * multiple of it
+ * @return {SearchResults.NumericBucket[]} the buckets, from the lowest values
+ * @throws will throw an error if the attribute is not a facet or if the options
+ * are not valid
+ * @example
+ * results.getNumericHistogram('price', {interval: 100});
+ * // [{min: 0, max: 100, minInclusive: true, maxInclusive: false, count: 12, isRefined: false}, ...]
+ */
+SearchResults.prototype.getNumericHistogram = function (attribute, options) {
+  var opts = options || {};
+  var facet = find(this.facets, { name: attribute }) || find(this.disjunctiveFacets, { name: attribute });
+
+  if (!facet) throw new Error(attribute + ' is not a retrieved facet.');
+
+  if (opts.buckets !== undefined && opts.interval !== undefined) {
+    throw new Error('[Numeric histogram] Use either `buckets` or `interval`, not both');
+  }
+
+  var values = [];
+  forOwn(facet.data, function (count, value) {
+    var numericValue = parseFloat(value);
+    if (!isNaN(numericValue)) values.push({ value: numericValue, count: count });
+  });
+
+  if (values.length === 0) return [];
+
+  var min = minBy(values, 'value').value;
+  var max = maxBy(values, 'value').value;
+  var start = min;
+  var interval;
+  var nbBuckets;
+
+  if (opts.interval !== undefined) {
+    if (!(opts.interval > 0)) throw new Error('[Numeric histogram] The interval should be a positive number');
+
+    interval = opts.interval;
+    start = Math.floor(min / interval) * interval;
+    nbBuckets = Math.floor((max - start) / interval) + 1;
+  } else {
+    nbBuckets = opts.buckets === undefined ? 10 : opts.buckets;
+    if (!(nbBuckets >= 1) || nbBuckets % 1 !== 0) throw new Error('[Numeric histogram] The number of buckets should be a positive integer');
+
+    if (min === max) nbBuckets = 1;
+    interval = (max - min) / nbBuckets;
+  }
+
+  var isLastBucketInclusive = opts.interval === undefined;
+  var range = this._state.getNumericRange(attribute);
+  var buckets = [];
+
+  for (var i = 0; i < nbBuckets; i++) {
+    var isLast = i === nbBuckets - 1;
+    var bucketRange = {
+      min: start + i * interval,
+      max: isLast && isLastBucketInclusive ? max : start + (i + 1) * interval,
+      minInclusive: true,
+      maxInclusive: isLast && isLastBucketInclusive
+    };
+
+    buckets.push(defaults({ count: 0, isRefined: isEqual(range, bucketRange) }, bucketRange));
+  }
+
+  forEach(values, function (v) {
+    var index = interval === 0 ? 0 : Math.floor((v.value - start) / interval);
+    buckets[Math.max(0, Math.min(index, nbBuckets - 1))].count += v.count;
+  });
+
+  return buckets;
+};
+
+/**
+ * Returns the position guessed from the IP of the user, if any.
+ * @return {SearchParameters.GeoPoint|undefined} the position
+ * @example
+ * results.aroundLatLng; // "48.8637,2.3615"
+ * results.getAroundLatLng(); // {lat: 48.8637, lng: 2.3615}
+ */
+SearchResults.prototype.getAroundLatLng = function () {
+  return geo.parseLatLng(this.aroundLatLng);
+};
+
+/**
+ * Returns the radius computed by Algolia, if any.
+ * @return {number|undefined} the radius in meters
+ * @example
+ * results.automaticRadius; // "126792922"
+ * results.getAutomaticRadius(); // 126792922
+ */
+SearchResults.prototype.getAutomaticRadius = function () {
+  return this.automaticRadius === undefined ? undefined : parseFloat(this.automaticRadius);
+};
+
 /**
  * Returns all refinements for all filters + tags. It also provides
  * additional information: count and exhausistivity for each filter.
@@ -722,16 +899,51 @@ SearchResults.prototype.getRefinements = function () {
     });
   });
 
+  forEach(state.dateRefinements, function (dateRefinement, attributeName) {
+    var name = dateRefinement.preset || map([dateRefinement.from, dateRefinement.to], function (time) {
+      return time === undefined ? '..' : new Date(time).toISOString();
+    }).join('/');
+
+    res.push({ type: 'date', attributeName: attributeName, name: name, dateRefinement: dateRefinement });
+  });
+
   forEach(state.tagRefinements, function (name) {
     res.push({ type: 'tag', attributeName: '_tags', name: name });
   });
 
+  forEach(state.filterExpressions, function (expression) {
+    res.push({ type: 'expression', name: filterExpression.toFilters(expression), expression: expression });
+  });
+
   return res;
 };
 
+/**
+ * Get the raw responses of Algolia used to build these results, for example to
+ * send the results computed on the server to the browser. It is called by
+ * `JSON.stringify`.
+ * @return {object[]} the raw responses, one per query of the search
+ * @example
+ * var rawResults = JSON.parse(JSON.stringify(helper.lastResults));
+ * var results = algoliasearchHelper.SearchResults.fromJSON(helper.state, rawResults);
+ */
+SearchResults.prototype.toJSON = function () {
+  return this._rawResults;
+};
+
+/**
+ * Build the results from the raw responses returned by `toJSON`.
+ * @param {SearchParameters|object} state the state used for the search
+ * @param {object[]} rawResults the raw responses, as returned by `toJSON`
+ * @return {SearchResults} the results
+ */
+SearchResults.fromJSON = function fromJSON(state, rawResults) {
+  return new SearchResults(state instanceof SearchParameters ? state : SearchParameters.make(state), rawResults);
+};
+
 function getRefinement(state, type, attributeName, name, resultsFacets) {
   var facet = find(resultsFacets, { name: attributeName });
-  var count = get(facet, 'data[' + name + ']');
+  var count = get(facet, ['data', name]);
   var exhaustive = get(facet, 'exhaustive');
   return {
     type: type,
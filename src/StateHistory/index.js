@@ -0,0 +1,96 @@
+'use strict';
+
+/**
+ * Stack of the previous states of a helper, used to undo and redo its changes.
+ * @class
+ * @param {object} [options] configuration of the history
+ * @param {number} [options.depth=50] maximum number of states that can be undone
+ */
+function StateHistory(options) {
+  var opts = options || {};
+
+  this.depth = opts.depth === undefined ? 50 : opts.depth;
+
+  if (!(this.depth > 0)) throw new Error('The depth of the history should be a positive number');
+
+  this._past = [];
+  this._future = [];
+  this._groupLevel = 0;
+  this._groupRecorded = false;
+}
+
+/**
+ * Record the state before a change. Inside a group, only the state before the
+ * first change is recorded. The states that could be redone are forgotten.
+ * @param {SearchParameters} previousState the state before the change
+ * @return {undefined}
+ */
+StateHistory.prototype.record = function (previousState) {
+  if (this._groupLevel > 0) {
+    if (this._groupRecorded) return;
+    this._groupRecorded = true;
+  }
+
+  this._past.push(previousState);
+  if (this._past.length > this.depth) this._past.shift();
+
+  this._future = [];
+};
+
+/**
+ * Get the state to restore to undo the last change.
+ * @param {SearchParameters} currentState the current state, that can be redone afterwards
+ * @return {SearchParameters|undefined} the previous state, undefined if there is none
+ */
+StateHistory.prototype.undo = function (currentState) {
+  if (!this.canUndo()) return undefined;
+
+  this._future.push(currentState);
+  return this._past.pop();
+};
+
+/**
+ * Get the state to restore to redo the last change undone.
+ * @param {SearchParameters} currentState the current state, that can be undone afterwards
+ * @return {SearchParameters|undefined} the next state, undefined if there is none
+ */
+StateHistory.prototype.redo = function (currentState) {
+  if (!this.canRedo()) return undefined;
+
+  this._past.push(currentState);
+  return this._future.pop();
+};
+
+/**
+ * @return {boolean} true if there is a change to undo
+ */
+StateHistory.prototype.canUndo = function () {
+  return this._past.length > 0;
+};
+
+/**
+ * @return {boolean} true if there is a change to redo
+ */
+StateHistory.prototype.canRedo = function () {
+  return this._future.length > 0;
+};
+
+/**
+ * Start a group: the changes until the matching `endGroup` make a single entry
+ * in the history. Groups can be nested.
+ * @return {undefined}
+ */
+StateHistory.prototype.startGroup = function () {
+  if (this._groupLevel === 0) this._groupRecorded = false;
+  this._groupLevel++;
+};
+
+/**
+ * End the group started by `startGroup`.
+ * @return {undefined}
+ */
+StateHistory.prototype.endGroup = function () {
+  if (this._groupLevel > 0) this._groupLevel--;
+};
+
+module.exports = StateHistory;
\ No newline at end of file
@@ -3,15 +3,30 @@
 var SearchParameters = require('./SearchParameters');
 var SearchResults = require('./SearchResults');
 var DerivedHelper = require('./DerivedHelper');
+var ResponseCache = require('./ResponseCache');
+var StateHistory = require('./StateHistory');
+var InfiniteHits = require('./InfiniteHits');
+var PageIterator = require('./PageIterator');
 var requestBuilder = require('./requestBuilder');
+var connectRouter = require('./routers/connect');
 
 var util = require('util');
 var events = require('events');
 
+var debounce = require('lodash/debounce');
+var defaults = require('lodash/defaults');
+var defer = require('lodash/defer');
 var flatten = require('lodash/flatten');
 var forEach = require('lodash/forEach');
+var indexOf = require('lodash/indexOf');
 var isEmpty = require('lodash/isEmpty');
+var isFunction = require('lodash/isFunction');
+var isNumber = require('lodash/isNumber');
+var keys = require('lodash/keys');
 var map = require('lodash/map');
+var some = require('lodash/some');
+var sumBy = require('lodash/sumBy');
+var throttle = require('lodash/throttle');
 
 var url = require('./url');
 var version = require('./version');
@@ -22,8 +37,10 @@ var version = require('./version');
  * @property {SearchParameters} state the current parameters with the latest changes applied
  * @property {SearchResults} lastResults the previous results received from Algolia. `null` before
  * the first request
+ * @property {SearchParameters.PatchOperation[]} diff the operations applied to the previous
+ * parameters, as computed by `SearchParameters.diff`
  * @example
- * helper.on('change', function(state, lastResults) {
+ * helper.on('change', function(state, lastResults, diff) {
  *   console.log('The parameters have changed');
  * });
  */
@@ -87,6 +104,19 @@ var version = require('./version');
  * });
  */
 
+/**
+ * Event triggered when a search failed and is going to be sent again, when the
+ * `retry` option is used
+ * @event AlgoliaSearchHelper#event:retry
+ * @property {Error} error the error of the failed attempt
+ * @property {number} attempt the number of the failed attempt, starting at 1
+ * @property {number} delay the time in milliseconds before the next attempt
+ * @example
+ * helper.on('retry', function(error, attempt, delay) {
+ *   console.log('Attempt ' + attempt + ' failed, retrying in ' + delay + 'ms');
+ * });
+ */
+
 /**
  * Event triggered when the queue of queries have been depleted (with any result or outdated queries)
  * @event AlgoliaSearchHelper#event:searchQueueEmpty
@@ -117,8 +147,10 @@ var version = require('./version');
  * @param  {SearchParameters | object} options an object defining the initial
  * config of the search. It doesn't have to be a {SearchParameters},
  * just an object containing the properties you need from it.
+ * @param  {AlgoliaSearchHelper.HelperOptions} [helperOptions] options changing
+ * the behavior of the helper itself
  */
-function AlgoliaSearchHelper(client, index, options) {
+function AlgoliaSearchHelper(client, index, options, helperOptions) {
   if (!client.addAlgoliaAgent) console.log('Please upgrade to the newest version of the JS Client.'); // eslint-disable-line
   else if (!doesClientAgentContainsHelper(client)) client.addAlgoliaAgent('JS Helper ' + version);
 
@@ -131,26 +163,161 @@ function AlgoliaSearchHelper(client, index, options) {
   this._lastQueryIdReceived = -1;
   this.derivedHelpers = [];
   this._currentNbQueries = 0;
+  this._pendingSearches = {};
+  this._pendingRequests = [];
+
+  var hOpts = helperOptions || {};
+  this._scheduledSearch = null;
+  this._searchScheduler = createSearchScheduler(this, hOpts.searchMode);
+  this._responseCache = hOpts.cache ? new ResponseCache(hOpts.cache === true ? undefined : hOpts.cache) : null;
+  this._history = hOpts.history ? new StateHistory(hOpts.history === true ? undefined : hOpts.history) : null;
+  this._infiniteHits = hOpts.infiniteHits ? new InfiniteHits() : null;
+  this._batchLevel = 0;
+  this._middlewares = [];
+  this._retryPolicy = createRetryPolicy(hOpts.retry);
+  this._disconnectRouter = null;
 }
 
 util.inherits(AlgoliaSearchHelper, events.EventEmitter);
 
+/**
+ * Options changing the behavior of the helper, as opposed to the parameters of
+ * the search.
+ * @typedef AlgoliaSearchHelper.HelperOptions
+ * @type {object}
+ * @property {AlgoliaSearchHelper.SearchMode} [searchMode] rate limits the searches
+ * sent with `search` and `searchAsync`
+ * @property {boolean|AlgoliaSearchHelper.CacheOptions} [cache] caches the responses
+ * of the searches sent with `search` and `searchAsync`. Use `true` for the default
+ * configuration.
+ * @property {boolean|AlgoliaSearchHelper.HistoryOptions} [history] records the
+ * changes of the state so that they can be undone with `undo` and `redo`. Use
+ * `true` for the default configuration.
+ * @property {boolean|AlgoliaSearchHelper.RetryOptions} [retry] sends again the
+ * searches of `search` and `searchAsync` that failed. Use `true` for the default
+ * configuration.
+ * @property {boolean} [infiniteHits=false] keeps the hits of the consecutive pages
+ * loaded while the rest of the state stays the same. They are available in the
+ * `accumulatedHits` attribute of the results of the helper. See
+ * {@link AlgoliaSearchHelper#loadNextPage}.
+ */
+
+/**
+ * Configuration of the retries of the failed searches. The delay before each
+ * new attempt grows exponentially. The `search` event is triggered only once per
+ * search, the `retry` event is triggered before each new attempt, and the `error`
+ * event only when the last attempt fails. A search that has been cancelled or
+ * superseded by a more recent one is not retried.
+ * @typedef AlgoliaSearchHelper.RetryOptions
+ * @type {object}
+ * @property {number} [maxAttempts=3] maximum number of times a search is sent
+ * @property {number} [delay=100] time in milliseconds before the first retry
+ * @property {number} [factor=2] multiplier of the delay after each retry
+ * @property {number} [maxDelay=5000] maximum time in milliseconds between two attempts
+ * @property {function(Error): boolean} [shouldRetry] tells if a search that failed
+ * with this error should be retried. By default, the network errors and the server
+ * errors (HTTP status 5xx and 429) are retried.
+ */
+
+/**
+ * Configuration of the history of the states of the helper, independent from
+ * the history of the browser.
+ * @typedef AlgoliaSearchHelper.HistoryOptions
+ * @type {object}
+ * @property {number} [depth=50] maximum number of changes that can be undone
+ */
+
+/**
+ * Configuration of the cache of the helper. The responses are stored by the
+ * parameters of the search, so the states that only differ by the order of
+ * their refinements share the same response. A response read from the cache
+ * triggers the `result` event of the helper and of its derived helpers just like
+ * a response from Algolia.
+ * @typedef AlgoliaSearchHelper.CacheOptions
+ * @type {object}
+ * @property {number} [size=50] maximum number of responses kept, the least
+ * recently used ones are removed first
+ * @property {number} [ttl] time in milliseconds after which a response is not
+ * used anymore. By default the responses do not expire.
+ */
+
+/**
+ * Rate limiting of the searches, useful for search-as-you-type. The calls to `search`
+ * happening during the configured time window are merged into a single request
+ * done with the latest state. The `change` events are still triggered right away.
+ * @typedef AlgoliaSearchHelper.SearchMode
+ * @type {object}
+ * @property {number} [debounce] the search is sent once no search has been requested
+ * for this number of milliseconds
+ * @property {number} [throttle] at most one search is sent per this number of milliseconds
+ * @property {boolean} [leading=false] if true, the first search of a burst is sent
+ * immediately instead of at the end of the time window
+ * @example
+ * var helper = algoliasearchHelper(client, 'products', {}, {
+ *   searchMode: {debounce: 150, leading: true}
+ * });
+ */
+
+/**
+ * Options accepted by the methods sending requests to Algolia.
+ * @typedef AlgoliaSearchHelper.RequestOptions
+ * @type {object}
+ * @property {AbortSignal} [signal] a signal (like the one of an `AbortController`)
+ * used to cancel the request. It is also passed to the client, for the clients
+ * that support it.
+ * @property {boolean} [cache=true] set to false to ignore the response stored in
+ * the cache of the helper for this search. The new response still replaces it.
+ */
+
 /**
  * Start the search with the parameters set in the state. When the
  * method is called, it triggers a `search` event. The results will
  * be available through the `result` event. If an error occurs, an
  * `error` will be fired instead.
+ * @param {AlgoliaSearchHelper.RequestOptions} [options] options for this request
  * @return {AlgoliaSearchHelper}
  * @fires search
  * @fires result
  * @fires error
  * @chainable
  */
-AlgoliaSearchHelper.prototype.search = function () {
-  this._search();
+AlgoliaSearchHelper.prototype.search = function (options) {
+  this._requestSearch(options);
   return this;
 };
 
+/**
+ * Start the search with the parameters set in the state, like `search`, but
+ * returns a promise that is settled with the response of this specific request.
+ * The `search`, `result` and `error` events are still triggered.
+ *
+ * If the response of a more recent search is received first, the results of this
+ * one are discarded (as they would be with `search`) and the promise is rejected
+ * with an error whose `name` is `SearchSupersededError`. If the search is cancelled,
+ * the promise is rejected with an error whose `name` is `SearchCancelledError`.
+ * @param {AlgoliaSearchHelper.RequestOptions} [options] options for this request
+ * @return {promise.<{content: SearchResults, state: SearchParameters}>} resolved with
+ * the results and the state used for this search, rejected with the error returned
+ * by Algolia or with the superseded error.
+ * @fires search
+ * @fires result
+ * @fires error
+ * @example
+ * helper.setQuery('iphone').searchAsync().then(function(res) {
+ *   // res.content is the SearchResults of this query
+ *   // res.state is the SearchParameters used for this query
+ * }, function(err) {
+ *   if (err.name === 'SearchSupersededError') return; // a more recent search won
+ *   console.log(err);
+ * });
+ */
+AlgoliaSearchHelper.prototype.searchAsync = function (options) {
+  var self = this;
+  return new Promise(function (resolve, reject) {
+    self._requestSearch(options, {resolve: resolve, reject: reject});
+  });
+};
+
 /**
  * Gets the search query parameters that would be sent to the Algolia Client
  * for the hits
@@ -170,6 +337,8 @@ AlgoliaSearchHelper.prototype.getQuery = function () {
  * plus the index
  * @param {function} [callback] optional callback executed when the response from the
  * server is back.
+ * @param {AlgoliaSearchHelper.RequestOptions} [requestOptions] options for this request. When
+ * no callback is used, they can be passed as the second argument.
  * @return {promise|undefined} if a callback is passed the method returns undefined
  * otherwise it returns a promise containing an object with two keys :
  *  - content with a SearchResults
@@ -197,38 +366,127 @@ AlgoliaSearchHelper.prototype.getQuery = function () {
  *   // }
  * }
  */
-AlgoliaSearchHelper.prototype.searchOnce = function (options, cb) {
+AlgoliaSearchHelper.prototype.searchOnce = function (options, cb, requestOptions) {
+  var signal = getSignal(isFunction(cb) ? requestOptions : cb);
   var tempState = !options ? this.state : this.state.setQueryParameters(options);
   var queries = requestBuilder._getQueries(tempState.index, tempState);
   var self = this;
 
-  this._currentNbQueries++;
+  if (isFunction(cb)) {
+    var request = this._addPendingRequest(signal, function (error) {
+      cb(error, null, tempState);
+    });
 
-  this.emit('searchOnce', tempState);
+    this.emit('searchOnce', tempState);
 
-  if (cb) {
-    return this.client.search(queries, function (err, content) {
-      self._currentNbQueries--;
-      if (self._currentNbQueries === 0) self.emit('searchQueueEmpty');
-      if (err) cb(err, null, tempState);else cb(err, new SearchResults(tempState, content.results), tempState);
+    this._requestWithMiddlewares(queries, [tempState], function (finalQueries, done) {
+      searchWithClient(self.client, finalQueries, signal, done);
+    }, function (err, content) {
+      if (!request.settle()) return;
+
+      if (err) {
+        self._notifyError(err, [tempState]);
+        cb(err, null, tempState);
+      } else {
+        cb(err, new SearchResults(tempState, content.results), tempState);
+      }
     });
+
+    return undefined;
   }
 
-  return this.client.search(queries).then(function (content) {
-    self._currentNbQueries--;
-    if (self._currentNbQueries === 0) self.emit('searchQueueEmpty');
-    return {
-      content: new SearchResults(tempState, content.results),
-      state: tempState,
-      _originalResponse: content
-    };
-  }, function (e) {
-    self._currentNbQueries--;
-    if (self._currentNbQueries === 0) self.emit('searchQueueEmpty');
-    throw e;
+  return this._searchOnceAsync(tempState, signal);
+};
+
+/**
+ * Search a state, without changing the state of the helper.
+ * @private
+ * @param {SearchParameters} tempState the state to search
+ * @param {AbortSignal} [signal] a signal to cancel the request
+ * @return {promise.<{content: SearchResults, state: SearchParameters}>}
+ * @fires searchOnce
+ */
+AlgoliaSearchHelper.prototype._searchOnceAsync = function (tempState, signal) {
+  var queries = requestBuilder._getQueries(tempState.index, tempState);
+  var self = this;
+
+  return new Promise(function (resolve, reject) {
+    var promiseRequest = self._addPendingRequest(signal, reject);
+
+    self.emit('searchOnce', tempState);
+
+    self._requestWithMiddlewares(queries, [tempState], function (finalQueries, done) {
+      searchWithClient(self.client, finalQueries, signal).then(function (content) {
+        done(null, content);
+      }, done);
+    }, function (err, content) {
+      if (!promiseRequest.settle()) return;
+
+      if (err) {
+        self._notifyError(err, [tempState]);
+        reject(err);
+        return;
+      }
+
+      // this runs in the callback of the client promise, an error would be lost
+      var results;
+      try {
+        results = new SearchResults(tempState, content.results);
+      } catch (e) {
+        reject(e);
+        return;
+      }
+
+      resolve({
+        content: results,
+        state: tempState,
+        _originalResponse: content
+      });
+    });
   });
 };
 
+/**
+ * Options of the iteration over the pages of the results.
+ * @typedef AlgoliaSearchHelper.IterationOptions
+ * @type {object}
+ * @property {number} [concurrency=1] maximum number of pages searched at the same
+ * time, the pages after the current one are searched in advance
+ * @property {number} [maxHits] maximum number of hits yielded, the hits of the
+ * last page are truncated to it
+ * @property {AbortSignal} [signal] a signal to cancel the searches of the pages
+ */
+
+/**
+ * Iterate over the pages of the results of the current state, from its current
+ * page to the last one, like with `searchOnce`. The state is the one of the
+ * helper when the method is called: the changes made during the iteration are
+ * not used.
+ *
+ * The iterator follows the async iterator protocol: each call to `next` returns
+ * a promise of the next {@link SearchResults}, and it can be used with `for await`.
+ * @param {AlgoliaSearchHelper.IterationOptions} [options] options of the iteration
+ * @return {PageIterator} the iterator over the results of each page
+ * @throws will throw an error if the concurrency or the maximum number of hits
+ * is not valid
+ * @fires searchOnce
+ * @example
+ * for await (const results of helper.iteratePages({concurrency: 3, maxHits: 5000})) {
+ *   exportHits(results.hits);
+ * }
+ */
+AlgoliaSearchHelper.prototype.iteratePages = function (options) {
+  var self = this;
+  var state = this.state;
+  var signal = getSignal(options);
+
+  return new PageIterator(function (page) {
+    return self._searchOnceAsync(state.setPage(page), signal).then(function (res) {
+      return res.content;
+    });
+  }, state.page || 0, options);
+};
+
 /**
  * Structure of each result when using
  * [`searchForFacetValues()`](reference.html#AlgoliaSearchHelper#searchForFacetValues)
@@ -261,30 +519,54 @@ AlgoliaSearchHelper.prototype.searchOnce = function (options, cb) {
  * @param {number} [maxFacetHits] the maximum number values returned. Should be > 0 and <= 100
  * @param {object} [userState] the set of custom parameters to use on top of the current state. Setting a property to `undefined` removes
  * it in the generated query.
+ * @param {AlgoliaSearchHelper.RequestOptions} [requestOptions] options for this request
  * @return {promise.<FacetSearchResult>} the results of the search
  */
-AlgoliaSearchHelper.prototype.searchForFacetValues = function (facet, query, maxFacetHits, userState) {
+AlgoliaSearchHelper.prototype.searchForFacetValues = function (facet, query, maxFacetHits, userState, requestOptions) {
   var state = this.state.setQueryParameters(userState || {});
-  var index = this.client.initIndex(state.index);
   var isDisjunctive = state.isDisjunctiveFacet(facet);
   var algoliaQuery = requestBuilder.getSearchForFacetQuery(facet, query, maxFacetHits, state);
-
-  this._currentNbQueries++;
+  var signal = getSignal(requestOptions);
   var self = this;
 
-  this.emit('searchForFacetValues', state, facet, query);
-  return index.searchForFacetValues(algoliaQuery).then(function addIsRefined(content) {
-    self._currentNbQueries--;
-    if (self._currentNbQueries === 0) self.emit('searchQueueEmpty');
-    content.facetHits = forEach(content.facetHits, function (f) {
-      f.isRefined = isDisjunctive ? state.isDisjunctiveFacetRefined(facet, f.value) : state.isFacetRefined(facet, f.value);
+  return new Promise(function (resolve, reject) {
+    var request = self._addPendingRequest(signal, reject);
+
+    self.emit('searchForFacetValues', state, facet, query);
+
+    var queries = [{indexName: state.index, params: algoliaQuery}];
+
+    self._requestWithMiddlewares(queries, [state], function (finalQueries, done) {
+      var index = self.client.initIndex(finalQueries[0].indexName);
+      var params = finalQueries[0].params;
+      var response = signal ? index.searchForFacetValues(params, {signal: signal}) : index.searchForFacetValues(params);
+
+      response.then(function (content) {
+        done(null, {results: [content]});
+      }, done);
+    }, function addIsRefined(err, response) {
+      if (!request.settle()) return;
+
+      if (err) {
+        self._notifyError(err, [state]);
+        reject(err);
+        return;
+      }
+
+      // this runs in the callback of the client promise, an error would be lost
+      var content;
+      try {
+        content = response.results[0];
+        content.facetHits = forEach(content.facetHits, function (f) {
+          f.isRefined = isDisjunctive ? state.isDisjunctiveFacetRefined(facet, f.value) : state.isFacetRefined(facet, f.value);
+        });
+      } catch (e) {
+        reject(e);
+        return;
+      }
+
+      resolve(content);
     });
-
-    return content;
-  }, function (e) {
-    self._currentNbQueries--;
-    if (self._currentNbQueries === 0) self.emit('searchQueueEmpty');
-    throw e;
   });
 };
 
@@ -675,6 +957,56 @@ AlgoliaSearchHelper.prototype.toggleTag = function (tag) {
   return this;
 };
 
+/**
+ * Adds a filter expression, combining filters on several attributes. The
+ * expressions are built with the functions of `algoliasearchHelper.filters`. If
+ * the same expression is already set, it doesn't change the filters.
+ *
+ * This method resets the current page to 0.
+ * @param {algoliasearchHelper.filters.FilterExpression} expression the expression to add
+ * @return {AlgoliaSearchHelper}
+ * @throws will throw an error if the expression is not valid
+ * @fires change
+ * @chainable
+ * @example
+ * var filters = algoliasearchHelper.filters;
+ * helper.addFilterExpression(filters.or(
+ *   filters.eq('brand', 'Apple'),
+ *   filters.and(filters.gte('price', 100), filters.eq('color', 'red'))
+ * )).search();
+ */
+AlgoliaSearchHelper.prototype.addFilterExpression = function (expression) {
+  this._change(this.state.setPage(0).addFilterExpression(expression));
+  return this;
+};
+
+/**
+ * Removes a filter expression equal to the one provided.
+ *
+ * This method resets the current page to 0.
+ * @param {algoliasearchHelper.filters.FilterExpression} expression the expression to remove
+ * @return {AlgoliaSearchHelper}
+ * @fires change
+ * @chainable
+ */
+AlgoliaSearchHelper.prototype.removeFilterExpression = function (expression) {
+  this._change(this.state.setPage(0).removeFilterExpression(expression));
+  return this;
+};
+
+/**
+ * Removes all the filter expressions.
+ *
+ * This method resets the current page to 0.
+ * @return {AlgoliaSearchHelper}
+ * @fires change
+ * @chainable
+ */
+AlgoliaSearchHelper.prototype.clearFilterExpressions = function () {
+  this._change(this.state.setPage(0).clearFilterExpressions());
+  return this;
+};
+
 /**
  * Increments the page number by one.
  * @return {AlgoliaSearchHelper}
@@ -701,6 +1033,56 @@ AlgoliaSearchHelper.prototype.previousPage = function () {
   return this.setPage(this.state.page - 1);
 };
 
+/**
+ * Search the page after the last page of the infinite hits, or the current
+ * page if none has been loaded yet. Its hits are added at the end of the
+ * `accumulatedHits` of the results.
+ * @return {AlgoliaSearchHelper}
+ * @throws will throw an error if the `infiniteHits` option is not enabled
+ * @fires change
+ * @fires search
+ * @chainable
+ * @example
+ * var helper = algoliasearchHelper(client, 'products', {}, {infiniteHits: true});
+ * helper.on('result', function(results) {
+ *   renderHits(results.accumulatedHits);
+ * });
+ * helper.search();
+ * // on scroll
+ * helper.loadNextPage();
+ */
+AlgoliaSearchHelper.prototype.loadNextPage = function () {
+  var lastPage = getInfiniteHits(this).lastPage;
+  if (lastPage !== undefined) this.setPage(lastPage + 1);
+  return this.search();
+};
+
+/**
+ * Search the page before the first page of the infinite hits. Its hits are
+ * added at the start of the `accumulatedHits` of the results. This is useful
+ * when the list starts from a page read in the URL.
+ * @return {AlgoliaSearchHelper}
+ * @throws will throw an error if the `infiniteHits` option is not enabled or if
+ * the first page is already loaded
+ * @fires change
+ * @fires search
+ * @chainable
+ */
+AlgoliaSearchHelper.prototype.loadPreviousPage = function () {
+  var firstPage = getInfiniteHits(this).firstPage;
+  if (!(firstPage > 0)) throw new Error('There is no previous page to load in the infinite hits');
+  return this.setPage(firstPage - 1).search();
+};
+
+/**
+ * Tells if the infinite hits start after the first page.
+ * @return {boolean} false if the first page is loaded, if nothing is loaded, or
+ * if the `infiniteHits` option is not enabled
+ */
+AlgoliaSearchHelper.prototype.canLoadPreviousPage = function () {
+  return !!this._infiniteHits && this._infiniteHits.firstPage > 0;
+};
+
 /**
  * @private
  */
@@ -745,6 +1127,38 @@ AlgoliaSearchHelper.prototype.setIndex = function (name) {
   return this;
 };
 
+/**
+ * Changes the sort order, by targeting the replica index of its label in the
+ * `sortBy` parameter. The derived helpers follow the change when they target
+ * one of the replicas of their own `sortBy` parameter.
+ *
+ * This method resets the current page to 0.
+ * @param {string} label the label of the sort order
+ * @return {AlgoliaSearchHelper}
+ * @throws will throw an error if the label is not in `sortBy`
+ * @fires change
+ * @chainable
+ * @example
+ * var helper = algoliasearchHelper(client, 'products', {
+ *   sortBy: {relevance: 'products', price_asc: 'products_price_asc'}
+ * });
+ * helper.setSortBy('price_asc').search();
+ * helper.getIndex(); // 'products_price_asc'
+ */
+AlgoliaSearchHelper.prototype.setSortBy = function (label) {
+  this._change(this.state.setPage(0).setSortBy(label));
+  return this;
+};
+
+/**
+ * Returns the label of the current sort order. See
+ * {@link SearchParameters#getSortBy}.
+ * @return {string} the label, or undefined if the index is not in `sortBy`
+ */
+AlgoliaSearchHelper.prototype.getSortBy = function () {
+  return this.state.getSortBy();
+};
+
 /**
  * Update a parameter of the search. This method reset the page
  *
@@ -817,7 +1231,7 @@ AlgoliaSearchHelper.prototype.getStateAsQueryString = function getStateAsQuerySt
   var filters = options && options.filters || ['query', 'attribute:*'];
   var partialState = this.getState(filters);
 
-  return url.getQueryStringFromState(partialState, options);
+  return url.getQueryStringFromState(partialState, defaults({}, options, {sortBy: this.state.sortBy}));
 };
 
 /**
@@ -859,12 +1273,63 @@ AlgoliaSearchHelper.getForeignConfigurationInQueryString = url.getUnrecognizedPa
  */
 AlgoliaSearchHelper.prototype.setStateFromQueryString = function (queryString, options) {
   var triggerChange = options && options.triggerChange || false;
-  var configuration = url.getStateFromQueryString(queryString, options);
+  var configuration = url.getStateFromQueryString(queryString, defaults({}, options, {sortBy: this.state.sortBy}));
   var updatedState = this.state.setQueryParameters(configuration);
 
   if (triggerChange) this.setState(updatedState);else this.overrideStateWithoutTriggeringChangeEvent(updatedState);
 };
 
+/**
+ * Configuration of the synchronization of the state with the URL.
+ * @typedef AlgoliaSearchHelper.RouterOptions
+ * @type {object}
+ * @property {string[]} [filters=['query', 'attribute:*', 'page']] the parts of the
+ * state stored in the URL, see {@link AlgoliaSearchHelper#getState}
+ * @property {string} [prefix] prefix in front of the keys of the helper in the URL
+ * @property {object} [mapping] map the keys of the helper to other names,
+ * e.g. `{q: 'search'}`
+ * @property {number} [debounce=400] time in milliseconds without change before
+ * the state is written in the URL, so that typing a query creates a single history entry
+ */
+
+/**
+ * Keep the state of the helper in the URL. When connected, the state is read
+ * from the URL, and its changes are written in a new history entry once they
+ * stop for the `debounce` delay. When the URL is changed by the browser, e.g.
+ * with the back button, the state is restored from it without writing a new
+ * entry, and a search is sent. The parameters of the URL that are not for the
+ * helper are kept. A helper is connected to one router at a time.
+ * @param {routers.Router} router the router reading and writing the URL, see
+ * `algoliasearchHelper.routers`
+ * @param {AlgoliaSearchHelper.RouterOptions} [options] configuration of the synchronization
+ * @return {AlgoliaSearchHelper}
+ * @fires change
+ * @chainable
+ * @example
+ * helper
+ *   .connectRouter(algoliasearchHelper.routers.history(), {debounce: 300})
+ *   .search();
+ */
+AlgoliaSearchHelper.prototype.connectRouter = function (router, options) {
+  this.disconnectRouter();
+  this._disconnectRouter = connectRouter(this, router, options);
+  return this;
+};
+
+/**
+ * Stop keeping the state of the helper in the URL. The changes not written yet
+ * are discarded, and the listeners of the router are removed.
+ * @return {AlgoliaSearchHelper}
+ * @chainable
+ */
+AlgoliaSearchHelper.prototype.disconnectRouter = function () {
+  if (this._disconnectRouter) {
+    this._disconnectRouter();
+    this._disconnectRouter = null;
+  }
+  return this;
+};
+
 /**
  * Override the current state without triggering a change event.
  * Do not use this method unless you know what you are doing. (see the example
@@ -887,6 +1352,174 @@ AlgoliaSearchHelper.prototype.overrideStateWithoutTriggeringChangeEvent = functi
   return this;
 };
 
+/**
+ * Data to hydrate a helper with the results of a search done elsewhere,
+ * typically on the server.
+ * @typedef AlgoliaSearchHelper.HydrationData
+ * @type {object}
+ * @property {SearchParameters|object} [state] the state of the search, by default
+ * the current state of the helper is kept
+ * @property {object[]} rawResults the raw results of the search, as returned by
+ * the `toJSON` method of the results of the helper followed by the ones of its
+ * derived helpers, in the same order
+ */
+
+/**
+ * Fill the results of the helper and of its derived helpers with the results of
+ * a search done elsewhere, without sending a request. The state is changed
+ * like with the other methods, it is recorded in the history and seen by the
+ * middlewares, but without triggering the `change` event. The `result` events
+ * are triggered right away, so that the first render in the browser matches the
+ * one of the server.
+ * @param {AlgoliaSearchHelper.HydrationData} data the state and the raw results
+ * @return {AlgoliaSearchHelper}
+ * @throws will throw an error if the number of raw results does not match the
+ * queries of the state
+ * @fires result
+ * @chainable
+ * @example
+ * // on the server
+ * helper.searchAsync().then(function(res) {
+ *   send({state: res.state, rawResults: res.content.toJSON()});
+ * });
+ * // in the browser
+ * helper.hydrate(window.__SEARCH_DATA__);
+ */
+AlgoliaSearchHelper.prototype.hydrate = function (data) {
+  if (data.state) this._change(SearchParameters.make(data.state), true);
+
+  var states = this._getSearchStates();
+  var queriesCount = sumBy(states, 'queriesCount');
+
+  if (!data.rawResults || data.rawResults.length !== queriesCount) {
+    throw new Error('The raw results do not match the queries of the state: ' + queriesCount +
+      ' results are expected, got ' + (data.rawResults ? data.rawResults.length : 0));
+  }
+
+  this._dispatchResults(states, data.rawResults.slice());
+
+  return this;
+};
+
+/**
+ * Apply several changes to the state and trigger a single `change` event, with
+ * the final state, once they are all applied. It also makes a single entry in
+ * the history. If the function throws, the changes are discarded and the error
+ * is thrown again.
+ *
+ * Inside the function, the state of the helper is updated after each change but
+ * the `change` event is not triggered. The batches can be nested, the event is
+ * triggered at the end of the outermost one.
+ * @param {function} fn function applying the changes, called with the helper
+ * @return {AlgoliaSearchHelper}
+ * @fires change
+ * @chainable
+ * @example
+ * helper.batch(function(h) {
+ *   h.clearRefinements().toggleRefine('brand', 'Apple').setQuery('tv');
+ * }).search();
+ */
+AlgoliaSearchHelper.prototype.batch = function (fn) {
+  var initialState = this.state;
+
+  this._batchLevel++;
+  try {
+    fn(this);
+  } catch (e) {
+    this.state = initialState;
+    throw e;
+  } finally {
+    this._batchLevel--;
+  }
+
+  if (this._batchLevel === 0 && this.state !== initialState) {
+    var finalState = this.state;
+    this.state = initialState;
+    this._change(finalState);
+  }
+
+  return this;
+};
+
+/**
+ * Restore the state as it was before the last change. The changes made in
+ * `groupHistory` are undone at once. It requires the `history` option.
+ *
+ * This method triggers the `change` event but does not trigger a search.
+ * @return {AlgoliaSearchHelper}
+ * @throws Error if the history is not enabled
+ * @fires change
+ * @chainable
+ * @example
+ * var helper = algoliasearchHelper(client, 'index', {}, {history: true});
+ * helper.setQuery('tv');
+ * helper.undo().getQuery().query; // ''
+ */
+AlgoliaSearchHelper.prototype.undo = function () {
+  var previousState = getHistory(this).undo(this.state);
+  if (previousState) this._changeWithoutHistory(previousState);
+  return this;
+};
+
+/**
+ * Restore the state as it was before the last `undo`. The changes done after
+ * the `undo` discard the states that could be redone. It requires the `history`
+ * option.
+ *
+ * This method triggers the `change` event but does not trigger a search.
+ * @return {AlgoliaSearchHelper}
+ * @throws Error if the history is not enabled
+ * @fires change
+ * @chainable
+ */
+AlgoliaSearchHelper.prototype.redo = function () {
+  var nextState = getHistory(this).redo(this.state);
+  if (nextState) this._changeWithoutHistory(nextState);
+  return this;
+};
+
+/**
+ * Tells if there is a change that can be undone.
+ * @return {boolean} false if there is nothing to undo or if the history is not enabled
+ */
+AlgoliaSearchHelper.prototype.canUndo = function () {
+  return !!this._history && this._history.canUndo();
+};
+
+/**
+ * Tells if there is a change that can be redone.
+ * @return {boolean} false if there is nothing to redo or if the history is not enabled
+ */
+AlgoliaSearchHelper.prototype.canRedo = function () {
+  return !!this._history && this._history.canRedo();
+};
+
+/**
+ * Make all the changes done in a function a single entry of the history, so
+ * that they are undone with a single call to `undo`. The `change` event is
+ * still triggered for each of them. It has no effect if the history is not
+ * enabled.
+ * @param {function} fn function applying the changes, called with the helper
+ * @return {AlgoliaSearchHelper}
+ * @chainable
+ * @example
+ * helper.groupHistory(function(h) {
+ *   h.clearRefinements().toggleRefine('brand', 'Apple');
+ * });
+ */
+AlgoliaSearchHelper.prototype.groupHistory = function (fn) {
+  var history = this._history;
+
+  if (history) history.startGroup();
+  try {
+    fn(this);
+  } finally {
+    if (history) history.endGroup();
+  }
+
+  return this;
+};
+
 /**
  * @deprecated since 2.4.0, see {@link AlgoliaSearchHelper#hasRefinements}
  */
@@ -924,7 +1557,7 @@ AlgoliaSearchHelper.prototype.isRefined = function (facet, value) {
  *
  */
 AlgoliaSearchHelper.prototype.hasRefinements = function (attribute) {
-  if (!isEmpty(this.state.getNumericRefinements(attribute))) {
+  if (!isEmpty(this.state.getNumericRefinements(attribute)) || this.state.isDateRefined(attribute)) {
     return true;
   } else if (this.state.isConjunctiveFacet(attribute)) {
     return this.state.isFacetRefined(attribute);
@@ -1143,54 +1776,488 @@ AlgoliaSearchHelper.prototype.getNumericRefinement = function (attribute, operat
 };
 
 /**
- * Get the current breadcrumb for a hierarchical facet, as an array
- * @param  {string} facetName Hierarchical facet name
- * @return {array.<string>} the path as an array of string
+ * Return the range set on a numeric attribute. See
+ * {@link SearchParameters#getNumericRange}.
+ * @param {string} attribute the numeric attribute
+ * @return {SearchParameters.NumericRange} the range, or undefined if the
+ * attribute has no bounds
  */
-AlgoliaSearchHelper.prototype.getHierarchicalFacetBreadcrumb = function (facetName) {
-  return this.state.getHierarchicalFacetBreadcrumb(facetName);
+AlgoliaSearchHelper.prototype.getNumericRange = function (attribute) {
+  return this.state.getNumericRange(attribute);
 };
 
-// /////////// PRIVATE
-
 /**
- * Perform the underlying queries
- * @private
- * @return {undefined}
- * @fires search
- * @fires result
- * @fires error
+ * Sets the range of a numeric attribute, replacing its refinements with the
+ * operators `>=`, `>`, `<=` and `<`. A bound can be omitted to leave the range
+ * open on that side.
+ *
+ * This method resets the current page to 0.
+ * @param {string} attribute the numeric attribute
+ * @param {SearchParameters.NumericRange} range the range
+ * @return {AlgoliaSearchHelper}
+ * @throws will throw an error if a bound is not a number or if the range is empty
+ * @fires change
+ * @chainable
+ * @example
+ * // 10 <= price < 100
+ * helper.setNumericRange('price', {min: 10, max: 100, maxInclusive: false}).search();
  */
-AlgoliaSearchHelper.prototype._search = function () {
-  var state = this.state;
-  var mainQueries = requestBuilder._getQueries(state.index, state);
+AlgoliaSearchHelper.prototype.setNumericRange = function (attribute, range) {
+  this._change(this.state.setPage(0).setNumericRange(attribute, range));
+  return this;
+};
 
-  var states = [{
-    state: state,
-    queriesCount: mainQueries.length,
-    helper: this
-  }];
+/**
+ * Removes the range of a numeric attribute. The other numeric refinements of
+ * the attribute are kept.
+ *
+ * This method resets the current page to 0.
+ * @param {string} attribute the numeric attribute
+ * @return {AlgoliaSearchHelper}
+ * @fires change
+ * @chainable
+ */
+AlgoliaSearchHelper.prototype.clearNumericRange = function (attribute) {
+  this._change(this.state.setPage(0).clearNumericRange(attribute));
+  return this;
+};
+
+/**
+ * Refines a numeric attribute on a bucket of
+ * {@link SearchResults#getNumericHistogram}, or removes the range if the
+ * attribute is already refined on it.
+ *
+ * This method resets the current page to 0.
+ * @param {string} attribute the numeric attribute
+ * @param {SearchResults.NumericBucket} bucket the bucket to refine on
+ * @return {AlgoliaSearchHelper}
+ * @fires change
+ * @chainable
+ * @example
+ * helper.on('result', function(content) {
+ *   var buckets = content.getNumericHistogram('price', {buckets: 5});
+ *   // when a bucket is clicked
+ *   helper.toggleNumericBucket('price', buckets[0]).search();
+ * });
+ */
+AlgoliaSearchHelper.prototype.toggleNumericBucket = function (attribute, bucket) {
+  this._change(this.state.setPage(0).toggleNumericBucket(attribute, bucket));
+  return this;
+};
 
-  this.emit('search', state, this.lastResults);
+/**
+ * Refines a date attribute on the dates between `from` and `to`, both
+ * included. It replaces the previous date refinement of the attribute. The
+ * dates are sent as timestamps in the unit of the `timestampUnit` parameter.
+ *
+ * This method resets the current page to 0.
+ * @param {string} attribute the date attribute
+ * @param {Date|number|string} [from] the first date, as a date, a number of
+ * milliseconds since the epoch or a date string. The range is open if not set.
+ * @param {Date|number|string} [to] the last date, in the same formats
+ * @return {AlgoliaSearchHelper}
+ * @throws will throw an error if a date is invalid or if there is no date
+ * @fires change
+ * @chainable
+ * @example
+ * helper.addDateRangeRefinement('created_at', new Date(2020, 0, 1), new Date()).search();
+ */
+AlgoliaSearchHelper.prototype.addDateRangeRefinement = function (attribute, from, to) {
+  this._change(this.state.setPage(0).addDateRangeRefinement(attribute, from, to));
+  return this;
+};
 
-  var derivedQueries = map(this.derivedHelpers, function (derivedHelper) {
-    var derivedState = derivedHelper.getModifiedState(state);
-    var queries = requestBuilder._getQueries(derivedState.index, derivedState);
-    states.push({
-      state: derivedState,
-      queriesCount: queries.length,
-      helper: derivedHelper
-    });
-    derivedHelper.emit('search', derivedState, derivedHelper.lastResults);
-    return queries;
+/**
+ * Refines a date attribute with a preset, relative to the time of each
+ * search: `today`, `yesterday`, `last7days`, `last30days`, `thisWeek`,
+ * `thisMonth`, `lastMonth` or `thisYear`. It replaces the previous date
+ * refinement of the attribute.
+ *
+ * This method resets the current page to 0.
+ * @param {string} attribute the date attribute
+ * @param {string} preset the name of the preset
+ * @param {string} [timezone] the IANA timezone in which the days start, the
+ * local one if not set
+ * @return {AlgoliaSearchHelper}
+ * @throws will throw an error if the preset or the timezone is unknown
+ * @fires change
+ * @chainable
+ * @example
+ * helper.addDatePresetRefinement('created_at', 'thisMonth', 'America/New_York').search();
+ */
+AlgoliaSearchHelper.prototype.addDatePresetRefinement = function (attribute, preset, timezone) {
+  this._change(this.state.setPage(0).addDatePresetRefinement(attribute, preset, timezone));
+  return this;
+};
+
+/**
+ * Removes the date refinement of an attribute.
+ *
+ * This method resets the current page to 0.
+ * @param {string} attribute the date attribute
+ * @return {AlgoliaSearchHelper}
+ * @fires change
+ * @chainable
+ */
+AlgoliaSearchHelper.prototype.removeDateRefinement = function (attribute) {
+  this._change(this.state.setPage(0).removeDateRefinement(attribute));
+  return this;
+};
+
+/**
+ * Returns the date refinement of an attribute, the presets are not resolved.
+ * See {@link SearchParameters#getDateRefinement}.
+ * @param {string} attribute the date attribute
+ * @return {SearchParameters.DateRefinement} the refinement, or undefined if the
+ * attribute is not refined
+ */
+AlgoliaSearchHelper.prototype.getDateRefinement = function (attribute) {
+  return this.state.getDateRefinement(attribute);
+};
+
+/**
+ * Searches around a point, in a radius. It replaces the previous center.
+ *
+ * This method resets the current page to 0.
+ * @param {SearchParameters.GeoPoint} center the center of the search
+ * @param {number|string} [radius] the radius in meters, `'all'` to not limit
+ * the results, or undefined for a radius computed by Algolia
+ * @return {AlgoliaSearchHelper}
+ * @throws will throw an error if the parameters are not valid or if a bounding
+ * box or a polygon is set
+ * @fires change
+ * @chainable
+ * @example
+ * helper.setGeoCircle({lat: 48.8566, lng: 2.3522}, 1000).search();
+ */
+AlgoliaSearchHelper.prototype.setGeoCircle = function (center, radius) {
+  this._change(this.state.setPage(0).setGeoCircle(center, radius));
+  return this;
+};
+
+/**
+ * Returns the point and the radius of the search. See
+ * {@link SearchParameters#getGeoCircle}.
+ * @return {SearchParameters.GeoCircle} the circle, or undefined if there is
+ * no center
+ */
+AlgoliaSearchHelper.prototype.getGeoCircle = function () {
+  return this.state.getGeoCircle();
+};
+
+/**
+ * Searches inside rectangles. It replaces the previous ones.
+ *
+ * This method resets the current page to 0.
+ * @param {SearchParameters.GeoBoundingBox[]} boxes the rectangles, the results
+ * can be in any of them. An empty list removes the rectangles.
+ * @return {AlgoliaSearchHelper}
+ * @throws will throw an error if a rectangle is not valid or if a circle or a
+ * polygon is set
+ * @fires change
+ * @chainable
+ * @example
+ * // the visible area of a map
+ * helper.setGeoBoundingBoxes([{
+ *   northEast: {lat: 48.9, lng: 2.4},
+ *   southWest: {lat: 48.8, lng: 2.3}
+ * }]).search();
+ */
+AlgoliaSearchHelper.prototype.setGeoBoundingBoxes = function (boxes) {
+  this._change(this.state.setPage(0).setGeoBoundingBoxes(boxes));
+  return this;
+};
+
+/**
+ * Returns the rectangles of the geo search. See
+ * {@link SearchParameters#getGeoBoundingBoxes}.
+ * @return {SearchParameters.GeoBoundingBox[]} the rectangles, empty if not set
+ */
+AlgoliaSearchHelper.prototype.getGeoBoundingBoxes = function () {
+  return this.state.getGeoBoundingBoxes();
+};
+
+/**
+ * Searches inside polygons. It replaces the previous ones.
+ *
+ * This method resets the current page to 0.
+ * @param {Array.<SearchParameters.GeoPoint[]>} polygons the polygons, each of
+ * at least 3 points. An empty list removes the polygons.
+ * @return {AlgoliaSearchHelper}
+ * @throws will throw an error if a polygon is not valid or if a circle or a
+ * bounding box is set
+ * @fires change
+ * @chainable
+ * @example
+ * helper.setGeoPolygons([[{lat: 0, lng: 0}, {lat: 1, lng: 0}, {lat: 1, lng: 1}]]).search();
+ */
+AlgoliaSearchHelper.prototype.setGeoPolygons = function (polygons) {
+  this._change(this.state.setPage(0).setGeoPolygons(polygons));
+  return this;
+};
+
+/**
+ * Returns the polygons of the geo search. See
+ * {@link SearchParameters#getGeoPolygons}.
+ * @return {Array.<SearchParameters.GeoPoint[]>} the polygons, empty if not set
+ */
+AlgoliaSearchHelper.prototype.getGeoPolygons = function () {
+  return this.state.getGeoPolygons();
+};
+
+/**
+ * Removes the geo search, whatever its mode: circle, search around the user
+ * IP, rectangles or polygons.
+ *
+ * This method resets the current page to 0.
+ * @return {AlgoliaSearchHelper}
+ * @fires change
+ * @chainable
+ */
+AlgoliaSearchHelper.prototype.clearGeo = function () {
+  this._change(this.state.setPage(0).clearGeo());
+  return this;
+};
+
+/**
+ * Get the current breadcrumb for a hierarchical facet, as an array
+ * @param  {string} facetName Hierarchical facet name
+ * @return {array.<string>} the path as an array of string
+ */
+AlgoliaSearchHelper.prototype.getHierarchicalFacetBreadcrumb = function (facetName) {
+  return this.state.getHierarchicalFacetBreadcrumb(facetName);
+};
+
+// /////////// PRIVATE
+
+/**
+ * Send a search right away, or schedule it if a search mode is configured. The
+ * searches scheduled together are sent as a single request with the options
+ * of the last one.
+ * @private
+ * @param {AlgoliaSearchHelper.RequestOptions} [options] options for this request
+ * @param {{resolve: function, reject: function}} [deferred] optional callbacks
+ * used to settle the promise returned by `searchAsync`
+ * @return {undefined}
+ */
+AlgoliaSearchHelper.prototype._requestSearch = function (options, deferred) {
+  if (!this._searchScheduler) {
+    this._search(options, deferred);
+    return;
+  }
+
+  var scheduledSearch = this._scheduledSearch = this._scheduledSearch || {deferreds: []};
+  scheduledSearch.options = options;
+  if (deferred) scheduledSearch.deferreds.push(deferred);
+
+  this._searchScheduler();
+};
+
+/**
+ * Send the search scheduled by `_requestSearch`, if any.
+ * @private
+ * @return {undefined}
+ */
+AlgoliaSearchHelper.prototype._sendScheduledSearch = function () {
+  var scheduledSearch = this._scheduledSearch;
+  if (!scheduledSearch) return;
+
+  this._scheduledSearch = null;
+
+  var deferreds = scheduledSearch.deferreds;
+  this._search(scheduledSearch.options, deferreds.length === 0 ? undefined : {
+    resolve: function (res) {
+      forEach(deferreds, function (deferred) {
+        deferred.resolve(res);
+      });
+    },
+    reject: function (err) {
+      forEach(deferreds, function (deferred) {
+        deferred.reject(err);
+      });
+    }
   });
+};
 
-  var queries = mainQueries.concat(flatten(derivedQueries));
+/**
+ * Perform the underlying queries
+ * @private
+ * @param {AlgoliaSearchHelper.RequestOptions} [options] options for this request
+ * @param {{resolve: function, reject: function}} [deferred] optional callbacks
+ * used to settle the promise returned by `searchAsync`
+ * @return {undefined}
+ * @fires search
+ * @fires result
+ * @fires error
+ */
+AlgoliaSearchHelper.prototype._search = function (options, deferred) {
+  var self = this;
+  var states = this._getSearchStates();
+
+  forEach(states, function (s) {
+    s.helper.emit('search', s.state, s.helper.lastResults);
+  });
+
+  var queries = flatten(map(states, 'queries'));
   var queryId = this._queryId++;
+  var signal = getSignal(options);
+  var pendingSearch = this._pendingSearches[queryId] = {
+    deferred: deferred,
+    cancelled: false,
+    removeAbortListener: noop
+  };
 
   this._currentNbQueries++;
 
-  this.client.search(queries, this._dispatchAlgoliaResponse.bind(this, states, queryId));
+  pendingSearch.removeAbortListener = onAbort(signal, this._cancelSearch.bind(this, queryId));
+
+  var searchStates = map(states, 'state');
+  var client = this.client;
+  var cache = this._responseCache;
+  var cacheKey = cache && ResponseCache.getKey(searchStates);
+  var cachedResults = cache && !(options && options.cache === false) ? cache.get(cacheKey) : undefined;
+
+  this._requestWithMiddlewares(queries, searchStates, function (finalQueries, done) {
+    if (pendingSearch.cancelled) {
+      // Cancelled while the middlewares were running
+      done(createCancelledError('The search ' + queryId + ' has been cancelled'));
+    } else if (cachedResults) {
+      // The dispatch consumes the results, and should be asynchronous like a request
+      defer(done, null, {results: cachedResults.slice()});
+    } else {
+      self._retrySearch(queryId, function (cb) {
+        searchWithClient(client, finalQueries, signal, cb);
+      }, function (err, content) {
+        if (!err && cache) cache.set(cacheKey, content.results.slice());
+        done(err, content);
+      });
+    }
+  }, this._dispatchAlgoliaResponse.bind(this, states, queryId));
+};
+
+/**
+ * Compute the states of the helper and of its derived helpers for a search,
+ * with their queries.
+ * @private
+ * @return {array.<{state: SearchParameters, queries: object[], queriesCount: number, helper: AlgoliaSearchHelper}>}
+ */
+AlgoliaSearchHelper.prototype._getSearchStates = function () {
+  var state = this.state;
+  var helpers = [this].concat(this.derivedHelpers);
+
+  return map(helpers, function (helper, i) {
+    var helperState = i === 0 ? state : helper.getModifiedState(state);
+    var queries = requestBuilder._getQueries(helperState.index, helperState);
+
+    return {
+      state: helperState,
+      queries: queries,
+      queriesCount: queries.length,
+      helper: helper
+    };
+  });
+};
+
+/**
+ * Send a search, and send it again when it fails according to the retry policy.
+ * It stops retrying if the search is cancelled or superseded.
+ * @private
+ * @param {number} queryId id of the search
+ * @param {function} send sends the search, called with a node style callback
+ * @param {function} cb node style callback called with the response of the last attempt
+ * @return {undefined}
+ * @fires retry
+ */
+AlgoliaSearchHelper.prototype._retrySearch = function (queryId, send, cb) {
+  var self = this;
+  var policy = this._retryPolicy;
+
+  function isPending() {
+    var pendingSearch = self._pendingSearches[queryId];
+    return !!pendingSearch && !pendingSearch.cancelled;
+  }
+
+  function attempt(attemptNumber) {
+    send(function (err, content) {
+      var shouldRetry = err && policy && attemptNumber < policy.maxAttempts && isPending() && policy.shouldRetry(err);
+
+      if (!shouldRetry) {
+        cb(err, content);
+        return;
+      }
+
+      var delay = Math.min(policy.delay * Math.pow(policy.factor, attemptNumber - 1), policy.maxDelay);
+
+      self.emit('retry', err, attemptNumber, delay);
+
+      setTimeout(function () {
+        // The response of this search would be discarded
+        if (isPending()) attempt(attemptNumber + 1);
+        else cb(err);
+      }, delay);
+    });
+  }
+
+  attempt(1);
+};
+
+/**
+ * Send queries through the `beforeSearch` and `afterResponse` hooks of the
+ * middlewares.
+ * @private
+ * @param {object[]} queries the queries built from the states
+ * @param {SearchParameters[]} states the states used to build the queries
+ * @param {function} send sends the queries, called with the queries modified by
+ * the middlewares and a node style callback to call with the response
+ * @param {function} cb node style callback, called with the response modified by
+ * the middlewares
+ * @return {undefined}
+ */
+AlgoliaSearchHelper.prototype._requestWithMiddlewares = function (queries, states, send, cb) {
+  var middlewares = this._middlewares.slice();
+
+  runHooks(middlewares, 'beforeSearch', queries, states, function (err, finalQueries) {
+    if (err) {
+      cb(err);
+      return;
+    }
+
+    var responded = false;
+
+    try {
+      send(finalQueries, function (searchErr, content) {
+        responded = true;
+
+        if (searchErr) {
+          cb(searchErr);
+          return;
+        }
+
+        runHooks(middlewares, 'afterResponse', content.results, states, function (hookErr, results) {
+          if (hookErr) cb(hookErr);
+          else cb(null, results === content.results ? content : defaults({results: results}, content));
+        });
+      });
+    } catch (e) {
+      // Only the errors of the client are errors of the request, not the ones
+      // thrown while handling its response
+      if (responded) throw e;
+      cb(e);
+    }
+  });
+};
+
+/**
+ * Call the `onError` hooks of the middlewares.
+ * @private
+ * @param {Error} err the error of the request
+ * @param {SearchParameters[]} states the states used for the request
+ * @return {undefined}
+ */
+AlgoliaSearchHelper.prototype._notifyError = function (err, states) {
+  forEach(this._middlewares, function (middleware) {
+    if (middleware.onError) middleware.onError(err, states);
+  });
 };
 
 /**
@@ -1206,36 +2273,157 @@ AlgoliaSearchHelper.prototype._search = function () {
  * @return {undefined}
  */
 AlgoliaSearchHelper.prototype._dispatchAlgoliaResponse = function (states, queryId, err, content) {
-  // FIXME remove the number of outdated queries discarded instead of just one
+  var pendingSearch = this._pendingSearches[queryId];
 
-  if (queryId < this._lastQueryIdReceived) {
-    // Outdated answer
+  if (queryId < this._lastQueryIdReceived || pendingSearch && pendingSearch.cancelled) {
+    // Outdated or cancelled answer
+    delete this._pendingSearches[queryId];
     return;
   }
 
-  this._currentNbQueries -= queryId - this._lastQueryIdReceived;
   this._lastQueryIdReceived = queryId;
 
+  this._settlePendingSearches(queryId);
+
+  var deferred = pendingSearch && pendingSearch.deferred;
+
   if (err) {
+    this._notifyError(err, map(states, 'state'));
+
+    if (deferred) deferred.reject(err);
+
     this.emit('error', err);
 
     if (this._currentNbQueries === 0) this.emit('searchQueueEmpty');
   } else {
     if (this._currentNbQueries === 0) this.emit('searchQueueEmpty');
 
-    var results = content.results;
-    forEach(states, function (s) {
-      var state = s.state;
-      var queriesCount = s.queriesCount;
-      var helper = s.helper;
-      var specificResults = results.splice(0, queriesCount);
-
-      var formattedResponse = helper.lastResults = new SearchResults(state, specificResults);
-      helper.emit('result', formattedResponse, state);
-    });
+    try {
+      this._dispatchResults(states, content.results);
+    } finally {
+      // The promise is settled even if a listener of the results throws
+      if (deferred) deferred.resolve({content: this.lastResults, state: states[0].state});
+    }
   }
 };
 
+/**
+ * Build the results of the helper and of its derived helpers, and trigger their
+ * `result` events.
+ * @private
+ * @param {array.<{state: SearchParameters, queriesCount: number, helper: AlgoliaSearchHelper}>}
+ *  states the states used to build the queries
+ * @param {object[]} results the raw results of all the queries, consumed by the method
+ * @return {undefined}
+ * @fires result
+ */
+AlgoliaSearchHelper.prototype._dispatchResults = function (states, results) {
+  var self = this;
+
+  forEach(states, function (s) {
+    var state = s.state;
+    var queriesCount = s.queriesCount;
+    var helper = s.helper;
+    var specificResults = results.splice(0, queriesCount);
+
+    var formattedResponse = helper.lastResults = new SearchResults(state, specificResults);
+    if (helper === self && self._infiniteHits) {
+      formattedResponse.accumulatedHits = self._infiniteHits.add(state, formattedResponse.hits);
+    }
+    helper.emit('result', formattedResponse, state);
+  });
+};
+
+/**
+ * Remove the search `queryId` and the searches sent before it from the pending
+ * searches. The responses of the older ones will be discarded when they arrive, so
+ * their promises are rejected.
+ * @private
+ * @param {number} queryId id of the most recent response received
+ * @return {undefined}
+ */
+AlgoliaSearchHelper.prototype._settlePendingSearches = function (queryId) {
+  var self = this;
+  forEach(keys(this._pendingSearches), function (key) {
+    var id = Number(key);
+    var pendingSearch = self._pendingSearches[id];
+
+    if (id > queryId) return;
+
+    delete self._pendingSearches[id];
+    pendingSearch.removeAbortListener();
+
+    if (pendingSearch.cancelled) return;
+
+    self._currentNbQueries--;
+
+    if (id < queryId && pendingSearch.deferred) {
+      var error = new Error('The search ' + id + ' has been superseded by the more recent search ' + queryId);
+      error.name = 'SearchSupersededError';
+      pendingSearch.deferred.reject(error);
+    }
+  });
+};
+
+/**
+ * Cancel a search sent with `search` or `searchAsync`. Its response will be
+ * discarded when it arrives.
+ * @private
+ * @param {number} queryId id of the search to cancel
+ * @return {undefined}
+ * @fires searchQueueEmpty
+ */
+AlgoliaSearchHelper.prototype._cancelSearch = function (queryId) {
+  var pendingSearch = this._pendingSearches[queryId];
+  if (!pendingSearch || pendingSearch.cancelled) return;
+
+  pendingSearch.cancelled = true;
+  pendingSearch.removeAbortListener();
+
+  this._currentNbQueries--;
+
+  if (pendingSearch.deferred) pendingSearch.deferred.reject(createCancelledError('The search ' + queryId + ' has been cancelled'));
+  if (this._currentNbQueries === 0) this.emit('searchQueueEmpty');
+};
+
+/**
+ * Register a request sent with `searchOnce` or `searchForFacetValues`, so that it
+ * is counted in the pending requests and that it can be cancelled.
+ * @private
+ * @param {AbortSignal} [signal] signal used to cancel this request
+ * @param {function} onCancel called with the cancellation error if the request is cancelled
+ * @return {{settle: function, cancel: function}} `settle` must be called when the
+ * response is received, it returns `false` if the request has been cancelled in which
+ * case the response should be ignored.
+ */
+AlgoliaSearchHelper.prototype._addPendingRequest = function (signal, onCancel) {
+  var self = this;
+  var removeAbortListener = noop;
+  var request = {
+    settle: function () {
+      var position = indexOf(self._pendingRequests, request);
+      if (position === -1) return false;
+
+      self._pendingRequests.splice(position, 1);
+      removeAbortListener();
+
+      self._currentNbQueries--;
+      if (self._currentNbQueries === 0) self.emit('searchQueueEmpty');
+      return true;
+    },
+    cancel: function () {
+      if (request.settle()) onCancel(createCancelledError('The request has been cancelled'));
+    }
+  };
+
+  this._pendingRequests.push(request);
+  this._currentNbQueries++;
+
+  removeAbortListener = onAbort(signal, request.cancel);
+
+  return request;
+};
+
 AlgoliaSearchHelper.prototype.containsRefinement = function (query, facetFilters, numericFilters, tagFilters) {
   return query || facetFilters.length !== 0 || numericFilters.length !== 0 || tagFilters.length !== 0;
 };
@@ -1250,19 +2438,47 @@ AlgoliaSearchHelper.prototype._hasDisjunctiveRefinements = function (facet) {
   return this.state.disjunctiveRefinements[facet] && this.state.disjunctiveRefinements[facet].length > 0;
 };
 
-AlgoliaSearchHelper.prototype._change = function (newState) {
+/*
+ * Change the state, recording the previous one in the history. The `change`
+ * event is not triggered if `silent`, the rest of the change is the same.
+ */
+AlgoliaSearchHelper.prototype._change = function (newState, silent) {
+  if (newState !== this.state && this._history && this._batchLevel === 0) this._history.record(this.state);
+  this._changeWithoutHistory(newState, silent);
+};
+
+AlgoliaSearchHelper.prototype._changeWithoutHistory = function (newState, silent) {
+  if (this._batchLevel > 0) {
+    // The change event is triggered at the end of the batch
+    this.state = newState;
+    return;
+  }
+
   if (newState !== this.state) {
+    // The diff is only computed if there is something to read it
+    var diff = !silent && this.listeners('change').length > 0 || some(this._middlewares, 'onStateChange') ?
+      SearchParameters.diff(this.state, newState) :
+      undefined;
     this.state = newState;
-    this.emit('change', this.state, this.lastResults);
+
+    if (this._infiniteHits) this._infiniteHits.sync(newState);
+
+    forEach(this._middlewares, function (middleware) {
+      if (middleware.onStateChange) middleware.onStateChange(newState, diff);
+    });
+
+    if (!silent) this.emit('change', this.state, this.lastResults, diff);
   }
 };
 
 /**
- * Clears the cache of the underlying Algolia client.
+ * Clears the cache of the underlying Algolia client, and the cache of the
+ * helper if it is enabled.
  * @return {AlgoliaSearchHelper}
  */
 AlgoliaSearchHelper.prototype.clearCache = function () {
   this.client.clearCache();
+  if (this._responseCache) this._responseCache.clear();
   return this;
 };
 
@@ -1277,6 +2493,8 @@ AlgoliaSearchHelper.prototype.setClient = function (newClient) {
 
   if (newClient.addAlgoliaAgent && !doesClientAgentContainsHelper(newClient)) newClient.addAlgoliaAgent('JS Helper ' + version);
   this.client = newClient;
+  // The responses stored might not be valid for the new client
+  if (this._responseCache) this._responseCache.clear();
 
   return this;
 };
@@ -1289,6 +2507,58 @@ AlgoliaSearchHelper.prototype.getClient = function () {
   return this.client;
 };
 
+/**
+ * Hooks called around the requests of the helper. All the hooks are optional.
+ * `beforeSearch` and `afterResponse` can return a new value, a promise of a new
+ * value, or nothing to keep the value they received (which they can modify).
+ * @typedef AlgoliaSearchHelper.Middleware
+ * @type {object}
+ * @property {function(SearchParameters, SearchParameters.PatchOperation[])} [onStateChange]
+ * called with the new state and the diff, before the `change` event
+ * @property {function(object[], SearchParameters[]): object[]} [beforeSearch] called with
+ * the queries and the states used to build them, before the queries are sent
+ * @property {function(object[], SearchParameters[]): object[]} [afterResponse] called with
+ * the raw results and the states, before the results are built from them
+ * @property {function(Error, SearchParameters[])} [onError] called when a request fails
+ */
+
+/**
+ * Add a middleware to the helper. The middlewares are used for the searches made
+ * with `search`, `searchOnce` and `searchForFacetValues`, in the order in which
+ * they have been added.
+ * @param {AlgoliaSearchHelper.Middleware} middleware the hooks to add
+ * @return {AlgoliaSearchHelper}
+ * @chainable
+ * @example
+ * helper.use({
+ *   beforeSearch: function(queries) {
+ *     return queries.map(function(query) {
+ *       query.params.analyticsTags = ['web'];
+ *       return query;
+ *     });
+ *   },
+ *   afterResponse: function(rawResults) {
+ *     return fetchPrices(rawResults); // a promise of the modified results
+ *   }
+ * });
+ */
+AlgoliaSearchHelper.prototype.use = function (middleware) {
+  this._middlewares.push(middleware);
+  return this;
+};
+
+/**
+ * Remove a middleware added with `use`.
+ * @param {AlgoliaSearchHelper.Middleware} middleware the hooks to remove
+ * @return {AlgoliaSearchHelper}
+ * @chainable
+ */
+AlgoliaSearchHelper.prototype.unuse = function (middleware) {
+  var position = indexOf(this._middlewares, middleware);
+  if (position !== -1) this._middlewares.splice(position, 1);
+  return this;
+};
+
 /**
  * Creates an derived instance of the Helper. A derived helper
  * is a way to request other indices synchronised with the lifecycle
@@ -1305,11 +2575,18 @@ AlgoliaSearchHelper.prototype.getClient = function () {
  * events, however, will receive data specific to this DerivedHelper
  * and the SearchParameters that is returned by the call of the
  * parameter function.
+ *
+ * When the state returned by the function targets one of the replicas of its
+ * `sortBy` parameter, the derived helper follows the sort order of the main
+ * Helper: it uses the replica of the same label, if there is one.
  * @param {function} fn SearchParameters -> SearchParameters
+ * @param {object} [options] options of the derived helper
+ * @param {boolean} [options.followSortBy=true] set to false to keep the index
+ * of the state returned by `fn`
  * @return {DerivedHelper}
  */
-AlgoliaSearchHelper.prototype.derive = function (fn) {
-  var derivedHelper = new DerivedHelper(this, fn);
+AlgoliaSearchHelper.prototype.derive = function (fn, options) {
+  var derivedHelper = new DerivedHelper(this, fn, options);
   this.derivedHelpers.push(derivedHelper);
   return derivedHelper;
 };
@@ -1335,6 +2612,46 @@ AlgoliaSearchHelper.prototype.hasPendingRequests = function () {
   return this._currentNbQueries > 0;
 };
 
+/**
+ * Cancel all the on-going searches: the ones sent with `search`, `searchAsync`,
+ * `searchOnce` and `searchForFacetValues`. Their responses will be ignored when
+ * they arrive, and the promises or callbacks of those requests receive an error
+ * whose `name` is `SearchCancelledError`. The searches delayed by the search mode
+ * are not sent.
+ *
+ * To cancel a single request, pass a `signal` in the options of the method used
+ * to send it.
+ * @return {AlgoliaSearchHelper}
+ * @fires searchQueueEmpty
+ * @chainable
+ * @example
+ * helper.setQuery('iphone').search();
+ * helper.cancelPendingSearches();
+ * helper.hasPendingRequests(); // false
+ */
+AlgoliaSearchHelper.prototype.cancelPendingSearches = function () {
+  var self = this;
+  var scheduledSearch = this._scheduledSearch;
+
+  if (scheduledSearch) {
+    this._scheduledSearch = null;
+    this._searchScheduler.cancel();
+    forEach(scheduledSearch.deferreds, function (deferred) {
+      deferred.reject(createCancelledError('The scheduled search has been cancelled'));
+    });
+  }
+
+  forEach(keys(this._pendingSearches), function (queryId) {
+    self._cancelSearch(Number(queryId));
+  });
+
+  forEach(this._pendingRequests.slice(), function (request) {
+    request.cancel();
+  });
+
+  return this;
+};
+
 /**
  * @typedef AlgoliaSearchHelper.NumericRefinement
  * @type {object}
@@ -1351,6 +2668,160 @@ AlgoliaSearchHelper.prototype.hasPendingRequests = function () {
  * @property {string} type the type of filter: 'conjunctive', 'disjunctive', 'exclude'
  */
 
+function noop() {}
+
+/*
+ * Call the hook of each middleware with the value returned by the previous one,
+ * then call `cb` with the final value. A hook can return a new value, a promise
+ * of it or undefined to keep the current value. `cb` is called once, synchronously
+ * if no hook returns a promise.
+ */
+function runHooks(middlewares, hookName, value, states, cb) {
+  var called = false;
+
+  function done(err, v) {
+    if (called) return;
+    called = true;
+    cb(err, v);
+  }
+
+  function next(i, current) {
+    if (i === middlewares.length) {
+      done(null, current);
+      return;
+    }
+
+    var hook = middlewares[i][hookName];
+    if (!hook) {
+      next(i + 1, current);
+      return;
+    }
+
+    var result;
+    try {
+      result = hook(current, states);
+    } catch (e) {
+      done(e);
+      return;
+    }
+
+    if (result && isFunction(result.then)) {
+      // The next hooks and `cb` run outside of the promise chain, otherwise the
+      // errors thrown by them, or by the listeners of the events, would be lost
+      result.then(function (v) {
+        defer(next, i + 1, v === undefined ? current : v);
+      }, function (e) {
+        defer(done, e);
+      });
+    } else {
+      next(i + 1, result === undefined ? current : result);
+    }
+  }
+
+  next(0, value);
+}
+
+/*
+ * Build the retry policy from the retry option, with the defaults for the
+ * missing values. Returns null if there is no retry.
+ */
+function createRetryPolicy(retryOptions) {
+  if (!retryOptions) return null;
+
+  var policy = defaults({}, retryOptions === true ? {} : retryOptions, {
+    maxAttempts: 3,
+    delay: 100,
+    factor: 2,
+    maxDelay: 5000,
+    shouldRetry: isTransientError
+  });
+
+  if (!(policy.maxAttempts >= 1)) throw new Error('The maxAttempts of the retry option should be at least 1');
+
+  return policy;
+}
+
+// The errors of the Algolia client when the request got no response
+var NETWORK_ERRORS = ['AlgoliaSearchNetworkError', 'AlgoliaSearchRequestTimeoutError', 'AlgoliaSearchJSONPScriptFailError'];
+
+/*
+ * Only the network errors and the server errors are retried: the other errors,
+ * like the ones thrown by the middlewares, would fail the same way again.
+ */
+function isTransientError(err) {
+  var status = err.statusCode;
+  if (status === 429 || status >= 500) return true;
+  return status === 0 || indexOf(NETWORK_ERRORS, err.name) !== -1;
+}
+
+function getInfiniteHits(helper) {
+  if (!helper._infiniteHits) throw new Error('The infinite hits are not enabled, use the `infiniteHits` option of the helper');
+  return helper._infiniteHits;
+}
+
+function getHistory(helper) {
+  if (!helper._history) throw new Error('The history is not enabled, use the `history` option of the helper');
+  return helper._history;
+}
+
+/*
+ * Create the function sending the scheduled searches of a helper, rate limited
+ * according to its search mode. Returns null if there is no search mode.
+ */
+function createSearchScheduler(helper, searchMode) {
+  if (!searchMode) return null;
+
+  var sendScheduledSearch = function () {
+    helper._sendScheduledSearch();
+  };
+  var rateLimitOptions = {leading: searchMode.leading === true, trailing: true};
+
+  if (isNumber(searchMode.debounce)) return debounce(sendScheduledSearch, searchMode.debounce, rateLimitOptions);
+  if (isNumber(searchMode.throttle)) return throttle(sendScheduledSearch, searchMode.throttle, rateLimitOptions);
+
+  throw new Error('The searchMode should define either `debounce` or `throttle` as a number of milliseconds');
+}
+
+function createCancelledError(message) {
+  var error = new Error(message);
+  error.name = 'SearchCancelledError';
+  return error;
+}
+
+/*
+ * Read the abort signal from the options of a request
+ */
+function getSignal(requestOptions) {
+  return requestOptions && requestOptions.signal || undefined;
+}
+
+/*
+ * Call fn when the signal is aborted, or right away if it already is. Signals
+ * follow the DOM AbortSignal interface. Returns a function removing the listener.
+ */
+function onAbort(signal, fn) {
+  if (!signal) return noop;
+
+  if (signal.aborted) {
+    fn();
+    return noop;
+  }
+
+  signal.addEventListener('abort', fn);
+  return function removeAbortListener() {
+    signal.removeEventListener('abort', fn);
+  };
+}
+
+/*
+ * The signal is only passed to the client when there is one, the clients
+ * that don't support it ignore the extra options.
+ */
+function searchWithClient(client, queries, signal, cb) {
+  if (signal) return client.search(queries, {signal: signal}, cb);
+  return client.search(queries, cb);
+}
+
 /*
  * This function tests if the _ua parameter of the client
  * already contains the JS Helper UA
@@ -0,0 +1,365 @@
+'use strict';
+
+/**
+ * Builders of filter expressions, to combine filters on different attributes
+ * with `and`, `or` and `not`. The expressions are plain objects that can be
+ * serialized, and are used with {@link SearchParameters#addFilterExpression}.
+ * @module algoliasearchHelper.filters
+ * @example
+ * var filters = algoliasearchHelper.filters;
+ * helper.addFilterExpression(filters.or(
+ *   filters.eq('brand', 'Apple'),
+ *   filters.and(filters.gte('price', 100), filters.eq('color', 'red'))
+ * )).search();
+ */
+
+var forEach = require('lodash/forEach');
+var isArray = require('lodash/isArray');
+var isBoolean = require('lodash/isBoolean');
+var isNumber = require('lodash/isNumber');
+var isPlainObject = require('lodash/isPlainObject');
+var isString = require('lodash/isString');
+var map = require('lodash/map');
+var some = require('lodash/some');
+var uniq = require('lodash/uniq');
+
+/**
+ * A node of a filter expression. Its `type` is one of:
+ * - `and` / `or`: combination of the `filters`
+ * - `not`: negation of the `filter`
+ * - `facet`: the `attribute` has the string `value`
+ * - `numeric`: comparison of the `attribute` with the number `value` using the `operator`
+ * - `tag`: the record has the tag `value`
+ * @typedef {object} algoliasearchHelper.filters.FilterExpression
+ * @property {string} type the type of node
+ * @property {string} [attribute] the attribute to filter on
+ * @property {string} [operator] the operator of a numeric comparison
+ * @property {string|number} [value] the value to compare with
+ * @property {algoliasearchHelper.filters.FilterExpression[]} [filters] the combined expressions
+ * @property {algoliasearchHelper.filters.FilterExpression} [filter] the negated expression
+ */
+
+var NUMERIC_OPERATORS = ['=', '!=', '<', '<=', '>', '>='];
+
+// the distribution of the disjunctions grows exponentially with their nesting
+var MAX_CLAUSES = 100;
+
+/**
+ * All the filters should match.
+ * @param {...algoliasearchHelper.filters.FilterExpression} filter the filters to combine
+ * @return {algoliasearchHelper.filters.FilterExpression}
+ */
+function and() {
+  return {type: 'and', filters: Array.prototype.slice.call(arguments)};
+}
+
+/**
+ * At least one of the filters should match.
+ * @param {...algoliasearchHelper.filters.FilterExpression} filter the filters to combine
+ * @return {algoliasearchHelper.filters.FilterExpression}
+ */
+function or() {
+  return {type: 'or', filters: Array.prototype.slice.call(arguments)};
+}
+
+/**
+ * The filter should not match.
+ * @param {algoliasearchHelper.filters.FilterExpression} filter the filter to negate
+ * @return {algoliasearchHelper.filters.FilterExpression}
+ */
+function not(filter) {
+  return {type: 'not', filter: filter};
+}
+
+/**
+ * The attribute should be equal to the value. A number is compared numerically,
+ * other values are facet values.
+ * @param {string} attribute the attribute to filter on
+ * @param {string|number|boolean} value the value
+ * @return {algoliasearchHelper.filters.FilterExpression}
+ */
+function eq(attribute, value) {
+  if (isNumber(value)) return numeric(attribute, '=', value);
+  return {type: 'facet', attribute: attribute, value: String(value)};
+}
+
+/**
+ * The attribute should be different from the value. A number is compared
+ * numerically, other values are facet values.
+ * @param {string} attribute the attribute to filter on
+ * @param {string|number|boolean} value the value
+ * @return {algoliasearchHelper.filters.FilterExpression}
+ */
+function neq(attribute, value) {
+  if (isNumber(value)) return numeric(attribute, '!=', value);
+  return not(eq(attribute, value));
+}
+
+/**
+ * The attribute should be lower than the value.
+ * @param {string} attribute the numeric attribute to filter on
+ * @param {number} value the value
+ * @return {algoliasearchHelper.filters.FilterExpression}
+ */
+function lt(attribute, value) {
+  return numeric(attribute, '<', value);
+}
+
+/**
+ * The attribute should be lower than or equal to the value.
+ * @param {string} attribute the numeric attribute to filter on
+ * @param {number} value the value
+ * @return {algoliasearchHelper.filters.FilterExpression}
+ */
+function lte(attribute, value) {
+  return numeric(attribute, '<=', value);
+}
+
+/**
+ * The attribute should be greater than the value.
+ * @param {string} attribute the numeric attribute to filter on
+ * @param {number} value the value
+ * @return {algoliasearchHelper.filters.FilterExpression}
+ */
+function gt(attribute, value) {
+  return numeric(attribute, '>', value);
+}
+
+/**
+ * The attribute should be greater than or equal to the value.
+ * @param {string} attribute the numeric attribute to filter on
+ * @param {number} value the value
+ * @return {algoliasearchHelper.filters.FilterExpression}
+ */
+function gte(attribute, value) {
+  return numeric(attribute, '>=', value);
+}
+
+/**
+ * The record should have the tag.
+ * @param {string} value the tag
+ * @return {algoliasearchHelper.filters.FilterExpression}
+ */
+function tag(value) {
+  return {type: 'tag', value: String(value)};
+}
+
+function numeric(attribute, operator, value) {
+  return {type: 'numeric', attribute: attribute, operator: operator, value: value};
+}
+
+/**
+ * Check that an expression is well formed, and that its compiled form is not
+ * larger than 100 disjunctions.
+ * @private
+ * @param {algoliasearchHelper.filters.FilterExpression} expression the expression to check
+ * @return {undefined}
+ * @throws will throw an error describing the first invalid node
+ */
+function validate(expression) {
+  validateNode(expression);
+  toClauses(expression, false);
+}
+
+function validateNode(expression) {
+  if (!isPlainObject(expression)) {
+    throw new Error('[Filter expression] Expected an expression, got: ' + JSON.stringify(expression));
+  }
+
+  var type = expression.type;
+
+  if (type === 'and' || type === 'or') {
+    if (!isArray(expression.filters) || expression.filters.length === 0) {
+      throw new Error('[Filter expression] `' + type + '` expects at least one filter');
+    }
+    forEach(expression.filters, validateNode);
+  } else if (type === 'not') {
+    validateNode(expression.filter);
+  } else if (type === 'facet' || type === 'tag') {
+    if (type === 'facet') validateAttribute(expression);
+    if (!isString(expression.value) && !isBoolean(expression.value)) {
+      throw new Error('[Filter expression] The value should be a string, got: ' + JSON.stringify(expression.value));
+    }
+  } else if (type === 'numeric') {
+    validateAttribute(expression);
+    if (NUMERIC_OPERATORS.indexOf(expression.operator) === -1) {
+      throw new Error('[Filter expression] Unknown numeric operator: ' + expression.operator);
+    }
+    if (!isNumber(expression.value) || isNaN(expression.value)) {
+      throw new Error('[Filter expression] The value of `' + expression.attribute + ' ' + expression.operator + '` should be a number, got: ' + JSON.stringify(expression.value));
+    }
+  } else {
+    throw new Error('[Filter expression] Unknown type of filter: ' + type);
+  }
+}
+
+function validateAttribute(expression) {
+  if (!isString(expression.attribute) || expression.attribute === '') {
+    throw new Error('[Filter expression] The attribute should be a non empty string, got: ' + JSON.stringify(expression.attribute));
+  }
+}
+
+/**
+ * Compile an expression in the `filters` format of the Algolia API. The API
+ * only accepts conjunctions of disjunctions, so the expression is normalized:
+ * the negations are moved to the filters and the disjunctions are distributed
+ * over the conjunctions. A disjunction of numeric and facet filters can't be
+ * normalized this way, the expression is then kept with its nesting.
+ * @private
+ * @param {algoliasearchHelper.filters.FilterExpression} expression the expression to compile
+ * @return {string} the expression in the `filters` format
+ */
+function toFilters(expression) {
+  var clauses = toClauses(expression, false);
+
+  var isMixed = some(clauses, function (clause) {
+    return uniq(map(clause, 'type')).length > 1;
+  });
+
+  if (isMixed) return formatNested(expression, false, false);
+
+  return map(clauses, formatClause).join(' AND ');
+}
+
+function formatClause(clause) {
+  var filters = map(clause, 'filter');
+  return filters.length === 1 ? filters[0] : '(' + filters.join(' OR ') + ')';
+}
+
+/*
+ * The expression as is, with the negations moved to the filters. The
+ * disjunctions are in parentheses, to be combined with other filters.
+ */
+function formatNested(expression, negated, isNested) {
+  var type = expression.type;
+
+  if (type === 'not') return formatNested(expression.filter, !negated, isNested);
+
+  if (type === 'and' || type === 'or') {
+    var filters = map(expression.filters, function (filter) {
+      return formatNested(filter, negated, true);
+    });
+
+    if (filters.length === 1) return filters[0];
+
+    var isConjunction = type === 'and' !== negated;
+    var formatted = filters.join(isConjunction ? ' AND ' : ' OR ');
+    return isNested || !isConjunction ? '(' + formatted + ')' : formatted;
+  }
+
+  return formatFilter(expression, negated).filter;
+}
+
+/*
+ * Conjunction of disjunctions of filters, as an array of arrays of
+ * {type, filter}, the type being `numeric` or `facet` (tags included)
+ */
+function toClauses(expression, negated) {
+  var type = expression.type;
+
+  if (type === 'not') return toClauses(expression.filter, !negated);
+
+  if (type === 'and' || type === 'or') {
+    var clausesOfFilters = map(expression.filters, function (filter) {
+      return toClauses(filter, negated);
+    });
+
+    // De Morgan: a negated `or` is a conjunction, a negated `and` a disjunction
+    var isConjunction = type === 'and' !== negated;
+    return isConjunction ? Array.prototype.concat.apply([], clausesOfFilters) : distribute(clausesOfFilters);
+  }
+
+  return [[formatFilter(expression, negated)]];
+}
+
+function formatFilter(expression, negated) {
+  var type = expression.type;
+  var filter = type === 'numeric' ?
+    formatNumericFilter(expression.attribute, expression.operator, expression.value) :
+    formatFacetFilter(type === 'tag' ? '_tags' : expression.attribute, expression.value);
+
+  return {
+    type: type === 'numeric' ? 'numeric' : 'facet',
+    filter: negated ? 'NOT ' + filter : filter
+  };
+}
+
+/*
+ * Disjunction of conjunctions, each being a list of clauses, converted to a
+ * list of clauses: (A AND B) OR C is (A OR C) AND (B OR C)
+ */
+function distribute(clausesOfFilters) {
+  var clauses = [[]];
+
+  forEach(clausesOfFilters, function (filterClauses) {
+    var distributed = [];
+    forEach(clauses, function (clause) {
+      forEach(filterClauses, function (filterClause) {
+        distributed.push(clause.concat(filterClause));
+      });
+    });
+
+    if (distributed.length > MAX_CLAUSES) {
+      throw new Error('[Filter expression] The expression is too complex, its disjunctions make more than ' + MAX_CLAUSES + ' groups of filters');
+    }
+
+    clauses = distributed;
+  });
+
+  return clauses;
+}
+
+/*
+ * Attribute name in a `filters` expression, quoted when it is not a plain name
+ * or when it is a keyword of the syntax.
+ */
+function formatAttribute(attribute) {
+  if (/^[A-Za-z_][\w.]*$/.test(attribute) && !/^(AND|OR|NOT|TO)$/i.test(attribute)) {
+    return attribute;
+  }
+  return quote(attribute);
+}
+
+function quote(value) {
+  return '"' + String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"') + '"';
+}
+
+/**
+ * Format a facet filter in the `filters` format
+ * @private
+ * @param {string} attribute the attribute
+ * @param {string} value the facet value
+ * @return {string}
+ */
+function formatFacetFilter(attribute, value) {
+  return formatAttribute(attribute) + ':' + quote(value);
+}
+
+/**
+ * Format a numeric filter in the `filters` format
+ * @private
+ * @param {string} attribute the attribute
+ * @param {string} operator the comparison operator
+ * @param {number} value the value to compare with
+ * @return {string}
+ */
+function formatNumericFilter(attribute, operator, value) {
+  return formatAttribute(attribute) + ' ' + operator + ' ' + value;
+}
+
+module.exports = {
+  and: and,
+  or: or,
+  not: not,
+  eq: eq,
+  neq: neq,
+  lt: lt,
+  lte: lte,
+  gt: gt,
+  gte: gte,
+  tag: tag,
+  validate: validate,
+  toFilters: toFilters,
+  formatFacetFilter: formatFacetFilter,
+  formatNumericFilter: formatNumericFilter
+};
\ No newline at end of file
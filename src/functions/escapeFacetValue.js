@@ -0,0 +1,34 @@
+'use strict';
+
+/*
+ * In `facetFilters`, a value starting with `-` is an exclusion. Such a value is
+ * escaped with a backslash, as well as a value starting with backslashes and a
+ * `-`, so that the escaping can be reversed.
+ */
+var ESCAPED_PREFIX = /^(\\*-)/;
+var UNESCAPED_PREFIX = /^\\(\\*-)/;
+
+/**
+ * Escape a facet value to use it in `facetFilters`.
+ * @private
+ * @param {string} value the facet value
+ * @return {string} the escaped value
+ */
+function escapeFacetValue(value) {
+  return String(value).replace(ESCAPED_PREFIX, '\\$1');
+}
+
+/**
+ * Reverse `escapeFacetValue`.
+ * @private
+ * @param {string} value the escaped facet value
+ * @return {string} the facet value
+ */
+function unescapeFacetValue(value) {
+  return String(value).replace(UNESCAPED_PREFIX, '$1');
+}
+
+module.exports = {
+  escapeFacetValue: escapeFacetValue,
+  unescapeFacetValue: unescapeFacetValue
+};
\ No newline at end of file
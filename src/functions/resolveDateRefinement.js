@@ -0,0 +1,128 @@
+'use strict';
+
+// formatters are expensive to create, they are kept for each timezone
+var formatters = {};
+
+/*
+ * Difference in milliseconds between the wall clock time in the timezone and
+ * UTC at the instant `time`. Without a timezone, the local one is used.
+ */
+function getOffset(time, timezone) {
+  if (timezone === undefined) return -new Date(time).getTimezoneOffset() * 60 * 1000;
+
+  if (!formatters[timezone]) {
+    formatters[timezone] = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hour12: false,
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    });
+  }
+
+  var parts = {};
+  formatters[timezone].formatToParts(new Date(time)).forEach(function (part) {
+    parts[part.type] = parseInt(part.value, 10);
+  });
+
+  // some implementations format midnight as 24:00:00
+  var wallTime = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour % 24, parts.minute, parts.second);
+  return wallTime - Math.floor(time / 1000) * 1000;
+}
+
+/*
+ * Calendar date in the timezone at the instant `time`, as a date in UTC
+ */
+function toWallDate(time, timezone) {
+  return new Date(time + getOffset(time, timezone));
+}
+
+/*
+ * Instant of the start of a day in the timezone. The day and the month can
+ * overflow, like with `Date.UTC`.
+ */
+function startOfDay(year, month, day, timezone) {
+  var wallTime = Date.UTC(year, month, day);
+  // the offset depends on the instant, the second pass handles the daylight saving changes
+  var time = wallTime - getOffset(wallTime, timezone);
+  return wallTime - getOffset(time, timezone);
+}
+
+function lastDays(days) {
+  return function (y, m, d, weekDay, timezone) {
+    return [startOfDay(y, m, d - days + 1, timezone), startOfDay(y, m, d + 1, timezone)];
+  };
+}
+
+/*
+ * Start (included) and end (excluded) of each preset, from the calendar date of
+ * the current day
+ */
+var presets = {
+  today: function (y, m, d, weekDay, timezone) {
+    return [startOfDay(y, m, d, timezone), startOfDay(y, m, d + 1, timezone)];
+  },
+  yesterday: function (y, m, d, weekDay, timezone) {
+    return [startOfDay(y, m, d - 1, timezone), startOfDay(y, m, d, timezone)];
+  },
+  last7days: lastDays(7),
+  last30days: lastDays(30),
+  // the weeks start on monday
+  thisWeek: function (y, m, d, weekDay, timezone) {
+    var monday = d - (weekDay + 6) % 7;
+    return [startOfDay(y, m, monday, timezone), startOfDay(y, m, monday + 7, timezone)];
+  },
+  thisMonth: function (y, m, d, weekDay, timezone) {
+    return [startOfDay(y, m, 1, timezone), startOfDay(y, m + 1, 1, timezone)];
+  },
+  lastMonth: function (y, m, d, weekDay, timezone) {
+    return [startOfDay(y, m - 1, 1, timezone), startOfDay(y, m, 1, timezone)];
+  },
+  thisYear: function (y, m, d, weekDay, timezone) {
+    return [startOfDay(y, 0, 1, timezone), startOfDay(y + 1, 0, 1, timezone)];
+  }
+};
+
+/**
+ * Compute the bounds of a date refinement, in milliseconds since the epoch.
+ * The presets are relative to `now`, in the timezone of the refinement.
+ * @private
+ * @param {SearchParameters.DateRefinement} refinement the refinement to resolve
+ * @param {number} now the current time, in milliseconds since the epoch
+ * @return {{min: number, max: number, maxInclusive: boolean}} the bounds, `min` is
+ * always included, `min` or `max` are undefined for an open range
+ * @throws will throw an error if the preset or the timezone is unknown
+ */
+function resolveDateRefinement(refinement, now) {
+  if (refinement.preset === undefined) {
+    return {min: refinement.from, max: refinement.to, maxInclusive: true};
+  }
+
+  if (!presets.hasOwnProperty(refinement.preset)) {
+    throw new Error('[Date refinement] Unknown preset: ' + refinement.preset + ', the presets are: ' + Object.keys(presets).join(', '));
+  }
+
+  var wallDate;
+  try {
+    wallDate = toWallDate(now, refinement.timezone);
+  } catch (e) {
+    throw new Error('[Date refinement] Unknown timezone: ' + refinement.timezone);
+  }
+
+  var bounds = presets[refinement.preset](
+    wallDate.getUTCFullYear(),
+    wallDate.getUTCMonth(),
+    wallDate.getUTCDate(),
+    wallDate.getUTCDay(),
+    refinement.timezone
+  );
+
+  return {min: bounds[0], max: bounds[1], maxInclusive: false};
+}
+
+resolveDateRefinement.PRESETS = Object.keys(presets);
+
+module.exports = resolveDateRefinement;
\ No newline at end of file
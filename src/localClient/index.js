@@ -0,0 +1,120 @@
+'use strict';
+
+var defaults = require('lodash/defaults');
+var defer = require('lodash/defer');
+var has = require('lodash/has');
+var isArray = require('lodash/isArray');
+var isFunction = require('lodash/isFunction');
+var map = require('lodash/map');
+
+var searchIndex = require('./searchIndex');
+
+/**
+ * Create a client searching in records kept in memory, instead of sending the
+ * queries to Algolia. It implements the parts of the Algolia client used by the
+ * helper: `search` (multiple queries) and `initIndex(name).searchForFacetValues`,
+ * with callbacks or promises.
+ *
+ * The engine supports the text query (every word should be found in a searchable
+ * attribute, the last one being a prefix), `facetFilters`, `numericFilters`,
+ * `tagFilters` (on `_tags`), `filters`, the facet counts, `facets_stats`, `maxValuesPerFacet`,
+ * `attributesToRetrieve` and the pagination. There is no ranking: the hits are in
+ * the order of the records.
+ *
+ * It is useful for tests and demos that should not depend on the network.
+ * @param {object[]|Object.<string, object[]>} records the records to search into,
+ * for all the indices, or an object with the records of each index
+ * @param {object} [settings] settings of the indices
+ * @param {string[]} [settings.searchableAttributes] attributes used by the text
+ * query, all the attributes by default
+ * @param {string[]} [settings.attributesForFaceting] attributes that can be used
+ * as facets, all the attributes by default
+ * @param {number} [settings.hitsPerPage=20] default number of hits per page
+ * @param {number} [settings.maxValuesPerFacet=100] default number of values per facet
+ * @return {object} a client that can be used with the helper
+ * @example
+ * var client = algoliasearchHelper.createLocalClient([
+ *   {objectID: '1', name: 'iPhone', brand: 'Apple', price: 999},
+ *   {objectID: '2', name: 'Galaxy', brand: 'Samsung', price: 899}
+ * ]);
+ * var helper = algoliasearchHelper(client, 'products', {disjunctiveFacets: ['brand']});
+ */
+function createLocalClient(records, settings) {
+  var indexSettings = defaults({}, settings, {
+    hitsPerPage: 20,
+    maxValuesPerFacet: 100
+  });
+
+  function getRecords(indexName) {
+    if (isArray(records)) return records;
+    if (has(records, indexName)) return records[indexName];
+
+    var error = new Error('Index ' + indexName + ' does not exist');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  var client = {
+    search: function (queries, opts, cb) {
+      var callback = isFunction(opts) ? opts : cb;
+
+      return respond(callback, function () {
+        return {
+          results: map(queries, function (query) {
+            return searchIndex.search(getRecords(query.indexName), query.params || {}, indexSettings, query.indexName);
+          })
+        };
+      });
+    },
+
+    initIndex: function (indexName) {
+      return {
+        indexName: indexName,
+        search: function (params, cb) {
+          return respond(cb, function () {
+            return searchIndex.search(getRecords(indexName), params || {}, indexSettings, indexName);
+          });
+        },
+        searchForFacetValues: function (params, opts, cb) {
+          var callback = isFunction(opts) ? opts : cb;
+
+          return respond(callback, function () {
+            return searchIndex.searchForFacetValues(getRecords(indexName), params, indexSettings);
+          });
+        }
+      };
+    },
+
+    addAlgoliaAgent: function () {},
+
+    clearCache: function () {}
+  };
+
+  return client;
+}
+
+/*
+ * Compute the response asynchronously, like a request, and give it to the
+ * callback or return a promise if there is no callback.
+ */
+function respond(cb, compute) {
+  if (isFunction(cb)) {
+    defer(function () {
+      var content;
+      try {
+        content = compute();
+      } catch (e) {
+        cb(e);
+        return;
+      }
+      cb(null, content);
+    });
+    return undefined;
+  }
+
+  return new Promise(function (resolve) {
+    defer(resolve);
+  }).then(compute);
+}
+
+module.exports = createLocalClient;
\ No newline at end of file
@@ -0,0 +1,655 @@
+'use strict';
+
+/**
+ * Search engine over an array of records, implementing the subset of the Algolia
+ * search API used by the helper.
+ *
+ * @module localClient.searchIndex
+ */
+
+var filter = require('lodash/filter');
+var find = require('lodash/find');
+var forEach = require('lodash/forEach');
+var forOwn = require('lodash/forOwn');
+var get = require('lodash/get');
+var indexOf = require('lodash/indexOf');
+var isArray = require('lodash/isArray');
+var isPlainObject = require('lodash/isPlainObject');
+var isString = require('lodash/isString');
+var isUndefined = require('lodash/isUndefined');
+var keys = require('lodash/keys');
+var map = require('lodash/map');
+var pick = require('lodash/pick');
+var some = require('lodash/some');
+var every = require('lodash/every');
+var trim = require('lodash/trim');
+
+var unescapeFacetValue = require('../functions/escapeFacetValue').unescapeFacetValue;
+
+// The operators containing other operators come first, for the parsing
+var NUMERIC_OPERATORS = ['<=', '>=', '!=', '<', '>', '='];
+
+var NUMERIC_COMPARATORS = {
+  '=': function (value, expected) {
+    return value === expected;
+  },
+  '!=': function (value, expected) {
+    return value !== expected;
+  },
+  '<': function (value, expected) {
+    return value < expected;
+  },
+  '<=': function (value, expected) {
+    return value <= expected;
+  },
+  '>': function (value, expected) {
+    return value > expected;
+  },
+  '>=': function (value, expected) {
+    return value >= expected;
+  },
+  TO: function (value, range) {
+    return value >= range[0] && value <= range[1];
+  }
+};
+
+/**
+ * Search records with the parameters of a query.
+ * @param {object[]} records the records of the index
+ * @param {object} params the parameters of the query, as built by the requestBuilder
+ * @param {object} settings the settings of the index
+ * @param {string} indexName the name of the index
+ * @return {object} the result of the query, in the format of the Algolia API
+ * @throws Error if the parameters are invalid, with a `statusCode` of 400
+ */
+function search(records, params, settings, indexName) {
+  var matching = filterRecords(records, params, settings);
+
+  var hitsPerPage = isUndefined(params.hitsPerPage) ? settings.hitsPerPage : Number(params.hitsPerPage);
+  var page = Number(params.page) || 0;
+  var nbHits = matching.length;
+  var start = page * hitsPerPage;
+
+  var result = {
+    hits: map(matching.slice(start, start + hitsPerPage), function (record) {
+      return retrieveAttributes(record, params.attributesToRetrieve);
+    }),
+    nbHits: nbHits,
+    page: page,
+    nbPages: hitsPerPage > 0 ? Math.ceil(nbHits / hitsPerPage) : 0,
+    hitsPerPage: hitsPerPage,
+    processingTimeMS: 0,
+    exhaustiveNbHits: true,
+    exhaustiveFacetsCount: true,
+    query: params.query || '',
+    params: serializeParams(params),
+    index: indexName
+  };
+
+  var facets = getFacetAttributes(records, params.facets, settings);
+
+  if (facets.length > 0) {
+    var maxValuesPerFacet = isUndefined(params.maxValuesPerFacet) ? settings.maxValuesPerFacet : Number(params.maxValuesPerFacet);
+    result.facets = {};
+
+    forEach(facets, function (facet) {
+      var counts = countFacetValues(matching, facet);
+      if (keys(counts).length === 0) return;
+
+      result.facets[facet] = limitFacetValues(counts, maxValuesPerFacet);
+
+      var stats = computeStats(matching, facet);
+      if (stats) {
+        result.facets_stats = result.facets_stats || {};
+        result.facets_stats[facet] = stats;
+      }
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Search the values of a facet, among the records matching the parameters.
+ * @param {object[]} records the records of the index
+ * @param {object} params the parameters of the query, with `facetName`, `facetQuery`
+ * and `maxFacetHits`
+ * @param {object} settings the settings of the index
+ * @return {object} the result of the query, in the format of the Algolia API
+ * @throws Error if the facet is not searchable, with a `statusCode` of 400
+ */
+function searchForFacetValues(records, params, settings) {
+  var facet = params.facetName;
+
+  if (settings.attributesForFaceting && !isFacet(facet, settings)) {
+    throw createError('Cannot search in `' + facet + '` attribute, you need to add `searchable(' + facet + ')` to attributesForFaceting.');
+  }
+
+  var maxFacetHits = isUndefined(params.maxFacetHits) ? 10 : Number(params.maxFacetHits);
+  var facetQuery = normalizeText(params.facetQuery || '');
+  var counts = countFacetValues(filterRecords(records, params, settings), facet);
+
+  var values = filter(sortFacetValues(counts), function (value) {
+    return facetQuery === '' || some(words(value), function (word) {
+      return word.indexOf(facetQuery) === 0;
+    });
+  });
+
+  return {
+    facetHits: map(values.slice(0, maxFacetHits), function (value) {
+      return {
+        value: value,
+        highlighted: highlight(value, facetQuery),
+        count: counts[value]
+      };
+    }),
+    exhaustiveFacetsCount: true,
+    processingTimeMS: 0
+  };
+}
+
+function filterRecords(records, params, settings) {
+  var queryWords = words(params.query || '');
+  var facetFilters = parseFacetFilters(params.facetFilters);
+  var numericFilters = parseNumericFilters(params.numericFilters);
+  var tagFilters = parseTagFilters(params.tagFilters);
+  var matchesFilters = parseFilters(params.filters);
+
+  return filter(records, function (record) {
+    return matchesQuery(record, queryWords, settings) &&
+      matchesFilters(record) &&
+      every(facetFilters, function (orFilters) {
+        return some(orFilters, function (f) {
+          return matchesFacetFilter(record, f);
+        });
+      }) &&
+      every(numericFilters, function (orFilters) {
+        return some(orFilters, function (f) {
+          return matchesNumericFilter(record, f);
+        });
+      }) &&
+      every(tagFilters, function (orFilters) {
+        return some(orFilters, function (f) {
+          return matchesTagFilter(record, f);
+        });
+      });
+  });
+}
+
+/*
+ * Every word of the query should be in one of the searchable attributes, the
+ * last one can be a prefix.
+ */
+function matchesQuery(record, queryWords, settings) {
+  if (queryWords.length === 0) return true;
+
+  var recordWords = [];
+  forEach(settings.searchableAttributes || keys(record), function (attribute) {
+    forEach(getStrings(get(record, attribute)), function (value) {
+      recordWords = recordWords.concat(words(value));
+    });
+  });
+
+  return every(queryWords, function (queryWord, i) {
+    var isLast = i === queryWords.length - 1;
+    return some(recordWords, function (recordWord) {
+      return isLast ? recordWord.indexOf(queryWord) === 0 : recordWord === queryWord;
+    });
+  });
+}
+
+/*
+ * Filters are parsed into a list of lists: the record should match at least
+ * one filter of each list.
+ */
+function toConjunction(filters) {
+  var list = isString(filters) ? splitTopLevel(filters) : filters;
+  return map(filter(list, function (f) {
+    return !isUndefined(f) && f !== '';
+  }), function (orFilters) {
+    return isArray(orFilters) ? orFilters : [orFilters];
+  });
+}
+
+function parseFacetFilters(facetFilters) {
+  return map(toConjunction(facetFilters), function (orFilters) {
+    return map(orFilters, function (facetFilter) {
+      var separatorPosition = facetFilter.indexOf(':');
+      if (separatorPosition === -1) throw createError('Invalid facetFilters: `' + facetFilter + '`');
+
+      var attribute = facetFilter.slice(0, separatorPosition);
+      var value = facetFilter.slice(separatorPosition + 1);
+      var negative = value.charAt(0) === '-';
+
+      if (negative) value = value.slice(1);
+
+      return {attribute: attribute, value: unescapeFacetValue(value), negative: negative};
+    });
+  });
+}
+
+function parseNumericFilters(numericFilters) {
+  return map(toConjunction(numericFilters), function (orFilters) {
+    return map(orFilters, function (numericFilter) {
+      var rangeMatch = /^(.+):\s*(-?[\d.e]+)\s+TO\s+(-?[\d.e]+)$/.exec(numericFilter);
+      if (rangeMatch) {
+        return {attribute: trim(rangeMatch[1]), operator: 'TO', value: [parseFloat(rangeMatch[2]), parseFloat(rangeMatch[3])]};
+      }
+
+      var parsed;
+      forEach(NUMERIC_OPERATORS, function (operator) {
+        var position = numericFilter.indexOf(operator);
+        if (position > 0) {
+          parsed = {
+            attribute: trim(numericFilter.slice(0, position)),
+            operator: operator,
+            value: parseFloat(numericFilter.slice(position + operator.length))
+          };
+          return false;
+        }
+        return undefined;
+      });
+
+      if (!parsed || isNaN(parsed.value)) throw createError('Invalid numericFilters: `' + numericFilter + '`');
+      return parsed;
+    });
+  });
+}
+
+function parseTagFilters(tagFilters) {
+  return map(toConjunction(tagFilters), function (orFilters) {
+    return map(orFilters, function (tag) {
+      var negative = tag.charAt(0) === '-';
+      return {value: negative ? tag.slice(1) : tag, negative: negative};
+    });
+  });
+}
+
+/*
+ * The `filters` parameter is parsed into a predicate on the records. It is
+ * a boolean expression of filters: `attribute:value`, `attribute:min TO max`,
+ * `attribute <operator> number` and `_tags:value`, combined with `AND`, `OR`,
+ * `NOT` and parentheses.
+ */
+function parseFilters(filters) {
+  if (isUndefined(filters) || trim(filters) === '') {
+    return function () {
+      return true;
+    };
+  }
+
+  var tokens = tokenizeFilters(filters);
+  var position = 0;
+
+  function fail() {
+    throw createError('Invalid filters: `' + filters + '`');
+  }
+
+  function peek() {
+    return tokens[position];
+  }
+
+  function isKeyword(token, keyword) {
+    return token && token.type === 'word' && token.value === keyword;
+  }
+
+  function expect(type) {
+    var token = tokens[position];
+    if (!token || token.type !== type) fail();
+    position++;
+    return token;
+  }
+
+  function parseValue() {
+    var token = tokens[position];
+    if (!token || (token.type !== 'word' && token.type !== 'string')) fail();
+    position++;
+    return token.value;
+  }
+
+  function parseNumber() {
+    var token = expect('word');
+    var value = Number(token.value);
+    if (trim(token.value) === '' || isNaN(value)) fail();
+    return value;
+  }
+
+  function parseOr() {
+    var predicates = [parseAnd()];
+    while (isKeyword(peek(), 'OR')) {
+      position++;
+      predicates.push(parseAnd());
+    }
+    return predicates.length === 1 ? predicates[0] : function (record) {
+      return some(predicates, function (predicate) {
+        return predicate(record);
+      });
+    };
+  }
+
+  function parseAnd() {
+    var predicates = [parseNot()];
+    while (isKeyword(peek(), 'AND')) {
+      position++;
+      predicates.push(parseNot());
+    }
+    return predicates.length === 1 ? predicates[0] : function (record) {
+      return every(predicates, function (predicate) {
+        return predicate(record);
+      });
+    };
+  }
+
+  function parseNot() {
+    if (isKeyword(peek(), 'NOT')) {
+      position++;
+      var predicate = parseNot();
+      return function (record) {
+        return !predicate(record);
+      };
+    }
+
+    if (peek() && peek().type === '(') {
+      position++;
+      var group = parseOr();
+      expect(')');
+      return group;
+    }
+
+    return parseFilter();
+  }
+
+  function parseFilter() {
+    var attribute = parseValue();
+    var token = peek();
+
+    if (token && token.type === 'operator') {
+      position++;
+      var numericFilter = {attribute: attribute, operator: token.value, value: parseNumber()};
+      return function (record) {
+        return matchesNumericFilter(record, numericFilter);
+      };
+    }
+
+    expect(':');
+    var value = parseValue();
+
+    if (isKeyword(peek(), 'TO')) {
+      position++;
+      var min = Number(value);
+      if (isNaN(min)) fail();
+      var rangeFilter = {attribute: attribute, operator: 'TO', value: [min, parseNumber()]};
+      return function (record) {
+        return matchesNumericFilter(record, rangeFilter);
+      };
+    }
+
+    var facetFilter = {attribute: attribute, value: value, negative: false};
+    return function (record) {
+      return matchesFacetFilter(record, facetFilter);
+    };
+  }
+
+  var predicate = parseOr();
+  if (position < tokens.length) fail();
+  return predicate;
+}
+
+/*
+ * Tokens of the `filters` syntax: the parentheses, the colon, the comparison
+ * operators, the quoted strings and the words (names, values and keywords).
+ */
+function tokenizeFilters(filters) {
+  var tokens = [];
+  var i = 0;
+
+  while (i < filters.length) {
+    var c = filters.charAt(i);
+    var operator = find(NUMERIC_OPERATORS, startsAt(filters, i));
+
+    if (/\s/.test(c)) {
+      i++;
+    } else if (c === '(' || c === ')' || c === ':') {
+      tokens.push({type: c});
+      i++;
+    } else if (operator) {
+      tokens.push({type: 'operator', value: operator});
+      i += operator.length;
+    } else if (c === '"' || c === "'") {
+      var value = '';
+      i++;
+      while (i < filters.length && filters.charAt(i) !== c) {
+        if (filters.charAt(i) === '\\') i++;
+        value += filters.charAt(i);
+        i++;
+      }
+      if (i >= filters.length) throw createError('Invalid filters: `' + filters + '`');
+      tokens.push({type: 'string', value: value});
+      i++;
+    } else {
+      var word = /^[^\s():<>=!"']+/.exec(filters.slice(i));
+      if (!word) throw createError('Invalid filters: `' + filters + '`');
+      tokens.push({type: 'word', value: word[0]});
+      i += word[0].length;
+    }
+  }
+
+  return tokens;
+}
+
+function startsAt(text, position) {
+  return function (prefix) {
+    return text.slice(position, position + prefix.length) === prefix;
+  };
+}
+
+/*
+ * Split a string of filters on the commas, the filters in parentheses are
+ * grouped in an array.
+ */
+function splitTopLevel(filters) {
+  var result = [];
+  var group = null;
+  var current = '';
+
+  function push() {
+    var value = trim(current);
+    current = '';
+    if (value === '') return;
+    if (group) group.push(value);
+    else result.push(value);
+  }
+
+  forEach(filters.split(''), function (c) {
+    if (c === '(') {
+      group = [];
+    } else if (c === ')') {
+      push();
+      result.push(group);
+      group = null;
+    } else if (c === ',') {
+      push();
+    } else {
+      current += c;
+    }
+  });
+  push();
+
+  return result;
+}
+
+function matchesFacetFilter(record, facetFilter) {
+  var found = some(getStrings(get(record, facetFilter.attribute)), function (value) {
+    return value === facetFilter.value;
+  });
+  return facetFilter.negative ? !found : found;
+}
+
+function matchesNumericFilter(record, numericFilter) {
+  var values = getNumbers(get(record, numericFilter.attribute));
+  var expected = numericFilter.value;
+
+  var compare = NUMERIC_COMPARATORS[numericFilter.operator];
+
+  return some(values, function (value) {
+    return compare(value, expected);
+  });
+}
+
+function matchesTagFilter(record, tagFilter) {
+  var found = some(getStrings(record._tags), function (tag) {
+    return tag === tagFilter.value;
+  });
+  return tagFilter.negative ? !found : found;
+}
+
+function getFacetAttributes(records, facets, settings) {
+  var list = isString(facets) ? [facets] : facets || [];
+
+  if (list.length === 1 && list[0] === '*') {
+    list = settings.attributesForFaceting ? map(settings.attributesForFaceting, stripFacetModifier) : getAllAttributes(records);
+  }
+
+  return filter(list, function (facet) {
+    return !settings.attributesForFaceting || isFacet(facet, settings);
+  });
+}
+
+function isFacet(facet, settings) {
+  return some(settings.attributesForFaceting, function (attribute) {
+    return stripFacetModifier(attribute) === facet;
+  });
+}
+
+function stripFacetModifier(attribute) {
+  var match = /^(?:searchable|filterOnly)\((.*)\)$/.exec(attribute);
+  return match ? match[1] : attribute;
+}
+
+function getAllAttributes(records) {
+  var attributes = {};
+  forEach(records, function (record) {
+    forOwn(record, function (value, attribute) {
+      if (attribute !== 'objectID') attributes[attribute] = true;
+    });
+  });
+  return keys(attributes);
+}
+
+function countFacetValues(records, facet) {
+  var counts = {};
+  forEach(records, function (record) {
+    forEach(getStrings(get(record, facet)), function (value) {
+      counts[value] = (counts[value] || 0) + 1;
+    });
+  });
+  return counts;
+}
+
+function sortFacetValues(counts) {
+  return keys(counts).sort(function (a, b) {
+    if (counts[a] !== counts[b]) return counts[b] - counts[a];
+    return a < b ? -1 : 1;
+  });
+}
+
+function limitFacetValues(counts, maxValuesPerFacet) {
+  var limited = {};
+  forEach(sortFacetValues(counts).slice(0, maxValuesPerFacet), function (value) {
+    limited[value] = counts[value];
+  });
+  return limited;
+}
+
+function computeStats(records, facet) {
+  var values = [];
+  forEach(records, function (record) {
+    values = values.concat(getNumbers(get(record, facet), true));
+  });
+
+  if (values.length === 0) return undefined;
+
+  var sum = 0;
+  forEach(values, function (value) {
+    sum += value;
+  });
+
+  return {
+    min: Math.min.apply(Math, values),
+    max: Math.max.apply(Math, values),
+    avg: sum / values.length,
+    sum: sum
+  };
+}
+
+function retrieveAttributes(record, attributesToRetrieve) {
+  var attributes = isString(attributesToRetrieve) ? attributesToRetrieve.split(',') : attributesToRetrieve;
+  if (!attributes || indexOf(attributes, '*') !== -1) return record;
+  return pick(record, attributes.concat(['objectID']));
+}
+
+/*
+ * The values of an attribute as strings, the attribute being a single value
+ * or an array.
+ */
+function getStrings(value) {
+  if (isUndefined(value) || value === null || isPlainObject(value)) return [];
+  if (isArray(value)) {
+    return filter(map(value, function (v) {
+      return isPlainObject(v) || isArray(v) || v === null ? undefined : String(v);
+    }), isString);
+  }
+  return [String(value)];
+}
+
+/*
+ * The numeric values of an attribute. Unless `strict`, numeric strings are
+ * considered as numbers, like the Algolia engine does for the numeric filters.
+ */
+function getNumbers(value, strict) {
+  var values = isArray(value) ? value : [value];
+  var numbers = [];
+  forEach(values, function (v) {
+    if (typeof v === 'number') numbers.push(v);
+    else if (!strict && isString(v) && trim(v) !== '' && !isNaN(Number(v))) numbers.push(Number(v));
+  });
+  return numbers;
+}
+
+function normalizeText(text) {
+  return trim(String(text).toLowerCase());
+}
+
+function words(text) {
+  return filter(normalizeText(text).split(/[^\w\u00C0-\uFFFF]+/), function (w) {
+    return w !== '';
+  });
+}
+
+function highlight(value, facetQuery) {
+  if (facetQuery === '') return value;
+
+  return value.replace(/[\w\u00C0-\uFFFF]+/g, function (word) {
+    if (word.toLowerCase().indexOf(facetQuery) !== 0) return word;
+    return '<em>' + word.slice(0, facetQuery.length) + '</em>' + word.slice(facetQuery.length);
+  });
+}
+
+function serializeParams(params) {
+  return map(keys(params), function (key) {
+    var value = params[key];
+    var serialized = isString(value) ? value : JSON.stringify(value);
+    return encodeURIComponent(key) + '=' + encodeURIComponent(serialized);
+  }).join('&');
+}
+
+function createError(message) {
+  var error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+module.exports = {
+  search: search,
+  searchForFacetValues: searchForFacetValues
+};
\ No newline at end of file
@@ -0,0 +1,217 @@
+'use strict';
+
+/**
+ * Clients to record the responses of Algolia in a folder and to replay them,
+ * so that tests can run offline with real responses. They only work in Node.js,
+ * so they are not part of the main module: require `algoliasearch-helper/recording`.
+ * @module recording
+ * @example
+ * var recording = require('algoliasearch-helper/recording');
+ */
+
+var fs = require('fs');
+var path = require('path');
+
+var forEach = require('lodash/forEach');
+var isArray = require('lodash/isArray');
+var isFunction = require('lodash/isFunction');
+var isPlainObject = require('lodash/isPlainObject');
+var isUndefined = require('lodash/isUndefined');
+var keys = require('lodash/keys');
+var map = require('lodash/map');
+
+/**
+ * Wrap a client so that the responses of `search` and `searchForFacetValues`
+ * are saved in a folder. A response is stored in a file named after the hash of
+ * its request, which is normalized so that the order of the keys in the queries
+ * does not matter. The errors are not recorded.
+ * @param {AlgoliaSearch} client the client sending the requests
+ * @param {string} dir the folder in which the responses are saved, created if needed
+ * @return {object} a client that can be used with the helper
+ * @example
+ * var client = recording.recordingClient(algoliasearch(appId, apiKey), 'test/recordings');
+ */
+function recordingClient(client, dir) {
+  createFolder(dir);
+
+  function record(request, response) {
+    fs.writeFileSync(getFilePath(dir, request), JSON.stringify({request: request, response: response}, null, 2));
+    return response;
+  }
+
+  return {
+    search: function (queries, opts, cb) {
+      var callback = isFunction(opts) ? opts : cb;
+      var searchOpts = isFunction(opts) ? undefined : opts;
+      var request = getSearchRequest(queries);
+
+      return respond(callback, function () {
+        return (searchOpts ? client.search(queries, searchOpts) : client.search(queries)).then(function (content) {
+          return record(request, content);
+        });
+      });
+    },
+
+    initIndex: function (indexName) {
+      var index = client.initIndex(indexName);
+
+      return {
+        indexName: indexName,
+        searchForFacetValues: function (params, opts, cb) {
+          var callback = isFunction(opts) ? opts : cb;
+          var searchOpts = isFunction(opts) ? undefined : opts;
+          var request = getSearchForFacetValuesRequest(indexName, params);
+
+          return respond(callback, function () {
+            return (searchOpts ? index.searchForFacetValues(params, searchOpts) : index.searchForFacetValues(params)).then(function (content) {
+              return record(request, content);
+            });
+          });
+        }
+      };
+    },
+
+    addAlgoliaAgent: function (agent) {
+      if (client.addAlgoliaAgent) client.addAlgoliaAgent(agent);
+    },
+
+    clearCache: function () {
+      if (client.clearCache) client.clearCache();
+    }
+  };
+}
+
+/**
+ * Create a client answering with the responses saved by `recordingClient`. A
+ * request that has not been recorded fails with an error whose `name` is
+ * `MissingRecordingError`, and whose message contains the request.
+ * @param {string} dir the folder in which the responses have been saved
+ * @return {object} a client that can be used with the helper
+ * @example
+ * var client = recording.replayClient('test/recordings');
+ * var helper = algoliasearchHelper(client, 'products');
+ */
+function replayClient(dir) {
+  function replay(request) {
+    var filePath = getFilePath(dir, request);
+    var recording;
+
+    try {
+      recording = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (e) {
+      recording = null;
+    }
+
+    if (!recording || JSON.stringify(recording.request) !== JSON.stringify(request)) {
+      var error = new Error('No recording in ' + dir + ' for the request ' + JSON.stringify(request));
+      error.name = 'MissingRecordingError';
+      throw error;
+    }
+
+    return recording.response;
+  }
+
+  return {
+    search: function (queries, opts, cb) {
+      var callback = isFunction(opts) ? opts : cb;
+
+      return respond(callback, function () {
+        return replay(getSearchRequest(queries));
+      });
+    },
+
+    initIndex: function (indexName) {
+      return {
+        indexName: indexName,
+        searchForFacetValues: function (params, opts, cb) {
+          var callback = isFunction(opts) ? opts : cb;
+
+          return respond(callback, function () {
+            return replay(getSearchForFacetValuesRequest(indexName, params));
+          });
+        }
+      };
+    },
+
+    addAlgoliaAgent: function () {},
+
+    clearCache: function () {}
+  };
+}
+
+function getSearchRequest(queries) {
+  return normalize({method: 'search', queries: queries});
+}
+
+function getSearchForFacetValuesRequest(indexName, params) {
+  return normalize({method: 'searchForFacetValues', indexName: indexName, params: params});
+}
+
+/*
+ * Copy of a value with sorted keys and without the undefined values, so that
+ * its JSON representation is stable.
+ */
+function normalize(value) {
+  if (isArray(value)) return map(value, normalize);
+  if (!isPlainObject(value)) return value;
+
+  var normalized = {};
+  forEach(keys(value).sort(), function (key) {
+    if (!isUndefined(value[key])) normalized[key] = normalize(value[key]);
+  });
+  return normalized;
+}
+
+function getFilePath(dir, request) {
+  return path.join(dir, hash(JSON.stringify(request)) + '.json');
+}
+
+/*
+ * 32-bit FNV-1a hash, as an hexadecimal string
+ */
+function hash(str) {
+  var h = 0x811c9dc5;
+  for (var i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = h + (h << 1) + (h << 4) + (h << 7) + (h << 8) + (h << 24) >>> 0;
+  }
+  return ('0000000' + h.toString(16)).slice(-8);
+}
+
+function createFolder(dir) {
+  try {
+    fs.statSync(dir);
+  } catch (err) {
+    createFolder(path.dirname(dir));
+    fs.mkdirSync(dir);
+  }
+}
+
+/*
+ * Give the result of `compute` (a value or a promise) to the callback, or
+ * return a promise if there is no callback.
+ */
+function respond(cb, compute) {
+  var promise = new Promise(function (resolve) {
+    resolve(compute());
+  });
+
+  if (!isFunction(cb)) return promise;
+
+  promise.then(function (content) {
+    setTimeout(function () {
+      cb(null, content);
+    }, 0);
+  }, function (err) {
+    setTimeout(function () {
+      cb(err);
+    }, 0);
+  });
+
+  return undefined;
+}
+
+module.exports = {
+  recordingClient: recordingClient,
+  replayClient: replayClient
+};
\ No newline at end of file
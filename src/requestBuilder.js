@@ -6,6 +6,11 @@ var reduce = require('lodash/reduce');
 var merge = require('lodash/merge');
 var isArray = require('lodash/isArray');
 
+var filterExpression = require('./filterExpression');
+var escapeFacetValue = require('./functions/escapeFacetValue').escapeFacetValue;
+var warnOnce = require('./functions/warnOnce');
+var resolveDateRefinement = require('./functions/resolveDateRefinement');
+
 var requestBuilder = {
   /**
    * Get all the queries to send to the client, those queries can used directly
@@ -57,21 +62,8 @@ var requestBuilder = {
   _getHitsSearchParams: function _getHitsSearchParams(state) {
     var facets = state.facets.concat(state.disjunctiveFacets).concat(requestBuilder._getHitsHierarchicalFacetsAttributes(state));
 
-    var facetFilters = requestBuilder._getFacetFilters(state);
-    var numericFilters = requestBuilder._getNumericFilters(state);
-    var tagFilters = requestBuilder._getTagFilters(state);
-    var additionalParams = {
-      facets: facets,
-      tagFilters: tagFilters
-    };
-
-    if (facetFilters.length > 0) {
-      additionalParams.facetFilters = facetFilters;
-    }
-
-    if (numericFilters.length > 0) {
-      additionalParams.numericFilters = numericFilters;
-    }
+    var additionalParams = requestBuilder._getFiltersParams(state);
+    additionalParams.facets = facets;
 
     return merge(state.getQueryParams(), additionalParams);
   },
@@ -84,19 +76,14 @@ var requestBuilder = {
    * @return {object}
    */
   _getDisjunctiveFacetSearchParams: function _getDisjunctiveFacetSearchParams(state, facet, hierarchicalRootLevel) {
-    var facetFilters = requestBuilder._getFacetFilters(state, facet, hierarchicalRootLevel);
-    var numericFilters = requestBuilder._getNumericFilters(state, facet);
-    var tagFilters = requestBuilder._getTagFilters(state);
-    var additionalParams = {
-      hitsPerPage: 1,
-      page: 0,
-      attributesToRetrieve: [],
-      attributesToHighlight: [],
-      attributesToSnippet: [],
-      tagFilters: tagFilters,
-      analytics: false,
-      clickAnalytics: false
-    };
+    var additionalParams = requestBuilder._getFiltersParams(state, facet, hierarchicalRootLevel);
+    additionalParams.hitsPerPage = 1;
+    additionalParams.page = 0;
+    additionalParams.attributesToRetrieve = [];
+    additionalParams.attributesToHighlight = [];
+    additionalParams.attributesToSnippet = [];
+    additionalParams.analytics = false;
+    additionalParams.clickAnalytics = false;
 
     var hierarchicalFacet = state.getHierarchicalFacetByName(facet);
 
@@ -106,15 +93,134 @@ var requestBuilder = {
       additionalParams.facets = facet;
     }
 
-    if (numericFilters.length > 0) {
-      additionalParams.numericFilters = numericFilters;
+    return merge(state.getQueryParams(), additionalParams);
+  },
+
+  /**
+   * Build the parameters filtering the results, in the format chosen with
+   * `filtersFormat`
+   * @private
+   * @param  {string} [facet] if set, the current disjunctive facet
+   * @param  {boolean} [hierarchicalRootLevel] if the query is for the root level of the facet
+   * @return {object}
+   */
+  _getFiltersParams: function _getFiltersParams(state, facet, hierarchicalRootLevel) {
+    var filters;
+
+    if (state.filtersFormat === 'filters') {
+      filters = requestBuilder._getFilters(state, facet, hierarchicalRootLevel);
+      return filters ? {filters: filters} : {};
+    }
+
+    var facetFilters = requestBuilder._getFacetFilters(state, facet, hierarchicalRootLevel);
+    var numericFilters = requestBuilder._getNumericFilters(state, facet);
+    var params = {
+      tagFilters: requestBuilder._getTagFilters(state)
+    };
+
+    if (state.filterExpressions.length > 0) {
+      filters = requestBuilder._getFilterExpressionsFilters(state);
+      params.filters = state.filters ? '(' + state.filters + ') AND ' + filters : filters;
     }
 
     if (facetFilters.length > 0) {
-      additionalParams.facetFilters = facetFilters;
+      params.facetFilters = facetFilters;
     }
 
-    return merge(state.getQueryParams(), additionalParams);
+    if (numericFilters.length > 0) {
+      params.numericFilters = numericFilters;
+    }
+
+    return params;
+  },
+
+  /**
+   * Build the `filters` expression of all the refinements and filter expressions,
+   * combined with the `filters` parameter of the state. The numeric and tag filters set with the
+   * advanced API are not part of it, they are still sent as their own parameters.
+   * @private
+   * @param  {string} [facet] if set, the current disjunctive facet
+   * @param  {boolean} [hierarchicalRootLevel] if the query is for the root level of the facet
+   * @return {string} the expression, empty if there are no filters
+   */
+  _getFilters: function _getFilters(state, facet, hierarchicalRootLevel) {
+    var filters = [];
+
+    forEach(state.facetsRefinements, function (facetValues, facetName) {
+      forEach(facetValues, function (facetValue) {
+        filters.push(filterExpression.formatFacetFilter(facetName, facetValue));
+      });
+    });
+
+    forEach(state.facetsExcludes, function (facetValues, facetName) {
+      forEach(facetValues, function (facetValue) {
+        filters.push('NOT ' + filterExpression.formatFacetFilter(facetName, facetValue));
+      });
+    });
+
+    forEach(state.disjunctiveFacetsRefinements, function (facetValues, facetName) {
+      if (facetName === facet || !facetValues || facetValues.length === 0) return;
+
+      filters.push(disjunction(map(facetValues, function (facetValue) {
+        return filterExpression.formatFacetFilter(facetName, facetValue);
+      })));
+    });
+
+    forEach(state.hierarchicalFacetsRefinements, function (facetValues, facetName) {
+      var refinement = requestBuilder._getHierarchicalFacetFilter(state, facetName, facet, hierarchicalRootLevel);
+
+      if (refinement) {
+        filters.push(filterExpression.formatFacetFilter(refinement.attribute, refinement.value));
+      }
+    });
+
+    if (!state.numericFilters) {
+      forEach(state.numericRefinements, function (operators, attribute) {
+        if (attribute === facet) return;
+
+        forEach(operators, function (values, operator) {
+          forEach(values, function (value) {
+            if (isArray(value)) {
+              filters.push(disjunction(map(value, function (v) {
+                return filterExpression.formatNumericFilter(attribute, operator, v);
+              })));
+            } else {
+              filters.push(filterExpression.formatNumericFilter(attribute, operator, value));
+            }
+          });
+        });
+      });
+
+      forEach(requestBuilder._getDateFilters(state, facet), function (dateFilter) {
+        filters.push(filterExpression.formatNumericFilter(dateFilter.attribute, dateFilter.operator, dateFilter.value));
+      });
+    }
+
+    if (!state.tagFilters) {
+      forEach(state.tagRefinements, function (tag) {
+        filters.push(filterExpression.formatFacetFilter('_tags', tag));
+      });
+    }
+
+    if (state.filterExpressions.length > 0) {
+      filters.push(requestBuilder._getFilterExpressionsFilters(state));
+    }
+
+    if (state.filters) {
+      filters.unshift(filters.length > 0 ? '(' + state.filters + ')' : state.filters);
+    }
+
+    return filters.join(' AND ');
+  },
+
+  /**
+   * Compile the filter expressions of the state, they are sent in the `filters`
+   * parameter whatever the format of the other refinements.
+   * @private
+   * @return {string} the expressions in the `filters` format
+   */
+  _getFilterExpressionsFilters: function _getFilterExpressionsFilters(state) {
+    return map(state.filterExpressions, filterExpression.toFilters).join(' AND ');
   },
 
   /**
@@ -147,9 +253,46 @@ var requestBuilder = {
       });
     });
 
+    forEach(requestBuilder._getDateFilters(state, facetName), function (dateFilter) {
+      numericFilters.push(dateFilter.attribute + dateFilter.operator + dateFilter.value);
+    });
+
     return numericFilters;
   },
 
+  /**
+   * Resolve the date refinements into numeric comparisons, in the unit of
+   * `timestampUnit`. The presets are relative to the current time.
+   * @private
+   * @param {string} [facetName] the name of the attribute for which the filters should be excluded
+   * @return {object[]} the comparisons, with their `attribute`, `operator` and `value`
+   */
+  _getDateFilters: function _getDateFilters(state, facetName) {
+    var dateFilters = [];
+    var now = Date.now();
+    var toUnit = state.timestampUnit === 'ms' ?
+      function (time) { return time; } :
+      function (time, round) { return round(time / 1000); };
+
+    forEach(state.dateRefinements, function (refinement, attribute) {
+      if (attribute === facetName) return;
+
+      var range = resolveDateRefinement(refinement, now);
+
+      if (range.min !== undefined) {
+        dateFilters.push({attribute: attribute, operator: '>=', value: toUnit(range.min, Math.ceil)});
+      }
+
+      if (range.max !== undefined) {
+        dateFilters.push(range.maxInclusive ?
+          {attribute: attribute, operator: '<=', value: toUnit(range.max, Math.floor)} :
+          {attribute: attribute, operator: '<', value: toUnit(range.max, Math.ceil)});
+      }
+    });
+
+    return dateFilters;
+  },
+
   /**
    * Return the tags filters depending
    * @private
@@ -175,13 +318,13 @@ var requestBuilder = {
 
     forEach(state.facetsRefinements, function (facetValues, facetName) {
       forEach(facetValues, function (facetValue) {
-        facetFilters.push(facetName + ':' + facetValue);
+        facetFilters.push(facetFilter(facetName, facetValue));
       });
     });
 
     forEach(state.facetsExcludes, function (facetValues, facetName) {
       forEach(facetValues, function (facetValue) {
-        facetFilters.push(facetName + ':-' + facetValue);
+        facetFilters.push(facetFilter(facetName, facetValue, true));
       });
     });
 
@@ -190,54 +333,73 @@ var requestBuilder = {
       var orFilters = [];
 
       forEach(facetValues, function (facetValue) {
-        orFilters.push(facetName + ':' + facetValue);
+        orFilters.push(facetFilter(facetName, facetValue));
       });
 
       facetFilters.push(orFilters);
     });
 
     forEach(state.hierarchicalFacetsRefinements, function (facetValues, facetName) {
-      var facetValue = facetValues[0];
+      var refinement = requestBuilder._getHierarchicalFacetFilter(state, facetName, facet, hierarchicalRootLevel);
 
-      if (facetValue === undefined) {
-        return;
+      if (refinement) {
+        facetFilters.push([facetFilter(refinement.attribute, refinement.value)]);
       }
+    });
 
-      var hierarchicalFacet = state.getHierarchicalFacetByName(facetName);
-      var separator = state._getHierarchicalFacetSeparator(hierarchicalFacet);
-      var rootPath = state._getHierarchicalRootPath(hierarchicalFacet);
-      var attributeToRefine;
-      var attributesIndex;
-
-      // we ask for parent facet values only when the `facet` is the current hierarchical facet
-      if (facet === facetName) {
-        // if we are at the root level already, no need to ask for facet values, we get them from
-        // the hits query
-        if (facetValue.indexOf(separator) === -1 || !rootPath && hierarchicalRootLevel === true || rootPath && rootPath.split(separator).length === facetValue.split(separator).length) {
-          return;
-        }
+    return facetFilters;
+  },
 
-        if (!rootPath) {
-          attributesIndex = facetValue.split(separator).length - 2;
-          facetValue = facetValue.slice(0, facetValue.lastIndexOf(separator));
-        } else {
-          attributesIndex = rootPath.split(separator).length - 1;
-          facetValue = rootPath;
-        }
+  /**
+   * Get the attribute and the value to filter on for the refinement of a
+   * hierarchical facet
+   * @private
+   * @param  {string} facetName the name of the hierarchical facet
+   * @param  {string} [facet] if set, the current disjunctive facet
+   * @param  {boolean} [hierarchicalRootLevel] if the query is for the root level of the facet
+   * @return {object} `{attribute, value}` or undefined if there is nothing to filter
+   */
+  _getHierarchicalFacetFilter: function _getHierarchicalFacetFilter(state, facetName, facet, hierarchicalRootLevel) {
+    var facetValue = state.hierarchicalFacetsRefinements[facetName][0];
 
-        attributeToRefine = hierarchicalFacet.attributes[attributesIndex];
-      } else {
-        attributesIndex = facetValue.split(separator).length - 1;
+    if (facetValue === undefined) {
+      return undefined;
+    }
 
-        attributeToRefine = hierarchicalFacet.attributes[attributesIndex];
+    var hierarchicalFacet = state.getHierarchicalFacetByName(facetName);
+    var separator = state._getHierarchicalFacetSeparator(hierarchicalFacet);
+    var rootPath = state._getHierarchicalRootPath(hierarchicalFacet);
+    var attributeToRefine;
+    var attributesIndex;
+
+    // we ask for parent facet values only when the `facet` is the current hierarchical facet
+    if (facet === facetName) {
+      // if we are at the root level already, no need to ask for facet values, we get them from
+      // the hits query
+      if (facetValue.indexOf(separator) === -1 || !rootPath && hierarchicalRootLevel === true || rootPath && rootPath.split(separator).length === facetValue.split(separator).length) {
+        return undefined;
       }
 
-      if (attributeToRefine) {
-        facetFilters.push([attributeToRefine + ':' + facetValue]);
+      if (!rootPath) {
+        attributesIndex = facetValue.split(separator).length - 2;
+        facetValue = facetValue.slice(0, facetValue.lastIndexOf(separator));
+      } else {
+        attributesIndex = rootPath.split(separator).length - 1;
+        facetValue = rootPath;
       }
-    });
 
-    return facetFilters;
+      attributeToRefine = hierarchicalFacet.attributes[attributesIndex];
+    } else {
+      attributesIndex = facetValue.split(separator).length - 1;
+
+      attributeToRefine = hierarchicalFacet.attributes[attributesIndex];
+    }
+
+    if (!attributeToRefine) {
+      return undefined;
+    }
+
+    return {attribute: attributeToRefine, value: facetValue};
   },
 
   _getHitsHierarchicalFacetsAttributes: function _getHitsHierarchicalFacetsAttributes(state) {
@@ -296,4 +458,21 @@ var requestBuilder = {
   }
 };
 
+/*
+ * Facet filter in the `facetFilters` format, with the value escaped. The
+ * attribute is the part before the first colon, so an attribute containing one
+ * can only be used with the `filters` format.
+ */
+function facetFilter(attribute, value, isExclusion) {
+  if (attribute.indexOf(':') !== -1) {
+    warnOnce('[facetFilters] The attribute `' + attribute + '` contains a colon, it cannot be used in ' + 'facetFilters. Set `filtersFormat` to `filters` to filter on it.');
+  }
+
+  return attribute + (isExclusion ? ':-' : ':') + escapeFacetValue(value);
+}
+
+function disjunction(filters) {
+  return filters.length === 1 ? filters[0] : '(' + filters.join(' OR ') + ')';
+}
+
 module.exports = requestBuilder;
\ No newline at end of file
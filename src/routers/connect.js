@@ -0,0 +1,78 @@
+'use strict';
+
+var assign = require('lodash/assign');
+var debounce = require('lodash/debounce');
+var keys = require('lodash/keys');
+var pick = require('lodash/pick');
+var union = require('lodash/union');
+
+var url = require('../url');
+
+/**
+ * Keep the state of a helper and the URL in sync. The changes of the state are
+ * written after a delay, and the state is restored from the URL when the browser
+ * changes it. The parameters of the URL that are not for the helper are kept.
+ * @private
+ * @param {AlgoliaSearchHelper} helper the helper to connect
+ * @param {routers.Router} router the router of the URL
+ * @param {AlgoliaSearchHelper.RouterOptions} [options] configuration of the connection
+ * @return {function} disconnects the helper from the router
+ */
+function connectRouter(helper, router, options) {
+  var opts = options || {};
+  var urlOptions = {
+    filters: opts.filters || ['query', 'attribute:*', 'page'],
+    prefix: opts.prefix,
+    mapping: opts.mapping
+  };
+  // the URL parameters replace the values of the state at the connection
+  var initialState = helper.state;
+  var isRestoring = false;
+
+  var write = debounce(function () {
+    var currentQueryString = router.read();
+    var queryString = helper.getStateAsQueryString(assign({}, urlOptions, {
+      moreAttributes: url.getUnrecognizedParametersInQueryString(currentQueryString, urlOptions)
+    }));
+
+    if (queryString !== currentQueryString) router.write(queryString);
+  }, opts.debounce === undefined ? 400 : opts.debounce);
+
+  function restore(queryString) {
+    var configuration = url.getStateFromQueryString(queryString, assign({}, urlOptions, {sortBy: helper.state.sortBy}));
+    var restoredKeys = union(
+      keys(helper.state.filter(urlOptions.filters)),
+      keys(initialState.filter(urlOptions.filters)),
+      keys(configuration)
+    );
+
+    write.cancel();
+    isRestoring = true;
+    try {
+      helper.setState(helper.state.setQueryParameters(pick(initialState, restoredKeys)).setQueryParameters(configuration));
+    } finally {
+      isRestoring = false;
+    }
+  }
+
+  function onChange() {
+    if (!isRestoring) write();
+  }
+
+  var initialQueryString = router.read();
+  if (initialQueryString) restore(initialQueryString);
+
+  helper.on('change', onChange);
+  router.onUpdate(function (queryString) {
+    restore(queryString);
+    helper.search();
+  });
+
+  return function disconnect() {
+    write.cancel();
+    helper.removeListener('change', onChange);
+    router.dispose();
+  };
+}
+
+module.exports = connectRouter;
\ No newline at end of file
@@ -0,0 +1,96 @@
+'use strict';
+
+/**
+ * Routers keeping the state of a helper in the URL of the browser, to use with
+ * `helper.connectRouter`.
+ * @module routers
+ */
+
+var forEach = require('lodash/forEach');
+
+/**
+ * Interface of the routers used by `connectRouter`. A router reads and writes
+ * the query string of the URL, and notifies when it is changed by the browser.
+ * @typedef routers.Router
+ * @type {object}
+ * @property {function(): string} read returns the current query string, without
+ * the leading `?` or `#`
+ * @property {function(string)} write creates a new history entry with the query string
+ * @property {function(function(string))} onUpdate registers a function called with
+ * the query string when the browser changes it, e.g. with the back button
+ * @property {function()} dispose removes the listeners added with `onUpdate`
+ */
+
+function getWindow(options) {
+  var win = options && options.window || (typeof window === 'undefined' ? undefined : window);
+  if (!win) throw new Error('[Router] There is no window, pass it with the window option');
+  return win;
+}
+
+function createRouter(win, eventName, read, getHref) {
+  var listeners = [];
+
+  return {
+    read: read,
+    write: function (queryString) {
+      win.history.pushState(null, '', getHref(queryString));
+    },
+    onUpdate: function (callback) {
+      var listener = function () {
+        callback(read());
+      };
+
+      listeners.push(listener);
+      win.addEventListener(eventName, listener);
+    },
+    dispose: function () {
+      forEach(listeners, function (listener) {
+        win.removeEventListener(eventName, listener);
+      });
+      listeners = [];
+    }
+  };
+}
+
+/**
+ * Create a router storing the state in the query string of the URL, with the
+ * History API.
+ * @param {object} [options] configuration of the router
+ * @param {Window} [options.window] the window to use, the global one by default
+ * @return {routers.Router} the router
+ * @throws will throw an error if there is no window
+ * @example
+ * helper.connectRouter(algoliasearchHelper.routers.history()).search();
+ */
+function createHistoryRouter(options) {
+  var win = getWindow(options);
+
+  return createRouter(win, 'popstate', function () {
+    return win.location.search.replace(/^\?/, '');
+  }, function (queryString) {
+    return win.location.pathname + (queryString ? '?' + queryString : '') + win.location.hash;
+  });
+}
+
+/**
+ * Create a router storing the state in the hash of the URL, for the pages that
+ * cannot use the query string.
+ * @param {object} [options] configuration of the router
+ * @param {Window} [options.window] the window to use, the global one by default
+ * @return {routers.Router} the router
+ * @throws will throw an error if there is no window
+ */
+function createHashRouter(options) {
+  var win = getWindow(options);
+
+  return createRouter(win, 'hashchange', function () {
+    return win.location.hash.replace(/^#/, '');
+  }, function (queryString) {
+    return win.location.pathname + win.location.search + (queryString ? '#' + queryString : '');
+  });
+}
+
+module.exports = {
+  history: createHistoryRouter,
+  hash: createHashRouter
+};
\ No newline at end of file
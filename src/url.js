@@ -8,10 +8,15 @@
 
 var shortener = require('./SearchParameters/shortener');
 var SearchParameters = require('./SearchParameters');
+var filterExpression = require('./filterExpression');
 
 var qs = require('qs');
 
+var assign = require('lodash/assign');
 var bind = require('lodash/bind');
+var filter = require('lodash/filter');
+var findKey = require('lodash/findKey');
+var has = require('lodash/has');
 var forEach = require('lodash/forEach');
 var pick = require('lodash/pick');
 var map = require('lodash/map');
@@ -38,7 +43,30 @@ function recursiveEncode(input) {
   return input;
 }
 
-var refinementsParameters = ['dFR', 'fR', 'nR', 'hFR', 'tR'];
+/*
+ * The filter expressions are nested too deeply for the query string format,
+ * they are stored as JSON. Invalid expressions are ignored when parsing.
+ */
+function parseFilterExpressions(value) {
+  var expressions;
+
+  try {
+    expressions = JSON.parse(value);
+  } catch (e) {
+    return [];
+  }
+
+  return filter(isArray(expressions) ? expressions : [], function (expression) {
+    try {
+      filterExpression.validate(expression);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  });
+}
+
+var refinementsParameters = ['dFR', 'fR', 'nR', 'hFR', 'tR', 'fEx', 'dR'];
 var stateKeys = shortener.ENCODED_PARAMETERS;
 function sortQueryStringValues(prefixRegexp, invertedMapping, a, b) {
   if (prefixRegexp !== null) {
@@ -72,12 +100,15 @@ function sortQueryStringValues(prefixRegexp, invertedMapping, a, b) {
  *   - prefix : the prefix used for the saved attributes, you have to provide the
  *     same that was used for serialization
  *   - mapping : map short attributes to another value e.g. {q: 'query'}
+ *   - sortBy : map of the sort labels to the index names, to read the index
+ *     from its label. The labels that are not in it are ignored.
  * @return {object} partial search parameters object (same properties than in the
  * SearchParameters but not exhaustive)
  */
 exports.getStateFromQueryString = function (queryString, options) {
   var prefixForParameters = options && options.prefix || '';
   var mapping = options && options.mapping || {};
+  var sortBy = options && options.sortBy;
   var invertedMapping = invert(mapping);
 
   var partialStateWithPrefix = qs.parse(queryString);
@@ -89,6 +120,16 @@ exports.getStateFromQueryString = function (queryString, options) {
     return decodedKey || unprefixedKey;
   });
 
+  if (isString(partialState.filterExpressions)) {
+    partialState.filterExpressions = parseFilterExpressions(partialState.filterExpressions);
+  }
+
+  // the sort labels are stored instead of the index, the mapping is not part of the url
+  if (isString(partialState.sortBy) && has(sortBy, partialState.sortBy)) {
+    partialState.index = sortBy[partialState.sortBy];
+  }
+  delete partialState.sortBy;
+
   var partialStateWithParsedNumbers = SearchParameters._parseNumbers(partialState);
 
   return pick(partialStateWithParsedNumbers, SearchParameters.PARAMETERS);
@@ -136,6 +177,8 @@ exports.getUnrecognizedParametersInQueryString = function (queryString, options)
  *  - safe : get safe urls for use in emails, chat apps or any application auto linking urls.
  *  All parameters and values will be encoded in a way that it's safe to share them.
  *  Default to false for legacy reasons ()
+ *  - sortBy : map of the sort labels to the index names, the label of the index
+ *  is written instead of its name. Default to the `sortBy` parameter of the state.
  * @return {string} the query string
  */
 exports.getQueryStringFromState = function (state, options) {
@@ -143,15 +186,34 @@ exports.getQueryStringFromState = function (state, options) {
   var prefixForParameters = options && options.prefix || '';
   var mapping = options && options.mapping || {};
   var safe = options && options.safe || false;
+  var sortBy = options && options.sortBy || state.sortBy;
   var invertedMapping = invert(mapping);
 
-  var stateForUrl = safe ? state : recursiveEncode(state);
+  // the state is copied to a plain object so that its values are encoded too
+  var partialState = assign({}, state);
+  var sortLabel = findKey(sortBy, function (index) {
+    return index === state.index;
+  });
+
+  delete partialState.sortBy;
+  if (sortLabel !== undefined) {
+    delete partialState.index;
+    partialState.sortBy = sortLabel;
+  }
+
+  var stateForUrl = safe ? partialState : recursiveEncode(partialState);
 
   var encodedState = mapKeys(stateForUrl, function (v, k) {
     var shortK = shortener.encode(k);
     return prefixForParameters + (mapping[shortK] || shortK);
   });
 
+  if (!isEmpty(state.filterExpressions)) {
+    var expressionsKey = shortener.encode('filterExpressions');
+    var expressions = JSON.stringify(state.filterExpressions);
+    encodedState[prefixForParameters + (mapping[expressionsKey] || expressionsKey)] = safe ? expressions : encode(expressions);
+  }
+
   var prefixRegexp = prefixForParameters === '' ? null : new RegExp('^' + prefixForParameters);
   var sort = bind(sortQueryStringValues, null, prefixRegexp, invertedMapping);
   if (!isEmpty(moreAttributes)) {
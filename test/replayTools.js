@@ -10,7 +10,8 @@ var path = require('path');
 /**
  * Monkey-patch a Helper constructor to spy
  * on data from Algolia and save the server response.
- * This is used to created data for tests.
+ * This is used to created data for tests. To record all the responses of a
+ * test, prefer the public `recordingClient` and `replayClient`.
  * @param {Helper} Helper a vanilla Helper constructor function
  * @return {HelperSaver} a Helper enhnaced with save function
  */
@@ -25,12 +26,12 @@ function wrapHelperToSave(Helper, folderName) {
 
   WrappedHelper.prototype = Object.create(Helper.prototype);
   WrappedHelper.prototype.constructor = WrappedHelper;
-  WrappedHelper.prototype._handleResponse = function (state, queryId, err, content) {
-    savedParameters.state = state;
+  WrappedHelper.prototype._dispatchAlgoliaResponse = function (states, queryId, err, content) {
+    savedParameters.state = states[0].state;
     savedParameters.error = err;
     savedParameters.content = content;
 
-    Helper.prototype._handleResponse.apply(this, Array.prototype.slice.call(arguments));
+    Helper.prototype._dispatchAlgoliaResponse.apply(this, Array.prototype.slice.call(arguments));
   };
   WrappedHelper.prototype.searchOnce = function (options) {
     var state = this.state.setQueryParameters(options);
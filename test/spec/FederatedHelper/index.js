@@ -0,0 +1,148 @@
+'use strict';
+
+var test = require('tape');
+var algoliasearchHelper = require('../../../index');
+
+var SearchResults = algoliasearchHelper.SearchResults;
+
+function makeClient(onSearch) {
+  return {
+    addAlgoliaAgent: function addAlgoliaAgent() {},
+    search: function (queries, cb) {
+      var response = onSearch(queries);
+      if (response instanceof Error) cb(response);
+      else cb(null, response);
+    }
+  };
+}
+
+function respond(queries) {
+  return {
+    results: queries.map(function (query) {
+      return {index: query.indexName, hits: [{objectID: query.indexName}], nbHits: 1, page: 0, nbPages: 1, hitsPerPage: 20};
+    })
+  };
+}
+
+test('federated should search all the indices with their own refinements in one multi query', function (t) {
+  var calls = [];
+  var federated = algoliasearchHelper.federated(makeClient(function (queries) {
+    calls.push(queries);
+    return respond(queries);
+  }), {
+    products: {disjunctiveFacets: ['brand']},
+    articles: {facets: ['category'], hitsPerPage: 3}
+  });
+
+  federated.on('result', function (results, states) {
+    t.equal(calls.length, 1, 'a single multi query is sent');
+    t.deepEqual(calls[0].map(function (q) { return q.indexName; }), ['products', 'products', 'articles']);
+    t.deepEqual(calls[0][0].params.facetFilters, [['brand:Apple']], 'the refinement is only for its index');
+    t.equal(calls[0][2].params.facetFilters, undefined);
+    t.equal(calls[0][2].params.hitsPerPage, 3);
+    t.equal(calls[0][2].params.query, 'phone', 'the query is shared');
+
+    t.deepEqual(Object.keys(results), ['products', 'articles']);
+    t.ok(results.articles instanceof SearchResults);
+    t.equal(results.articles.hits[0].objectID, 'articles');
+    t.equal(states.products.index, 'products');
+    t.equal(federated.lastResults, results);
+    t.end();
+  });
+
+  federated
+    .setQuery('phone')
+    .update('products', function (state) {
+      return state.addDisjunctiveFacetRefinement('brand', 'Apple');
+    })
+    .search();
+});
+
+test('federated should share the query and the page', function (t) {
+  var federated = algoliasearchHelper.federated(makeClient(respond), {products: {}, articles: {}, faq: {}});
+  var changes = [];
+
+  federated.on('change', function (index, state) {
+    changes.push([index, state.page]);
+  });
+
+  federated.setPage(2);
+  t.deepEqual(changes, [['products', 2], ['articles', 2], ['faq', 2]]);
+
+  changes = [];
+  federated.update('faq', function (state) {
+    return state.setPage(1).setQueryParameter('hitsPerPage', 5);
+  });
+  t.deepEqual(changes, [['products', 1], ['articles', 1], ['faq', 1]], 'a shared parameter is changed on all the indices');
+  t.equal(federated.getState('articles').hitsPerPage, undefined, 'the other parameters are not shared');
+  t.equal(federated.getState('faq').hitsPerPage, 5);
+
+  changes = [];
+  federated.update('articles', function (state) {
+    return state.setQueryParameter('hitsPerPage', 3);
+  });
+  t.deepEqual(changes, [['articles', 1]], 'only the index is changed');
+
+  federated.setQuery('q');
+  t.deepEqual(federated.getState('faq').page, 0, 'the query resets the page');
+  t.end();
+});
+
+test('federated should support other shared parameters', function (t) {
+  var federated = algoliasearchHelper.federated(makeClient(respond), {products: {}, articles: {}}, {
+    sharedParameters: ['query', 'page', 'aroundLatLng']
+  });
+
+  federated.update('articles', function (state) {
+    return state.setQueryParameter('aroundLatLng', '1,2');
+  });
+  t.equal(federated.getState('products').aroundLatLng, '1,2');
+  t.end();
+});
+
+test('federated should forward the errors and validate the indices', function (t) {
+  var federated = algoliasearchHelper.federated(makeClient(function () {
+    return new Error('down');
+  }), {products: {}});
+
+  t.throws(function () {
+    algoliasearchHelper.federated(makeClient(respond), {});
+  }, /At least one index is needed/);
+  t.throws(function () {
+    federated.getState('articles');
+  }, /Unknown index: articles/);
+
+  federated.on('error', function (err) {
+    t.equal(err.message, 'down');
+    t.end();
+  });
+  federated.search();
+});
+
+test('detach should only remove the listeners added by federated', function (t) {
+  [['products', 'articles'], ['products']].forEach(function (names) {
+    var indices = {};
+    names.forEach(function (name) {
+      indices[name] = {};
+    });
+    var federated = algoliasearchHelper.federated(makeClient(respond), indices);
+    var events = [];
+
+    federated.on('result', function () {
+      events.push('federated result');
+    });
+    federated.helper.on('search', function () {
+      events.push('search');
+    });
+    federated.helper.on('result', function () {
+      events.push('result');
+    });
+
+    federated.detach();
+    federated.helper.search();
+
+    t.deepEqual(events, ['search', 'result'], 'the listeners of the helper are kept (' + names.length + ' indices)');
+    t.equal(federated.helper.listeners('error').length, 0, 'the listener of federated is removed');
+  });
+  t.end();
+});
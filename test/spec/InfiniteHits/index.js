@@ -0,0 +1,37 @@
+'use strict';
+
+var test = require('tape');
+
+var InfiniteHits = require('../../../src/InfiniteHits');
+var SearchParameters = require('../../../src/SearchParameters');
+
+test('the infinite hits should keep the consecutive pages of a search', function (t) {
+  var infiniteHits = new InfiniteHits();
+  var state = new SearchParameters({index: 'index', query: 'tv'});
+
+  t.deepEqual(infiniteHits.add(state.setPage(2), ['c']), ['c']);
+  t.deepEqual(infiniteHits.add(state.setPage(3), ['d']), ['c', 'd'], 'the next page is added at the end');
+  t.deepEqual(infiniteHits.add(state.setPage(1), ['b']), ['b', 'c', 'd'], 'the previous page is added at the start');
+  t.deepEqual(infiniteHits.add(state.setPage(3), ['D']), ['b', 'c', 'D'], 'a page loaded again is replaced');
+  t.equal(infiniteHits.firstPage, 1);
+  t.equal(infiniteHits.lastPage, 3);
+  t.end();
+});
+
+test('the infinite hits should start again for another search or a page too far', function (t) {
+  var infiniteHits = new InfiniteHits();
+  var state = new SearchParameters({index: 'index', query: 'tv'});
+
+  infiniteHits.add(state, ['a']);
+  t.deepEqual(infiniteHits.add(state.setPage(5), ['f']), ['f'], 'the page is not next to the list');
+  t.deepEqual(infiniteHits.add(state.setQuery('phone').setPage(6), ['g']), ['g'], 'the query changed');
+  t.equal(infiniteHits.firstPage, 6);
+
+  infiniteHits.sync(state.setQuery('phone').setPage(7));
+  t.deepEqual(infiniteHits.getHits(), ['g'], 'only the page changed');
+
+  infiniteHits.sync(state.setQuery('phone').setQueryParameter('hitsPerPage', 5));
+  t.deepEqual(infiniteHits.getHits(), [], 'the number of hits per page changed');
+  t.equal(infiniteHits.firstPage, undefined);
+  t.end();
+});
\ No newline at end of file
@@ -0,0 +1,108 @@
+'use strict';
+
+var test = require('tape');
+
+var PageIterator = require('../../../src/PageIterator');
+
+function makeSearch(nbPages, hitsPerPage, searched) {
+  return function (page) {
+    searched.push(page);
+    var hits = [];
+    for (var i = 0; i < hitsPerPage; i++) hits.push(page + '-' + i);
+    return Promise.resolve({page: page, nbPages: nbPages, hitsPerPage: hitsPerPage, hits: hits});
+  };
+}
+
+function collect(iterator) {
+  var pages = [];
+  function next() {
+    return iterator.next().then(function (step) {
+      if (step.done) return pages;
+      pages.push(step.value);
+      return next();
+    });
+  }
+  return next();
+}
+
+test('the iterator should yield the pages until the last one', function (t) {
+  var searched = [];
+  var iterator = new PageIterator(makeSearch(4, 2, searched), 1);
+
+  collect(iterator).then(function (pages) {
+    t.deepEqual(pages.map(function (p) { return p.page; }), [1, 2, 3]);
+    t.deepEqual(searched, [1, 2, 3], 'each page is searched once');
+    return iterator.next();
+  }).then(function (step) {
+    t.deepEqual(step, {value: undefined, done: true}, 'the iterator stays done');
+    t.end();
+  }).catch(t.end);
+});
+
+test('the iterator should search the pages in advance up to the concurrency', function (t) {
+  var searched = [];
+  var iterator = new PageIterator(makeSearch(10, 2, searched), 0, {concurrency: 3});
+
+  iterator.next().then(function (step) {
+    t.equal(step.value.page, 0);
+    t.deepEqual(searched, [0, 1, 2, 3], 'the three next pages are searched');
+    return iterator.next();
+  }).then(function (step) {
+    t.equal(step.value.page, 1);
+    t.deepEqual(searched, [0, 1, 2, 3, 4]);
+    return iterator.return();
+  }).then(function (step) {
+    t.equal(step.done, true);
+    return iterator.next();
+  }).then(function (step) {
+    t.equal(step.done, true, 'the iteration is stopped');
+    t.deepEqual(searched, [0, 1, 2, 3, 4], 'no more pages are searched');
+    t.end();
+  }).catch(t.end);
+});
+
+test('the iterator should stop at the maximum number of hits', function (t) {
+  var searched = [];
+  var iterator = new PageIterator(makeSearch(10, 4, searched), 0, {maxHits: 10, concurrency: 5});
+
+  collect(iterator).then(function (pages) {
+    t.deepEqual(pages.map(function (p) { return p.hits.length; }), [4, 4, 2], 'the last page is truncated');
+    t.deepEqual(searched, [0, 1, 2], 'the pages after the maximum are not searched');
+    t.end();
+  }).catch(t.end);
+});
+
+test('the iterator should reject with the error of a page and stop', function (t) {
+  var iterator = new PageIterator(function (page) {
+    if (page === 1) return Promise.reject(new Error('down'));
+    return Promise.resolve({page: page, nbPages: 5, hitsPerPage: 1, hits: ['a']});
+  }, 0, {concurrency: 2});
+
+  iterator.next().then(function () {
+    return iterator.next();
+  }).then(function () {
+    t.fail('the second page should fail');
+  }, function (err) {
+    t.equal(err.message, 'down');
+    return iterator.next();
+  }).then(function (step) {
+    t.equal(step.done, true);
+    t.end();
+  }).catch(t.end);
+});
+
+test('the iterator should validate its options and be async iterable', function (t) {
+  var iterator = new PageIterator(function () {}, 0);
+
+  t.throws(function () {
+    new PageIterator(function () {}, 0, {concurrency: 0}); // eslint-disable-line no-new
+  }, /concurrency/);
+  t.throws(function () {
+    new PageIterator(function () {}, 0, {maxHits: -1}); // eslint-disable-line no-new
+  }, /maximum number of hits/);
+
+  if (typeof Symbol === 'function' && Symbol.asyncIterator) {
+    t.equal(iterator[Symbol.asyncIterator](), iterator);
+  }
+  t.end();
+});
\ No newline at end of file
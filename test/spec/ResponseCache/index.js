@@ -0,0 +1,89 @@
+'use strict';
+
+var test = require('tape');
+var sinon = require('sinon');
+
+var ResponseCache = require('../../../src/ResponseCache');
+var SearchParameters = require('../../../src/SearchParameters');
+
+test('getKey should not depend on the order of the keys or of the refinements', function (t) {
+  var state1 = new SearchParameters({
+    index: 'index',
+    query: 'q',
+    disjunctiveFacets: ['brand'],
+    disjunctiveFacetsRefinements: {brand: ['a', 'b']},
+    numericRefinements: {price: {'>=': [10], '<=': [100]}}
+  });
+  var state2 = new SearchParameters({
+    numericRefinements: {price: {'<=': [100], '>=': [10]}},
+    disjunctiveFacetsRefinements: {brand: ['b', 'a']},
+    disjunctiveFacets: ['brand'],
+    query: 'q',
+    index: 'index'
+  });
+  var state3 = state1.setQuery('other');
+
+  t.equal(ResponseCache.getKey([state1]), ResponseCache.getKey([state2]), 'equivalent states have the same key');
+  t.notEqual(ResponseCache.getKey([state1]), ResponseCache.getKey([state3]), 'different states have different keys');
+  t.notEqual(ResponseCache.getKey([state1]), ResponseCache.getKey([state1, state1]), 'the derived states are part of the key');
+  t.end();
+});
+
+test('getKey should depend on the period of the date presets', function (t) {
+  var clock = sinon.useFakeTimers(Date.UTC(2019, 0, 15, 10));
+  var state = new SearchParameters({index: 'index'})
+    .addDatePresetRefinement('created_at', 'today', 'UTC');
+  var fixedState = new SearchParameters({index: 'index'})
+    .addDateRangeRefinement('created_at', 0, 1000);
+
+  var key = ResponseCache.getKey([state]);
+  var fixedKey = ResponseCache.getKey([fixedState]);
+
+  clock.tick(60 * 60 * 1000);
+  t.equal(ResponseCache.getKey([state]), key, 'the key does not change during the period');
+
+  clock.tick(24 * 60 * 60 * 1000);
+  t.notEqual(ResponseCache.getKey([state]), key, 'the key changes with the period');
+  t.equal(ResponseCache.getKey([fixedState]), fixedKey, 'the key of a fixed range does not change');
+
+  clock.restore();
+  t.end();
+});
+
+test('the cache should evict the least recently used responses', function (t) {
+  var cache = new ResponseCache({size: 2});
+
+  cache.set('a', 1);
+  cache.set('b', 2);
+  cache.get('a');
+  cache.set('c', 3);
+
+  t.equal(cache.get('a'), 1, 'a has been used recently');
+  t.equal(cache.get('b'), undefined, 'b has been evicted');
+  t.equal(cache.get('c'), 3, 'c has just been added');
+
+  cache.clear();
+  t.equal(cache.get('a'), undefined, 'clear removes all the responses');
+  t.end();
+});
+
+test('the responses should expire after the ttl', function (t) {
+  var clock = sinon.useFakeTimers();
+  var cache = new ResponseCache({ttl: 1000});
+
+  cache.set('a', 1);
+  clock.tick(1000);
+  t.equal(cache.get('a'), 1, 'the response is still valid');
+  clock.tick(1);
+  t.equal(cache.get('a'), undefined, 'the response has expired');
+
+  clock.restore();
+  t.end();
+});
+
+test('the size of the cache should be positive', function (t) {
+  t.throws(function () {
+    new ResponseCache({size: 0}); // eslint-disable-line no-new
+  }, /size/);
+  t.end();
+});
\ No newline at end of file
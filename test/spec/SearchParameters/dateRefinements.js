@@ -0,0 +1,102 @@
+'use strict';
+
+var test = require('tape');
+var SearchParameters = require('../../../src/SearchParameters');
+var requestBuilder = require('../../../src/requestBuilder');
+var url = require('../../../src/url');
+var resolveDateRefinement = require('../../../src/functions/resolveDateRefinement');
+
+test('addDateRangeRefinement should store the dates as milliseconds, one range per attribute', function (t) {
+  var state = new SearchParameters()
+    .addDateRangeRefinement('created_at', new Date(Date.UTC(2020, 0, 1)), '2020-01-31T23:59:59Z');
+
+  t.deepEqual(state.getDateRefinement('created_at'), {from: 1577836800000, to: 1580515199000});
+  t.ok(state.isDateRefined('created_at'));
+
+  state = state.addDateRangeRefinement('created_at', 1577836800000);
+  t.deepEqual(state.dateRefinements, {created_at: {from: 1577836800000}}, 'the range is replaced');
+  t.equal(state.addDateRangeRefinement('created_at', 1577836800000), state, 'the same range does not change the state');
+
+  t.throws(function () {
+    state.addDateRangeRefinement('created_at', 'not a date');
+  }, /Invalid date: not a date/);
+  t.throws(function () {
+    state.addDateRangeRefinement('created_at');
+  }, /needs at least one date/);
+  t.end();
+});
+
+test('addDatePresetRefinement should store the preset and validate it', function (t) {
+  var state = new SearchParameters().addDatePresetRefinement('created_at', 'last7days', 'Europe/Paris');
+
+  t.deepEqual(state.getDateRefinement('created_at'), {preset: 'last7days', timezone: 'Europe/Paris'});
+  t.throws(function () {
+    state.addDatePresetRefinement('created_at', 'someday');
+  }, /Unknown preset/);
+  t.throws(function () {
+    state.addDatePresetRefinement('created_at', 'today', 'Nowhere');
+  }, /Unknown timezone/);
+  t.end();
+});
+
+test('the date refinements can be removed and cleared', function (t) {
+  var state = new SearchParameters()
+    .addDatePresetRefinement('created_at', 'today')
+    .addDateRangeRefinement('updated_at', 0, 1000);
+
+  t.deepEqual(state.removeDateRefinement('created_at').dateRefinements, {updated_at: {from: 0, to: 1000}});
+  t.equal(state.removeDateRefinement('published_at'), state, 'removing a missing refinement does not change the state');
+  t.deepEqual(state.clearRefinements('updated_at').dateRefinements, {created_at: {preset: 'today'}});
+  t.deepEqual(state.clearRefinements().dateRefinements, {});
+  t.deepEqual(state.clearRefinements(function (value, attribute, type) {
+    return type === 'date' && value.preset !== undefined;
+  }).dateRefinements, {updated_at: {from: 0, to: 1000}});
+  t.end();
+});
+
+test('the date refinements should be sent as numeric filters in the timestamp unit', function (t) {
+  var state = new SearchParameters({disjunctiveFacets: ['created_at']})
+    .addDateRangeRefinement('created_at', 1577836800000, 1580515199500);
+
+  t.deepEqual(requestBuilder._getNumericFilters(state), ['created_at>=1577836800', 'created_at<=1580515199']);
+  t.deepEqual(requestBuilder._getNumericFilters(state, 'created_at'), [], 'not for the query of the disjunctive facet');
+  t.equal(requestBuilder._getQueries('index', state).length, 2, 'the disjunctive facet is refined');
+
+  state = state.setQueryParameters({timestampUnit: 'ms', filtersFormat: 'filters'});
+  t.equal(requestBuilder._getFilters(state), 'created_at >= 1577836800000 AND created_at <= 1580515199500');
+
+  t.throws(function () {
+    state.setQueryParameters({timestampUnit: 'days'});
+  }, /timestamp unit/);
+  t.throws(function () {
+    state.setQueryParameters({numericFilters: ['price>10']});
+  }, /date refinements/);
+  t.end();
+});
+
+test('the date presets should be resolved when the query is built', function (t) {
+  var state = new SearchParameters().addDatePresetRefinement('created_at', 'today', 'UTC');
+  var range = resolveDateRefinement({preset: 'today', timezone: 'UTC'}, Date.now());
+
+  t.deepEqual(requestBuilder._getNumericFilters(state), [
+    'created_at>=' + range.min / 1000,
+    'created_at<' + range.max / 1000
+  ], 'the end of the preset is excluded');
+  t.end();
+});
+
+test('the url should keep the date presets', function (t) {
+  var state = new SearchParameters()
+    .addDatePresetRefinement('created_at', 'thisMonth', 'Europe/Paris')
+    .addDateRangeRefinement('updated_at', 1577836800000);
+  var queryString = url.getQueryStringFromState(state);
+
+  t.equal(queryString, 'q=&idx=&p=0&dR[created_at][preset]=thisMonth&dR[created_at][timezone]=Europe%2FParis&dR[updated_at][from]=1577836800000');
+
+  var parsed = new SearchParameters(url.getStateFromQueryString(queryString));
+  t.deepEqual(parsed.dateRefinements, state.dateRefinements);
+
+  t.deepEqual(state.filter(['attribute:*']), {dateRefinements: state.dateRefinements}, 'the refinements are kept when filtering the state');
+  t.deepEqual(state.filter(['attribute:updated_at']), {dateRefinements: {updated_at: {from: 1577836800000}}});
+  t.end();
+});
\ No newline at end of file
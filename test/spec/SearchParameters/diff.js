@@ -0,0 +1,89 @@
+'use strict';
+
+var test = require('tape');
+
+var SearchParameters = require('../../../src/SearchParameters');
+
+function makeState() {
+  return new SearchParameters({
+    index: 'index',
+    query: 'tv',
+    facets: ['color'],
+    disjunctiveFacets: ['brand'],
+    hierarchicalFacets: [{name: 'category', attributes: ['category.lvl0', 'category.lvl1']}],
+    page: 3
+  });
+}
+
+test('diff should be empty for equivalent states', function (t) {
+  var state1 = makeState().addDisjunctiveFacetRefinement('brand', 'a').addDisjunctiveFacetRefinement('brand', 'b');
+  var state2 = makeState().addDisjunctiveFacetRefinement('brand', 'b').addDisjunctiveFacetRefinement('brand', 'a');
+
+  t.deepEqual(SearchParameters.diff(state1, state2), [], 'no operations');
+  t.end();
+});
+
+test('diff should list the changes of refinements and parameters', function (t) {
+  var previous = makeState()
+    .addFacetRefinement('color', 'red')
+    .addNumericRefinement('price', '>=', 10)
+    .addTagRefinement('old');
+  var next = previous
+    .removeFacetRefinement('color', 'red')
+    .addExcludeRefinement('color', 'blue')
+    .addDisjunctiveFacetRefinement('brand', 'Apple')
+    .toggleHierarchicalFacetRefinement('category', 'TV')
+    .removeNumericRefinement('price', '>=', 10)
+    .addNumericRefinement('price', '>', 10)
+    .removeTagRefinement('old')
+    .addTagRefinement('new')
+    .setQuery('phone')
+    .setPage(0);
+
+  t.deepEqual(SearchParameters.diff(previous, next), [
+    {op: 'removeRefinement', type: 'conjunctiveFacet', attribute: 'color', value: 'red'},
+    {op: 'removeRefinement', type: 'numeric', attribute: 'price', operator: '>=', value: 10},
+    {op: 'removeRefinement', type: 'tag', value: 'old'},
+    {op: 'addRefinement', type: 'exclude', attribute: 'color', value: 'blue'},
+    {op: 'addRefinement', type: 'disjunctiveFacet', attribute: 'brand', value: 'Apple'},
+    {op: 'addRefinement', type: 'hierarchicalFacet', attribute: 'category', value: 'TV'},
+    {op: 'addRefinement', type: 'numeric', attribute: 'price', operator: '>', value: 10},
+    {op: 'addRefinement', type: 'tag', value: 'new'},
+    {op: 'set', parameter: 'query', value: 'phone'},
+    {op: 'set', parameter: 'page', value: 0}
+  ], 'the operations describe the changes');
+
+  t.end();
+});
+
+test('applyPatch should replay the diff of two states', function (t) {
+  var previous = makeState()
+    .addFacetRefinement('color', 'red')
+    .addNumericRefinement('price', '=', [1, 2])
+    .addTagRefinement('old');
+  var next = previous
+    .clearRefinements()
+    .addDisjunctiveFacetRefinement('brand', 'Apple')
+    .addNumericRefinement('price', '<=', 100)
+    .toggleHierarchicalFacetRefinement('category', 'TV > OLED')
+    .setQueryParameters({hitsPerPage: 5, page: 2, tagRefinements: ['new']});
+
+  var patched = previous.applyPatch(SearchParameters.diff(previous, next));
+
+  t.ok(patched.isEqual(next), 'the patched state is equal to the next state');
+  t.equal(patched.page, 2, 'the page is the one of the next state');
+  t.equal(previous.applyPatch([]), previous, 'an empty patch does not change the state');
+  t.end();
+});
+
+test('applyPatch should reject unknown operations', function (t) {
+  var state = makeState();
+
+  t.throws(function () {
+    state.applyPatch([{op: 'replace'}]);
+  }, /Unknown patch operation/);
+  t.throws(function () {
+    state.applyPatch([{op: 'addRefinement', type: 'unknown', attribute: 'a', value: 'b'}]);
+  }, /Unknown refinement type/);
+  t.end();
+});
\ No newline at end of file
@@ -0,0 +1,108 @@
+'use strict';
+
+var test = require('tape');
+var SearchParameters = require('../../../src/SearchParameters');
+var url = require('../../../src/url');
+
+var paris = {lat: 48.8566, lng: 2.3522};
+var box = {northEast: {lat: 48.9, lng: 2.4}, southWest: {lat: 48.8, lng: 2.3}};
+var triangle = [{lat: 0, lng: 0}, {lat: 1, lng: 0}, {lat: 1, lng: 1}];
+
+test('setGeoCircle should set the center and the radius', function (t) {
+  var state = new SearchParameters({aroundLatLngViaIP: true}).setGeoCircle(paris, 1000);
+
+  t.equal(state.aroundLatLng, '48.8566,2.3522');
+  t.equal(state.aroundRadius, 1000);
+  t.equal(state.aroundLatLngViaIP, undefined, 'the center replaces the position of the user IP');
+  t.deepEqual(state.getGeoCircle(), {center: paris, radius: 1000});
+
+  t.deepEqual(new SearchParameters({aroundLatLng: '48.8566, 2.3522'}).getGeoCircle(), {center: paris, radius: undefined}, 'the raw parameter is read');
+  t.equal(new SearchParameters().getGeoCircle(), undefined);
+  t.end();
+});
+
+test('setGeoCircle should validate the center and the radius', function (t) {
+  var state = new SearchParameters();
+
+  t.throws(function () {
+    state.setGeoCircle({lat: 91, lng: 0});
+  }, /latitude between -90 and 90/);
+  t.throws(function () {
+    state.setGeoCircle({lat: 0, lng: '2'});
+  }, /longitude between -180 and 180/);
+  t.throws(function () {
+    state.setGeoCircle(paris, -10);
+  }, /The radius should be a positive number/);
+  t.equal(state.setGeoCircle(paris, 'all').aroundRadius, 'all');
+  t.end();
+});
+
+test('setGeoBoundingBoxes should set the rectangles in the format of the API', function (t) {
+  var state = new SearchParameters().setGeoBoundingBoxes([box]);
+
+  t.deepEqual(state.insideBoundingBox, [[48.9, 2.4, 48.8, 2.3]]);
+  t.deepEqual(state.getGeoBoundingBoxes(), [box]);
+  t.equal(state.setGeoBoundingBoxes([]).insideBoundingBox, undefined, 'an empty list removes the rectangles');
+
+  t.deepEqual(
+    new SearchParameters({insideBoundingBox: '48.9,2.4,48.8,2.3,1,1,0,0'}).getGeoBoundingBoxes(),
+    [box, {northEast: {lat: 1, lng: 1}, southWest: {lat: 0, lng: 0}}],
+    'the string format is read'
+  );
+
+  t.throws(function () {
+    state.setGeoBoundingBoxes([{northEast: box.southWest, southWest: box.northEast}]);
+  }, /should be north of the southWest point/);
+  t.end();
+});
+
+test('setGeoPolygons should set the polygons in the format of the API', function (t) {
+  var state = new SearchParameters().setGeoPolygons([triangle]);
+
+  t.deepEqual(state.insidePolygon, [[0, 0, 1, 0, 1, 1]]);
+  t.deepEqual(state.getGeoPolygons(), [triangle]);
+  t.deepEqual(new SearchParameters({insidePolygon: '0,0,1,0,1,1'}).getGeoPolygons(), [triangle], 'the string format is read');
+
+  t.throws(function () {
+    state.setGeoPolygons([triangle.slice(0, 2)]);
+  }, /at least 3 points/);
+  t.end();
+});
+
+test('the geo modes can not be combined', function (t) {
+  var circle = new SearchParameters().setGeoCircle(paris);
+  var boxes = new SearchParameters().setGeoBoundingBoxes([box]);
+
+  t.throws(function () {
+    circle.setGeoBoundingBoxes([box]);
+  }, /Cannot combine a bounding box with a circle \(aroundLatLng\)/);
+  t.throws(function () {
+    boxes.setGeoPolygons([triangle]);
+  }, /Cannot combine a polygon with a bounding box/);
+  t.throws(function () {
+    new SearchParameters({aroundLatLngViaIP: true}).setGeoPolygons([triangle]);
+  }, /Cannot combine a polygon with a circle \(aroundLatLngViaIP\)/);
+
+  t.deepEqual(boxes.setGeoBoundingBoxes([box]).getGeoBoundingBoxes(), [box], 'the same mode can be replaced');
+  t.deepEqual(circle.clearGeo().setGeoBoundingBoxes([box]).getGeoBoundingBoxes(), [box], 'the mode can be changed after clearGeo');
+  t.end();
+});
+
+test('clearGeo should remove all the geo parameters but the precision', function (t) {
+  var state = new SearchParameters({aroundPrecision: 100}).setGeoCircle(paris, 1000);
+  var cleared = state.clearGeo();
+
+  t.equal(cleared.aroundLatLng, undefined);
+  t.equal(cleared.aroundRadius, undefined);
+  t.equal(cleared.aroundPrecision, 100);
+  t.equal(cleared.clearGeo(), cleared, 'nothing to clear does not change the state');
+  t.end();
+});
+
+test('the polygons should be kept through the url', function (t) {
+  var state = new SearchParameters().setGeoPolygons([triangle, [{lat: 2, lng: 2.5}, {lat: 3, lng: 2}, {lat: 3, lng: 3}]]);
+  var parsed = new SearchParameters(url.getStateFromQueryString(url.getQueryStringFromState(state)));
+
+  t.deepEqual(parsed.getGeoPolygons(), state.getGeoPolygons());
+  t.end();
+});
\ No newline at end of file
@@ -0,0 +1,66 @@
+'use strict';
+
+var test = require('tape');
+
+var SearchParameters = require('../../../src/SearchParameters');
+
+test('isEqual should not depend on the order of the refinements', function (t) {
+  var state1 = new SearchParameters({
+    disjunctiveFacets: ['brand'],
+    disjunctiveFacetsRefinements: {brand: ['a', 'b']},
+    facetsRefinements: {color: ['red', 'blue']},
+    tagRefinements: ['t1', 't2']
+  });
+  var state2 = new SearchParameters({
+    tagRefinements: ['t2', 't1'],
+    facetsRefinements: {color: ['blue', 'red']},
+    disjunctiveFacetsRefinements: {brand: ['b', 'a']},
+    disjunctiveFacets: ['brand']
+  });
+
+  t.ok(state1.isEqual(state2), 'the states are equal');
+  t.equal(state1.getHash(), state2.getHash(), 'the hashes are equal');
+  t.end();
+});
+
+test('isEqual should ignore the empty refinements', function (t) {
+  var state1 = new SearchParameters({
+    facets: ['color'],
+    facetsRefinements: {color: []},
+    numericRefinements: {price: {'>=': []}}
+  });
+  var state2 = new SearchParameters({facets: ['color']});
+  var state3 = state2.addFacetRefinement('color', 'red').removeFacetRefinement('color', 'red');
+
+  t.ok(state1.isEqual(state2), 'an empty list is the same as no list');
+  t.ok(state2.isEqual(state3), 'a removed refinement is the same as no refinement');
+  t.end();
+});
+
+test('isEqual should compare the numbers stored as strings', function (t) {
+  var state1 = new SearchParameters({
+    numericRefinements: {price: {'>=': [10], '=': [[1, 2]]}},
+    facetsRefinements: {size: [42]},
+    hitsPerPage: 10
+  });
+  var state2 = new SearchParameters({
+    numericRefinements: {price: {'=': [['2', '1']], '>=': ['10']}},
+    facetsRefinements: {size: ['42']},
+    hitsPerPage: '10'
+  });
+
+  t.ok(state1.isEqual(state2), 'the numbers are parsed');
+  t.end();
+});
+
+test('isEqual should tell when the states are different', function (t) {
+  var state = new SearchParameters({facets: ['color'], query: 'q'});
+
+  t.notOk(state.isEqual(state.setQuery('other')), 'different queries');
+  t.notOk(state.isEqual(state.addFacetRefinement('color', 'red')), 'different refinements');
+  t.notOk(state.isEqual(state.addExcludeRefinement('color', 'red')), 'refinements of a different kind');
+  t.notOk(state.isEqual(null), 'no state');
+  t.ok(state.isEqual({facets: ['color'], query: 'q'}), 'a plain object with the same parameters');
+  t.notEqual(state.getHash(), state.setPage(2).getHash(), 'different pages have different hashes');
+  t.end();
+});
\ No newline at end of file
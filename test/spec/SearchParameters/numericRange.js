@@ -0,0 +1,67 @@
+'use strict';
+
+var test = require('tape');
+var SearchParameters = require('../../../src/SearchParameters');
+
+test('setNumericRange should set the bounds with the inclusive operators by default', function (t) {
+  var state = new SearchParameters().setNumericRange('price', {min: 10, max: 100});
+
+  t.deepEqual(state.numericRefinements, {price: {'>=': [10], '<=': [100]}});
+  t.deepEqual(state.getNumericRange('price'), {min: 10, max: 100, minInclusive: true, maxInclusive: true});
+  t.end();
+});
+
+test('setNumericRange should support exclusive and open bounds', function (t) {
+  var state = new SearchParameters().setNumericRange('price', {min: '10', minInclusive: false});
+
+  t.deepEqual(state.numericRefinements, {price: {'>': [10]}}, 'the lower bound is exclusive and parsed');
+  t.deepEqual(state.getNumericRange('price'), {min: 10, max: undefined, minInclusive: false, maxInclusive: undefined});
+
+  state = state.setNumericRange('price', {max: 100, maxInclusive: false});
+  t.deepEqual(state.numericRefinements, {price: {'<': [100]}}, 'the previous bound is replaced');
+  t.end();
+});
+
+test('setNumericRange should keep the other numeric refinements and the same state for the same range', function (t) {
+  var state = new SearchParameters()
+    .addNumericRefinement('price', '!=', 50)
+    .addNumericRefinement('price', '>=', 5)
+    .addNumericRefinement('price', '<', 200);
+
+  var withRange = state.setNumericRange('price', {min: 10, max: 100});
+  t.deepEqual(withRange.numericRefinements, {price: {'!=': [50], '>=': [10], '<=': [100]}});
+  t.equal(withRange.setNumericRange('price', {min: 10, max: 100, minInclusive: true}), withRange, 'the same range does not change the state');
+  t.deepEqual(withRange.clearNumericRange('price').numericRefinements, {price: {'!=': [50]}}, 'clearNumericRange removes only the bounds');
+  t.equal(withRange.clearNumericRange('age'), withRange, 'clearing an attribute without range does not change the state');
+  t.end();
+});
+
+test('getNumericRange should return the most restrictive bounds', function (t) {
+  var state = new SearchParameters()
+    .addNumericRefinement('price', '>=', 5)
+    .addNumericRefinement('price', '>', 5)
+    .addNumericRefinement('price', '<=', 200)
+    .addNumericRefinement('price', '<=', 100);
+
+  t.deepEqual(state.getNumericRange('price'), {min: 5, max: 100, minInclusive: false, maxInclusive: true});
+  t.equal(state.getNumericRange('age'), undefined, 'no range on the attribute');
+  t.end();
+});
+
+test('setNumericRange should throw for invalid ranges', function (t) {
+  var state = new SearchParameters();
+
+  t.throws(function () {
+    state.setNumericRange('price', {min: 'a'});
+  }, /should be numbers/);
+  t.throws(function () {
+    state.setNumericRange('price', {min: 10, max: 5});
+  }, /is empty/);
+  t.throws(function () {
+    state.setNumericRange('price', {min: 10, max: 10, maxInclusive: false});
+  }, /is empty/);
+  t.doesNotThrow(function () {
+    state.setNumericRange('price', {min: 10, max: 10});
+  });
+  t.end();
+});
\ No newline at end of file
@@ -0,0 +1,23 @@
+'use strict';
+
+var test = require('tape');
+var SearchParameters = require('../../../src/SearchParameters');
+var SearchResults = require('../../../src/SearchResults');
+
+test('SearchResults should parse the geo data of the response', function (t) {
+  var results = new SearchResults(new SearchParameters(), [{
+    hits: [],
+    aroundLatLng: '48.8637,2.3615',
+    automaticRadius: '126792922'
+  }]);
+
+  t.equal(results.aroundLatLng, '48.8637,2.3615', 'the raw position is kept');
+  t.equal(results.automaticRadius, '126792922', 'the raw radius is kept');
+  t.deepEqual(results.getAroundLatLng(), {lat: 48.8637, lng: 2.3615});
+  t.equal(results.getAutomaticRadius(), 126792922);
+
+  var withoutGeo = new SearchResults(new SearchParameters(), [{hits: []}]);
+  t.equal(withoutGeo.getAroundLatLng(), undefined);
+  t.equal(withoutGeo.getAutomaticRadius(), undefined);
+  t.end();
+});
\ No newline at end of file
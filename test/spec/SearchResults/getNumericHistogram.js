@@ -0,0 +1,88 @@
+'use strict';
+
+var test = require('tape');
+var map = require('lodash/map');
+var SearchResults = require('../../../src/SearchResults');
+var SearchParameters = require('../../../src/SearchParameters');
+
+function makeResults(state) {
+  return new SearchResults(state || new SearchParameters({disjunctiveFacets: ['price'], facets: ['brand']}), [{
+    hits: [],
+    facets: {
+      price: {'5': 2, '12': 1, '19.5': 3, '40': 4},
+      brand: {Apple: 2}
+    },
+    facets_stats: {
+      price: {min: 5, max: 40, avg: 24.8, sum: 248}
+    },
+    nbHits: 10,
+    nbPages: 1,
+    hitsPerPage: 20
+  }]);
+}
+
+function summarize(buckets) {
+  return map(buckets, function (b) {
+    return [b.min, b.max, b.maxInclusive, b.count];
+  });
+}
+
+test('getNumericHistogram should make buckets of the same size between the lowest and highest values', function (t) {
+  var buckets = makeResults().getNumericHistogram('price', {buckets: 5});
+
+  t.deepEqual(summarize(buckets), [
+    [5, 12, false, 2],
+    [12, 19, false, 1],
+    [19, 26, false, 3],
+    [26, 33, false, 0],
+    [33, 40, true, 4]
+  ]);
+  t.equal(makeResults().getNumericHistogram('price').length, 10, 'there are 10 buckets by default');
+  t.end();
+});
+
+test('getNumericHistogram should make buckets starting at multiples of the interval', function (t) {
+  var buckets = makeResults().getNumericHistogram('price', {interval: 10});
+
+  t.deepEqual(summarize(buckets), [
+    [0, 10, false, 2],
+    [10, 20, false, 4],
+    [20, 30, false, 0],
+    [30, 40, false, 0],
+    [40, 50, false, 4]
+  ]);
+  t.end();
+});
+
+test('getNumericHistogram should report the refined bucket, that can be toggled', function (t) {
+  var results = makeResults(new SearchParameters({facets: ['price']}));
+  var buckets = results.getNumericHistogram('price', {interval: 10});
+  var state = results._state.toggleNumericBucket('price', buckets[1]);
+
+  t.deepEqual(state.getNumericRange('price'), {min: 10, max: 20, minInclusive: true, maxInclusive: false}, 'the bucket is the range');
+
+  var refined = map(makeResults(state).getNumericHistogram('price', {interval: 10}), 'isRefined');
+  t.deepEqual(refined, [false, true, false, false, false], 'the bucket is refined');
+
+  t.equal(state.toggleNumericBucket('price', buckets[1]).getNumericRange('price'), undefined, 'toggling the bucket again removes the range');
+  t.end();
+});
+
+test('getNumericHistogram should throw for invalid parameters', function (t) {
+  var results = makeResults();
+
+  t.throws(function () {
+    results.getNumericHistogram('rating');
+  }, /is not a retrieved facet/);
+  t.throws(function () {
+    results.getNumericHistogram('price', {buckets: 2, interval: 10});
+  }, /either `buckets` or `interval`/);
+  t.throws(function () {
+    results.getNumericHistogram('price', {interval: 0});
+  }, /positive number/);
+  t.throws(function () {
+    results.getNumericHistogram('price', {buckets: 1.5});
+  }, /positive integer/);
+  t.deepEqual(results.getNumericHistogram('brand'), [], 'a facet without numeric values has no buckets');
+  t.end();
+});
\ No newline at end of file
@@ -0,0 +1,66 @@
+'use strict';
+
+var test = require('tape');
+var SearchResults = require('../../../src/SearchResults');
+var SearchParameters = require('../../../src/SearchParameters');
+
+var response = [{
+  page: 0,
+  hits: [],
+  facets: {
+    price: {10: 1, 60: 2}
+  },
+  facets_stats: {
+    price: {min: 10, max: 60, avg: 43.3, sum: 130}
+  },
+  nbHits: 3,
+  nbPages: 1,
+  hitsPerPage: 20
+}];
+
+test('getNumericRangeInfo should combine the range with the facet stats', function (t) {
+  var state = new SearchParameters({facets: ['price']}).setNumericRange('price', {min: 20, minInclusive: false});
+  var results = new SearchResults(state, response);
+
+  t.deepEqual(results.getNumericRangeInfo('price'), {
+    min: 10,
+    max: 60,
+    refinedMin: 20,
+    refinedMax: 60,
+    minInclusive: false,
+    maxInclusive: true,
+    isRefined: true
+  });
+  t.end();
+});
+
+test('getNumericRangeInfo should use the stats without range', function (t) {
+  var results = new SearchResults(new SearchParameters({facets: ['price']}), response);
+
+  t.deepEqual(results.getNumericRangeInfo('price'), {
+    min: 10,
+    max: 60,
+    refinedMin: 10,
+    refinedMax: 60,
+    minInclusive: true,
+    maxInclusive: true,
+    isRefined: false
+  });
+  t.end();
+});
+
+test('getNumericRangeInfo should work on attributes that are not facets', function (t) {
+  var state = new SearchParameters().setNumericRange('rating', {max: 4});
+  var results = new SearchResults(state, response);
+
+  t.deepEqual(results.getNumericRangeInfo('rating'), {
+    min: undefined,
+    max: undefined,
+    refinedMin: undefined,
+    refinedMax: 4,
+    minInclusive: true,
+    maxInclusive: true,
+    isRefined: true
+  });
+  t.end();
+});
\ No newline at end of file
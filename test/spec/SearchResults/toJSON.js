@@ -0,0 +1,24 @@
+'use strict';
+
+var test = require('tape');
+var SearchParameters = require('../../../src/SearchParameters');
+var SearchResults = require('../../../src/SearchResults');
+
+test('SearchResults should be rebuilt from its JSON', function (t) {
+  var testData = require('../search.testdata')();
+  var state = new SearchParameters({index: 'test_hotels-node', disjunctiveFacets: ['city']})
+    .addDisjunctiveFacetRefinement('city', 'Paris')
+    .addDisjunctiveFacetRefinement('city', 'New York');
+  var results = new SearchResults(state, testData.response.results);
+
+  var rawResults = JSON.parse(JSON.stringify(results));
+  t.deepEqual(rawResults, testData.response.results, 'the JSON is the raw results');
+
+  var rebuilt = SearchResults.fromJSON(JSON.parse(JSON.stringify(state)), rawResults);
+  t.ok(rebuilt instanceof SearchResults);
+  t.ok(rebuilt._state instanceof SearchParameters, 'a plain state is converted');
+  t.deepEqual(rebuilt.hits, results.hits);
+  t.deepEqual(rebuilt.getFacetValues('city'), results.getFacetValues('city'), 'the facets are computed from the state');
+  t.deepEqual(rebuilt.getRefinements(), results.getRefinements());
+  t.end();
+});
\ No newline at end of file
@@ -0,0 +1,56 @@
+'use strict';
+
+var test = require('tape');
+
+var StateHistory = require('../../../src/StateHistory');
+
+test('the history should keep at most depth states', function (t) {
+  var history = new StateHistory({depth: 2});
+
+  history.record('a');
+  history.record('b');
+  history.record('c');
+
+  t.equal(history.undo('d'), 'c', 'undo the last change');
+  t.equal(history.undo('c'), 'b', 'undo the change before');
+  t.equal(history.canUndo(), false, 'the oldest state has been forgotten');
+  t.equal(history.redo('b'), 'c', 'redo the change undone');
+  t.end();
+});
+
+test('recording a state should forget the states to redo', function (t) {
+  var history = new StateHistory();
+
+  history.record('a');
+  history.undo('b');
+  t.equal(history.canRedo(), true, 'b can be redone');
+
+  history.record('a');
+  t.equal(history.canRedo(), false, 'b cannot be redone anymore');
+  t.end();
+});
+
+test('the changes of a group should be recorded once', function (t) {
+  var history = new StateHistory();
+
+  history.startGroup();
+  history.record('a');
+  history.startGroup();
+  history.record('b');
+  history.endGroup();
+  history.record('c');
+  history.endGroup();
+  history.record('d');
+
+  t.equal(history.undo('e'), 'd', 'the change after the group');
+  t.equal(history.undo('d'), 'a', 'the state before the group');
+  t.equal(history.canUndo(), false, 'nothing else to undo');
+  t.end();
+});
+
+test('the depth of the history should be positive', function (t) {
+  t.throws(function () {
+    new StateHistory({depth: -1}); // eslint-disable-line no-new
+  }, /depth/);
+  t.end();
+});
\ No newline at end of file
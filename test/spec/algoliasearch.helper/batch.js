@@ -0,0 +1,71 @@
+'use strict';
+
+var test = require('tape');
+var algoliasearchHelper = require('../../../index');
+
+var fakeClient = {
+  addAlgoliaAgent: function addAlgoliaAgent() {}
+};
+
+test('batch should trigger a single change event with the final state', function (t) {
+  var helper = algoliasearchHelper(fakeClient, 'index', {facets: ['brand']});
+  helper.addFacetRefinement('brand', 'Samsung');
+
+  var events = [];
+  helper.on('change', function (state, lastResults, diff) {
+    events.push({state: state, diff: diff});
+  });
+
+  helper.batch(function (h) {
+    h.clearRefinements().toggleRefine('brand', 'Apple');
+    t.equal(h.state.query, '', 'the state is updated inside the batch');
+    h.batch(function () {
+      h.setQuery('tv');
+    });
+    t.equal(events.length, 0, 'a nested batch does not trigger the event');
+  });
+
+  t.equal(events.length, 1, 'a single change event');
+  t.equal(events[0].state, helper.state, 'with the final state');
+  t.deepEqual(events[0].diff, [
+    {op: 'removeRefinement', type: 'conjunctiveFacet', attribute: 'brand', value: 'Samsung'},
+    {op: 'addRefinement', type: 'conjunctiveFacet', attribute: 'brand', value: 'Apple'},
+    {op: 'set', parameter: 'query', value: 'tv'}
+  ], 'and the diff of the whole batch');
+
+  helper.batch(function () {});
+  t.equal(events.length, 1, 'no event without changes');
+  t.end();
+});
+
+test('batch should discard the changes if the function throws', function (t) {
+  var helper = algoliasearchHelper(fakeClient, 'index');
+  var initialState = helper.state;
+
+  helper.on('change', function () {
+    t.fail('no change event should be triggered');
+  });
+
+  t.throws(function () {
+    helper.batch(function (h) {
+      h.setQuery('tv');
+      throw new Error('oops');
+    });
+  }, /oops/);
+
+  t.equal(helper.state, initialState, 'the state is restored');
+  t.end();
+});
+
+test('batch should make a single history entry', function (t) {
+  var helper = algoliasearchHelper(fakeClient, 'index', {}, {history: true});
+
+  helper.batch(function (h) {
+    h.setQuery('tv').setPage(2);
+  });
+
+  t.equal(helper.undo().state.query, '', 'the query is undone');
+  t.equal(helper.state.page, 0, 'the page is undone with it');
+  t.equal(helper.canUndo(), false, 'nothing else to undo');
+  t.end();
+});
\ No newline at end of file
@@ -0,0 +1,117 @@
+'use strict';
+
+var test = require('tape');
+var sinon = require('sinon');
+var algoliaSearch = require('algoliasearch');
+
+var algoliasearchHelper = require('../../../index');
+
+function makeClient() {
+  var testData = require('../search.testdata');
+  var client = algoliaSearch('dsf', 'dsfdf');
+  client.calls = 0;
+  client.search = function (qs, cb) {
+    client.calls++;
+    var response = testData().response;
+    setTimeout(function () {
+      cb(null, response);
+    }, 0);
+  };
+  return client;
+}
+
+test('the helper cache should be used for equivalent states', function (t) {
+  var client = makeClient();
+  var helper = algoliasearchHelper(client, 'test_hotels-node', {
+    disjunctiveFacets: ['city']
+  }, {cache: true});
+
+  helper
+    .addDisjunctiveFacetRefinement('city', 'Paris')
+    .addDisjunctiveFacetRefinement('city', 'New York')
+    .searchAsync()
+    .then(function (first) {
+      helper.setState(helper.state
+        .removeDisjunctiveFacetRefinement('city', 'Paris')
+        .addDisjunctiveFacetRefinement('city', 'Paris'));
+
+      t.deepEqual(helper.state.disjunctiveFacetsRefinements.city, ['New York', 'Paris'], 'the refinements are in another order');
+
+      return helper.searchAsync().then(function (second) {
+        t.equal(client.calls, 1, 'the second search should be read from the cache');
+        t.deepEqual(second.content.hits, first.content.hits, 'the results should be the same');
+      });
+    })
+    .then(function () {
+      return helper.searchAsync({cache: false});
+    })
+    .then(function () {
+      t.equal(client.calls, 2, 'the cache can be bypassed');
+
+      helper.clearCache();
+      return helper.searchAsync();
+    })
+    .then(function () {
+      t.equal(client.calls, 3, 'clearCache empties the cache of the helper');
+      t.end();
+    });
+});
+
+test('the helper cache should not be used once the period of a date preset has changed', function (t) {
+  var client = makeClient();
+  var now = sinon.stub(Date, 'now').returns(Date.UTC(2019, 0, 15, 10));
+  var helper = algoliasearchHelper(client, 'test_hotels-node', {}, {cache: true});
+
+  helper
+    .addDatePresetRefinement('created_at', 'today', 'UTC')
+    .searchAsync()
+    .then(function () {
+      now.returns(Date.UTC(2019, 0, 15, 20));
+      return helper.searchAsync();
+    })
+    .then(function () {
+      t.equal(client.calls, 1, 'the response is read from the cache during the same day');
+
+      now.returns(Date.UTC(2019, 0, 16, 10));
+      return helper.searchAsync();
+    })
+    .then(function () {
+      t.equal(client.calls, 2, 'the response of the previous day is not used');
+      now.restore();
+      t.end();
+    }, function (err) {
+      now.restore();
+      t.end(err);
+    });
+});
+
+test('the responses from the cache should go through the result events', function (t) {
+  var client = makeClient();
+  var helper = algoliasearchHelper(client, 'test_hotels-node', {}, {cache: {size: 10}});
+  var derived = helper.derive(function (state) {
+    return state.setQuery('derived');
+  });
+
+  var results = [];
+  var derivedResults = [];
+  helper.on('result', function (content) {
+    results.push(content);
+  });
+  derived.on('result', function (content, state) {
+    derivedResults.push(state.query);
+  });
+
+  helper.searchAsync().then(function () {
+    var cached = helper.searchAsync();
+    t.equal(results.length, 1, 'the result from the cache is asynchronous');
+
+    cached.then(function () {
+      t.equal(client.calls, 1, 'a single request should have been sent');
+      t.equal(results.length, 2, 'the result event is triggered for the cached response');
+      t.equal(results[1].hits.length, results[0].hits.length, 'with the same hits');
+      t.deepEqual(derivedResults, ['derived', 'derived'], 'the derived helpers receive their results');
+      t.equal(helper.hasPendingRequests(), false, 'there should be no pending requests');
+      t.end();
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,164 @@
+'use strict';
+
+var test = require('tape');
+var events = require('events');
+var algoliaSearch = require('algoliasearch');
+
+var algoliasearchHelper = require('../../../index');
+
+function makeClient() {
+  var client = algoliaSearch('dsf', 'dsfdf');
+  client.calls = [];
+  client.search = function (qs, opts, cb) {
+    var call = typeof opts === 'function' ? {opts: undefined, cb: opts} : {opts: opts, cb: cb};
+    client.calls.push(call);
+    if (call.cb) return undefined;
+    return new Promise(function (resolve, reject) {
+      call.cb = function (err, content) {
+        if (err) reject(err);
+        else resolve(content);
+      };
+    });
+  };
+  return client;
+}
+
+function makeAbortController() {
+  var signal = new events.EventEmitter();
+  signal.aborted = false;
+  signal.addEventListener = signal.on;
+  signal.removeEventListener = signal.removeListener;
+
+  return {
+    signal: signal,
+    abort: function () {
+      signal.aborted = true;
+      signal.emit('abort');
+    }
+  };
+}
+
+test('cancelPendingSearches should discard the responses of the on-going searches', function (t) {
+  var testData = require('../search.testdata');
+  var client = makeClient();
+  var helper = algoliasearchHelper(client, 'test_hotels-node');
+
+  var countNoMoreSearch = 0;
+  helper.on('searchQueueEmpty', function () {
+    countNoMoreSearch++;
+  });
+  helper.on('result', function () {
+    t.fail('the results of a cancelled search should be discarded');
+  });
+
+  helper.search();
+  helper.search();
+
+  t.equal(helper.hasPendingRequests(), true, 'before cancelPendingSearches');
+
+  helper.cancelPendingSearches();
+
+  t.equal(helper.hasPendingRequests(), false, 'after cancelPendingSearches');
+  t.equal(countNoMoreSearch, 1, 'searchQueueEmpty should be triggered once');
+
+  client.calls[1].cb(null, testData().response);
+  client.calls[0].cb(null, testData().response);
+
+  t.equal(helper.hasPendingRequests(), false, 'after the responses are received');
+  t.equal(countNoMoreSearch, 1, 'searchQueueEmpty should not be triggered again');
+  t.end();
+});
+
+test('cancelPendingSearches should reject the pending requests', function (t) {
+  var client = makeClient();
+  client.initIndex = function () {
+    return {
+      searchForFacetValues: function () {
+        return new Promise(function () {});
+      }
+    };
+  };
+  var helper = algoliasearchHelper(client, 'test_hotels-node');
+
+  var searchAsync = helper.searchAsync();
+  var searchOnce = helper.searchOnce({});
+  var sffv = helper.searchForFacetValues('facet', 'query');
+  var callbackError;
+  helper.searchOnce({}, function (err) {
+    callbackError = err;
+  });
+
+  helper.cancelPendingSearches();
+
+  t.equal(callbackError.name, 'SearchCancelledError', 'the callback of searchOnce receives the error');
+
+  function expectCancelled(name) {
+    return function (err) {
+      t.equal(err.name, 'SearchCancelledError', name + ' is rejected');
+    };
+  }
+
+  Promise.all([
+    searchAsync.then(null, expectCancelled('searchAsync')),
+    searchOnce.then(null, expectCancelled('searchOnce')),
+    sffv.then(null, expectCancelled('searchForFacetValues'))
+  ]).then(function () {
+    t.equal(helper.hasPendingRequests(), false, 'there should be no pending requests');
+    t.end();
+  });
+});
+
+test('a signal should cancel only its own search and be passed to the client', function (t) {
+  var testData = require('../search.testdata');
+  var client = makeClient();
+  var helper = algoliasearchHelper(client, 'test_hotels-node');
+  var controller = makeAbortController();
+
+  var resultCount = 0;
+  helper.on('result', function (results, state) {
+    resultCount++;
+    t.equal(state.query, 'a', 'only the search that was not cancelled should trigger a result');
+  });
+
+  var cancelled = helper.setQuery('b').searchAsync({signal: controller.signal});
+  helper.setQuery('a').search();
+
+  t.equal(client.calls[0].opts.signal, controller.signal, 'the signal should be passed to the client');
+  t.equal(client.calls[1].opts, undefined, 'no options should be passed without a signal');
+
+  controller.abort();
+
+  t.equal(helper.hasPendingRequests(), true, 'the other search is still pending');
+
+  client.calls[0].cb(null, testData().response);
+  client.calls[1].cb(null, testData().response);
+
+  cancelled.then(null, function (err) {
+    t.equal(err.name, 'SearchCancelledError', 'the cancelled search is rejected');
+    t.equal(resultCount, 1, 'a single result should have been received');
+    t.equal(helper.hasPendingRequests(), false, 'there should be no pending requests');
+    t.end();
+  });
+});
+
+test('a signal should cancel a searchOnce', function (t) {
+  var testData = require('../search.testdata');
+  var client = makeClient();
+  var helper = algoliasearchHelper(client, 'test_hotels-node');
+  var controller = makeAbortController();
+
+  var promise = helper.searchOnce({}, {signal: controller.signal});
+
+  t.equal(client.calls[0].opts.signal, controller.signal, 'the signal should be passed to the client');
+
+  controller.abort();
+  client.calls[0].cb(null, testData().response);
+
+  promise.then(function () {
+    t.fail('a cancelled searchOnce should not resolve');
+  }, function (err) {
+    t.equal(err.name, 'SearchCancelledError', 'the searchOnce is rejected');
+    t.equal(helper.hasPendingRequests(), false, 'there should be no pending requests');
+    t.end();
+  });
+});
\ No newline at end of file
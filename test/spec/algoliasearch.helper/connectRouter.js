@@ -0,0 +1,109 @@
+'use strict';
+
+var test = require('tape');
+var algoliasearchHelper = require('../../../index');
+
+function makeClient(searches) {
+  return {
+    addAlgoliaAgent: function addAlgoliaAgent() {},
+    search: function (queries) {
+      searches.push(queries);
+      return new Promise(function () {});
+    }
+  };
+}
+
+function makeRouter(queryString) {
+  var router = {
+    queryString: queryString,
+    writes: [],
+    disposed: false,
+    read: function () {
+      return router.queryString;
+    },
+    write: function (newQueryString) {
+      router.writes.push(newQueryString);
+      router.queryString = newQueryString;
+    },
+    onUpdate: function (callback) {
+      router.listener = callback;
+    },
+    dispose: function () {
+      router.disposed = true;
+    },
+    navigate: function (newQueryString) {
+      router.queryString = newQueryString;
+      router.listener(newQueryString);
+    }
+  };
+  return router;
+}
+
+test('connectRouter should read the state from the URL and write its changes after a delay', function (t) {
+  var router = makeRouter('q=tv&utm_source=mail');
+  var helper = algoliasearchHelper(makeClient([]), 'products', {disjunctiveFacets: ['brand']});
+
+  helper.connectRouter(router, {debounce: 10});
+  t.equal(helper.state.query, 'tv', 'the state is read from the URL');
+
+  helper.setQuery('ph').setQuery('phone').addDisjunctiveFacetRefinement('brand', 'Apple');
+  t.deepEqual(router.writes, [], 'nothing is written right away');
+
+  setTimeout(function () {
+    t.equal(router.writes.length, 1, 'the changes are written at once');
+
+    var state = algoliasearchHelper.url.getStateFromQueryString(router.queryString);
+    t.equal(state.query, 'phone');
+    t.deepEqual(state.disjunctiveFacetsRefinements, {brand: ['Apple']});
+    t.deepEqual(algoliasearchHelper.url.getUnrecognizedParametersInQueryString(router.queryString), {utm_source: 'mail'}, 'the other parameters are kept');
+
+    helper.disconnectRouter();
+    t.end();
+  }, 50);
+});
+
+test('connectRouter should restore the state when the URL changes without writing it', function (t) {
+  var searches = [];
+  var router = makeRouter('');
+  var helper = algoliasearchHelper(makeClient(searches), 'products', {
+    disjunctiveFacets: ['brand'],
+    hitsPerPage: 5
+  });
+
+  helper.connectRouter(router, {debounce: 10});
+  helper.setQuery('phone').addDisjunctiveFacetRefinement('brand', 'Apple').setQueryParameter('hitsPerPage', 10);
+
+  router.navigate('q=tv&p=2');
+
+  t.equal(helper.state.query, 'tv');
+  t.equal(helper.state.page, 2);
+  t.equal(helper.hasRefinements('brand'), false, 'the refinement missing from the URL is removed');
+  t.equal(helper.state.hitsPerPage, 10, 'the parameters out of the URL are kept');
+  t.equal(searches.length, 1, 'a search is sent');
+
+  setTimeout(function () {
+    t.deepEqual(router.writes, [], 'the restored state is not written');
+
+    router.navigate('');
+    t.equal(helper.state.query, '', 'an empty URL restores the state of the connection');
+    t.equal(helper.state.page, 0);
+
+    helper.disconnectRouter();
+    t.end();
+  }, 50);
+});
+
+test('disconnectRouter should stop the synchronization', function (t) {
+  var router = makeRouter('');
+  var helper = algoliasearchHelper(makeClient([]), 'products');
+
+  helper.connectRouter(router, {debounce: 10}).setQuery('phone');
+  helper.disconnectRouter();
+  helper.setQuery('tv');
+
+  t.equal(router.disposed, true, 'the router is disposed');
+  setTimeout(function () {
+    t.deepEqual(router.writes, [], 'the pending change is discarded');
+    t.end();
+  }, 50);
+});
\ No newline at end of file
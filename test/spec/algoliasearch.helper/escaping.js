@@ -0,0 +1,125 @@
+'use strict';
+
+var test = require('tape');
+var find = require('lodash/find');
+
+var algoliasearchHelper = require('../../../index');
+var requestBuilder = require('../../../src/requestBuilder');
+
+var values = ['-5%', 'C++: Guide', 'a\\b'];
+
+// A response of the Algolia API, where the facet values are not escaped
+var response = {
+  results: [{
+    hits: [{objectID: '1'}],
+    nbHits: 1,
+    facets: {discount: {'-5%': 1}, path: {'a\\b': 1}},
+    exhaustiveFacetsCount: true
+  }, {
+    hits: [],
+    nbHits: 2,
+    facets: {category: {'C++: Guide': 1, 'Other': 1}},
+    exhaustiveFacetsCount: true
+  }]
+};
+
+function makeHelper(filtersFormat) {
+  var client = {
+    queries: [],
+    addAlgoliaAgent: function () {},
+    search: function (queries) {
+      client.queries.push(queries);
+      return Promise.resolve(JSON.parse(JSON.stringify(response)));
+    }
+  };
+
+  return algoliasearchHelper(client, 'index', {
+    facets: ['discount', 'path'],
+    disjunctiveFacets: ['category'],
+    filtersFormat: filtersFormat
+  });
+}
+
+function getFilters(queries, name) {
+  return queries.map(function (query) {
+    return query.params[name];
+  });
+}
+
+test('The special facet values should be escaped in facetFilters', function (t) {
+  var helper = makeHelper()
+    .addFacetRefinement('discount', '-5%')
+    .addFacetExclusion('path', '-c')
+    .addDisjunctiveFacetRefinement('category', 'C++: Guide');
+  var queries = requestBuilder._getQueries('index', helper.state);
+
+  // Algolia reads a value starting with `-` as an exclusion, unless the `-` is
+  // escaped with a backslash. The other characters, `:` included, are literal.
+  t.deepEqual(queries[0].params.facetFilters, ['discount:\\-5%', 'path:-\\-c', ['category:C++: Guide']]);
+  t.end();
+});
+
+test('The special facet values should round-trip through refine, search and getRefinements', function (t) {
+  var helper = makeHelper()
+    .addFacetRefinement('discount', values[0])
+    .addDisjunctiveFacetRefinement('category', values[1])
+    .addFacetRefinement('path', values[2]);
+
+  helper.searchOnce(helper.state).then(function (res) {
+    t.deepEqual(getFilters(helper.client.queries[0], 'facetFilters'), [
+      ['path:a\\b', 'discount:\\-5%', ['category:C++: Guide']],
+      ['path:a\\b', 'discount:\\-5%']
+    ], 'the facetFilters sent to Algolia');
+
+    var refinements = res.content.getRefinements();
+    t.deepEqual(find(refinements, {attributeName: 'discount'}), {type: 'facet', attributeName: 'discount', name: '-5%', count: 1, exhaustive: true});
+    t.deepEqual(find(refinements, {attributeName: 'category'}), {type: 'disjunctive', attributeName: 'category', name: 'C++: Guide', count: 1, exhaustive: true});
+    t.deepEqual(find(refinements, {attributeName: 'path'}), {type: 'facet', attributeName: 'path', name: 'a\\b', count: 1, exhaustive: true});
+
+    return helper.searchOnce(helper.state.clearRefinements().addExcludeRefinement('discount', values[0]));
+  }).then(function () {
+    t.deepEqual(getFilters(helper.client.queries[1], 'facetFilters'), [['discount:-\\-5%']], 'the exclusion is a `-` before the escaped value');
+    t.end();
+  }, t.end);
+});
+
+test('The special facet values should be quoted in filters', function (t) {
+  var helper = makeHelper('filters')
+    .addFacetRefinement('discount', values[0])
+    .addDisjunctiveFacetRefinement('category', values[1])
+    .addFacetRefinement('path', values[2])
+    .addFacetExclusion('path', '-"c"');
+
+  helper.searchOnce(helper.state).then(function (res) {
+    // In the filters syntax, the quoted values are literal, except for the
+    // `"` and `\` which are escaped with a backslash
+    t.deepEqual(getFilters(helper.client.queries[0], 'filters'), [
+      'path:"a\\\\b" AND discount:"-5%" AND NOT path:"-\\"c\\"" AND category:"C++: Guide"',
+      'path:"a\\\\b" AND discount:"-5%" AND NOT path:"-\\"c\\""'
+    ], 'the filters sent to Algolia');
+
+    t.deepEqual(find(res.content.getRefinements(), {attributeName: 'path', type: 'exclude'}).name, '-"c"', 'the exclusion is reported unescaped');
+    t.end();
+  }, t.end);
+});
+
+test('The special facet values should be consistent through query string serialization', function (t) {
+  var state = makeHelper()
+    .addFacetRefinement('discount', values[0])
+    .addFacetExclusion('discount', 'x&y=z#')
+    .addDisjunctiveFacetRefinement('category', values[1])
+    .addFacetRefinement('path', values[2])
+    .setQuery('a+b c%')
+    .state;
+
+  [false, true].forEach(function (safe) {
+    var queryString = algoliasearchHelper.url.getQueryStringFromState(state, {safe: safe});
+    var partialState = algoliasearchHelper.url.getStateFromQueryString(queryString);
+
+    t.deepEqual(partialState.facetsRefinements, state.facetsRefinements, 'the refinements should be restored (safe: ' + safe + ')');
+    t.deepEqual(partialState.facetsExcludes, state.facetsExcludes, 'the exclusions should be restored (safe: ' + safe + ')');
+    t.deepEqual(partialState.disjunctiveFacetsRefinements, state.disjunctiveFacetsRefinements, 'the disjunctive refinements should be restored (safe: ' + safe + ')');
+    t.equal(partialState.query, state.query, 'the query should be restored (safe: ' + safe + ')');
+  });
+  t.end();
+});
\ No newline at end of file
@@ -3,6 +3,7 @@
 var test = require('tape');
 var sinon = require('sinon');
 var algoliaSearchHelper = require('../../../index');
+var SearchParameters = require('../../../src/SearchParameters');
 
 var fakeClient = {
   addAlgoliaAgent: function addAlgoliaAgent() {}
@@ -241,4 +242,44 @@ test('searchForFacetValues event should be emitted once when the search is trigg
   t.equal(count, 1, 'final search does trigger the search event');
 
   t.end();
-});
\ No newline at end of file
+});
+
+test('change event should carry the diff with the previous state', function (t) {
+  var helper = algoliaSearchHelper(fakeClient, 'Index', {
+    facets: ['city']
+  });
+
+  var diffs = [];
+  helper.on('change', function (state, lastResults, diff) {
+    diffs.push(diff);
+  });
+
+  helper.setQuery('a').addFacetRefinement('city', 'Paris');
+
+  t.deepEqual(diffs, [
+    [{op: 'set', parameter: 'query', value: 'a'}],
+    [{op: 'addRefinement', type: 'conjunctiveFacet', attribute: 'city', value: 'Paris'}]
+  ], 'each change carries its own diff');
+
+  t.end();
+});
+
+test('the diff should only be computed when a change listener or a middleware reads it', function (t) {
+  var spy = sinon.spy(SearchParameters, 'diff');
+  var helper = algoliaSearchHelper(fakeClient, 'Index');
+
+  helper.setQuery('a');
+  t.equal(spy.callCount, 0, 'no diff without change listener');
+
+  helper.use({onStateChange: function () {}});
+  helper.setQuery('b');
+  t.equal(spy.callCount, 1, 'the diff is computed for the onStateChange hooks');
+
+  var otherHelper = algoliaSearchHelper(fakeClient, 'Index');
+  otherHelper.on('change', function () {});
+  otherHelper.setQuery('a');
+  t.equal(spy.callCount, 2, 'the diff is computed for the change listeners');
+
+  spy.restore();
+  t.end();
+});
@@ -0,0 +1,106 @@
+'use strict';
+
+var test = require('tape');
+var algoliaSearch = require('algoliasearch');
+
+var algoliasearchHelper = require('../../../index');
+var SearchResults = require('../../../src/SearchResults');
+var filters = algoliasearchHelper.filters;
+
+var fakeClient = {
+  addAlgoliaAgent: function addAlgoliaAgent() {}
+};
+
+var expression = filters.or(
+  filters.eq('brand', 'Samsung'),
+  filters.and(filters.eq('brand', 'Apple'), filters.eq('color', 'red'))
+);
+
+test('addFilterExpression / removeFilterExpression / clearFilterExpressions should manage the expressions', function (t) {
+  var helper = algoliasearchHelper(fakeClient, 'index');
+  var other = filters.not(filters.tag('sale'));
+
+  helper.setPage(2).addFilterExpression(expression);
+  t.deepEqual(helper.state.filterExpressions, [expression], 'the expression should be added');
+  t.equal(helper.state.page, 0, 'the page should be reset');
+
+  helper.addFilterExpression(JSON.parse(JSON.stringify(expression)));
+  t.equal(helper.state.filterExpressions.length, 1, 'an equal expression should not be added twice');
+
+  helper.addFilterExpression(other).removeFilterExpression(JSON.parse(JSON.stringify(expression)));
+  t.deepEqual(helper.state.filterExpressions, [other], 'the equal expression should be removed');
+
+  helper.clearFilterExpressions();
+  t.deepEqual(helper.state.filterExpressions, [], 'all the expressions should be removed');
+
+  t.throws(function () {
+    helper.addFilterExpression(filters.and());
+  }, /expects at least one filter/, 'an invalid expression should throw');
+  t.throws(function () {
+    helper.setQueryParameter('filterExpressions', [filters.or()]);
+  }, /expects at least one filter/, 'the expressions set as parameters should be checked');
+
+  var mixed = filters.or(filters.eq('brand', 'Apple'), filters.and(filters.gte('price', 100), filters.eq('color', 'red')));
+  helper.addFilterExpression(mixed);
+  t.deepEqual(helper.state.filterExpressions, [mixed], 'a disjunction of numeric and facet filters can be added');
+  t.equal(helper.getQuery().filters, '(brand:"Apple" OR (price >= 100 AND color:"red"))', 'it is sent with its nesting');
+
+  t.end();
+});
+
+test('The filter expressions should be sent in the filters parameter', function (t) {
+  var client = algoliaSearch('dsf', 'dsfdf');
+  var queries = [];
+  client.search = function (qs) {
+    queries.push(qs);
+    return new Promise(function () {});
+  };
+
+  var helper = algoliasearchHelper(client, 'index', {
+    disjunctiveFacets: ['type'],
+    filters: 'available:true'
+  });
+
+  helper.addDisjunctiveFacetRefinement('type', 'phone').addFilterExpression(expression).search();
+
+  var expected = '(brand:"Samsung" OR brand:"Apple") AND (brand:"Samsung" OR color:"red")';
+  t.equal(queries[0][0].params.filters, '(available:true) AND ' + expected, 'the expression should be combined with the filters');
+  t.deepEqual(queries[0][0].params.facetFilters, [['type:phone']], 'the refinements should still use facetFilters');
+  t.equal(queries[0][1].params.filters, '(available:true) AND ' + expected, 'the expression should be in the disjunctive facet queries');
+
+  helper.setQueryParameter('filtersFormat', 'filters').search();
+
+  t.equal(queries[1][0].params.filters, '(available:true) AND type:"phone" AND ' + expected, 'with the filters format, all the filters should be combined');
+  t.equal(queries[1][1].params.filters, '(available:true) AND ' + expected, 'the disjunctive facet query should not contain its refinements');
+  t.end();
+});
+
+test('getRefinements should report the filter expressions', function (t) {
+  var helper = algoliasearchHelper(fakeClient, 'index').addFilterExpression(expression);
+  var results = new SearchResults(helper.state, [{hits: [], facets: {}}]);
+
+  t.deepEqual(results.getRefinements(), [{
+    type: 'expression',
+    name: '(brand:"Samsung" OR brand:"Apple") AND (brand:"Samsung" OR color:"red")',
+    expression: expression
+  }]);
+  t.end();
+});
+
+test('The filter expressions should be consistent through query string serialization', function (t) {
+  var helper = algoliasearchHelper(fakeClient, 'index').addFilterExpression(expression).addFilterExpression(filters.tag('a&b=c'));
+
+  [false, true].forEach(function (safe) {
+    var queryString = algoliasearchHelper.url.getQueryStringFromState(helper.state, {safe: safe});
+    var partialState = algoliasearchHelper.url.getStateFromQueryString(queryString);
+
+    t.deepEqual(partialState.filterExpressions, helper.state.filterExpressions, 'the expressions should be restored (safe: ' + safe + ')');
+  });
+
+  var invalid = algoliasearchHelper.url.getStateFromQueryString('fEx=[{"type":"or","filters":[]},' + JSON.stringify(filters.tag('sale')) + ']');
+  t.deepEqual(invalid.filterExpressions, [filters.tag('sale')], 'the invalid expressions should be ignored');
+
+  var fromHelper = algoliasearchHelper.url.getStateFromQueryString(helper.getStateAsQueryString());
+  t.deepEqual(fromHelper.filterExpressions, helper.state.filterExpressions, 'the expressions are part of the refinements of the helper query string');
+  t.end();
+});
\ No newline at end of file
@@ -0,0 +1,75 @@
+'use strict';
+
+var test = require('tape');
+var algoliasearchHelper = require('../../../index');
+
+var fakeClient = {
+  addAlgoliaAgent: function addAlgoliaAgent() {}
+};
+
+test('undo and redo should restore the states of the helper', function (t) {
+  var helper = algoliasearchHelper(fakeClient, 'index', {facets: ['brand']}, {history: true});
+
+  var changeCount = 0;
+  helper.on('change', function () {
+    changeCount++;
+  });
+
+  t.equal(helper.canUndo(), false, 'nothing to undo at first');
+
+  helper.setQuery('tv').addFacetRefinement('brand', 'Apple');
+  var lastState = helper.state;
+
+  helper.undo();
+  t.equal(helper.state.query, 'tv', 'the refinement is undone');
+  t.equal(helper.hasRefinements('brand'), false, 'the refinement is removed');
+
+  helper.undo();
+  t.equal(helper.state.query, '', 'the query is undone');
+  t.equal(helper.canUndo(), false, 'nothing more to undo');
+
+  helper.redo().redo();
+  t.equal(helper.state, lastState, 'redo restores the last state');
+  t.equal(helper.canRedo(), false, 'nothing more to redo');
+
+  t.equal(changeCount, 6, 'undo and redo trigger the change event');
+  t.end();
+});
+
+test('groupHistory should make a single history entry', function (t) {
+  var helper = algoliasearchHelper(fakeClient, 'index', {facets: ['brand']}, {history: {depth: 10}});
+
+  helper.addFacetRefinement('brand', 'Samsung');
+  var initialState = helper.state;
+
+  var changeCount = 0;
+  helper.on('change', function () {
+    changeCount++;
+  });
+
+  helper.groupHistory(function (h) {
+    h.clearRefinements().toggleRefine('brand', 'Apple');
+  });
+
+  t.equal(changeCount, 2, 'each change triggers the change event');
+
+  helper.undo();
+  t.equal(helper.state, initialState, 'the whole group is undone');
+  t.end();
+});
+
+test('undo should throw without the history option', function (t) {
+  var helper = algoliasearchHelper(fakeClient, 'index');
+
+  helper.setQuery('tv');
+
+  t.equal(helper.canUndo(), false, 'canUndo is false');
+  t.equal(helper.canRedo(), false, 'canRedo is false');
+  t.throws(function () {
+    helper.undo();
+  }, /history/);
+  t.throws(function () {
+    helper.redo();
+  }, /history/);
+  t.end();
+});
\ No newline at end of file
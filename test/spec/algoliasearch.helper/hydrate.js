@@ -0,0 +1,88 @@
+'use strict';
+
+var test = require('tape');
+var algoliasearchHelper = require('../../../index');
+
+function makeRawResult(index) {
+  return {index: index, query: 'tv', hits: [{objectID: index}], nbHits: 1, page: 0, nbPages: 1, hitsPerPage: 20};
+}
+
+test('hydrate should fill the results of the helper and its derived helpers without searching', function (t) {
+  var searchCount = 0;
+  var client = {
+    addAlgoliaAgent: function addAlgoliaAgent() {},
+    search: function () {
+      searchCount++;
+    }
+  };
+  var helper = algoliasearchHelper(client, 'products');
+  var derived = helper.derive(function (state) {
+    return state.setIndex('articles');
+  });
+  var events = [];
+
+  helper.on('change', function () {
+    events.push('change');
+  });
+  helper.on('result', function (results, state) {
+    events.push('result ' + results.hits[0].objectID + ' ' + state.query);
+  });
+  derived.on('result', function (results) {
+    events.push('derived result ' + results.hits[0].objectID);
+  });
+
+  helper.hydrate({
+    state: {index: 'products', query: 'tv'},
+    rawResults: [makeRawResult('products'), makeRawResult('articles')]
+  });
+
+  t.equal(searchCount, 0, 'no request is sent');
+  t.deepEqual(events, ['result products tv', 'derived result articles'], 'the change event is not triggered');
+  t.equal(helper.state.query, 'tv');
+  t.equal(helper.lastResults.index, 'products');
+  t.equal(derived.lastResults.index, 'articles');
+  t.end();
+});
+
+test('hydrate should check the number of raw results', function (t) {
+  var helper = algoliasearchHelper({addAlgoliaAgent: function addAlgoliaAgent() {}}, 'products', {
+    disjunctiveFacets: ['brand'],
+    disjunctiveFacetsRefinements: {brand: ['Apple']}
+  });
+
+  t.throws(function () {
+    helper.hydrate({rawResults: [makeRawResult('products')]});
+  }, /2 results are expected, got 1/);
+  t.equal(helper.lastResults, null);
+  t.end();
+});
+
+test('hydrate should change the state like the other methods, without the change event', function (t) {
+  var helper = algoliasearchHelper({addAlgoliaAgent: function addAlgoliaAgent() {}}, 'products', {}, {
+    history: true,
+    infiniteHits: true
+  });
+  var changes = [];
+
+  helper.use({
+    onStateChange: function (state, diff) {
+      changes.push(diff);
+    }
+  });
+
+  helper.setQuery('phone');
+  helper.hydrate({
+    state: {index: 'products', query: 'tv'},
+    rawResults: [makeRawResult('products')]
+  });
+
+  t.deepEqual(changes[1], [{op: 'set', parameter: 'query', value: 'tv'}], 'the middlewares see the hydrated state');
+  t.deepEqual(helper.lastResults.accumulatedHits, [{objectID: 'products'}], 'the infinite hits are synchronized');
+
+  helper.setQuery('radio');
+  helper.undo();
+  t.equal(helper.state.query, 'tv', 'the hydrated state is in the history');
+  helper.undo();
+  t.equal(helper.state.query, 'phone');
+  t.end();
+});
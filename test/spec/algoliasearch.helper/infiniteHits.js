@@ -0,0 +1,91 @@
+'use strict';
+
+var test = require('tape');
+var algoliasearchHelper = require('../../../index');
+
+function makeClient() {
+  return {
+    addAlgoliaAgent: function addAlgoliaAgent() {},
+    search: function (queries, cb) {
+      var page = queries[0].params.page;
+      cb(null, {
+        results: [{
+          query: queries[0].params.query,
+          hits: [{objectID: page + '-0'}, {objectID: page + '-1'}],
+          nbHits: 20,
+          page: page,
+          nbPages: 10,
+          hitsPerPage: 2
+        }]
+      });
+    }
+  };
+}
+
+function getIds(results) {
+  return results.accumulatedHits.map(function (hit) {
+    return hit.objectID;
+  });
+}
+
+test('the infinite hits should accumulate the pages of the helper', function (t) {
+  var helper = algoliasearchHelper(makeClient(), 'index', {}, {infiniteHits: true});
+
+  helper.setQuery('tv').search();
+  t.deepEqual(getIds(helper.lastResults), ['0-0', '0-1']);
+
+  helper.loadNextPage().loadNextPage();
+  t.equal(helper.getPage(), 2, 'the page of the state is the last page loaded');
+  t.deepEqual(getIds(helper.lastResults), ['0-0', '0-1', '1-0', '1-1', '2-0', '2-1']);
+  t.deepEqual(helper.lastResults.hits, [{objectID: '2-0'}, {objectID: '2-1'}], 'the hits are still the ones of the page');
+
+  helper.setQuery('phone').search();
+  t.deepEqual(getIds(helper.lastResults), ['0-0', '0-1'], 'the hits are reset when the query changes');
+  t.end();
+});
+
+test('the infinite hits should load the previous pages', function (t) {
+  var helper = algoliasearchHelper(makeClient(), 'index', {page: 5}, {infiniteHits: true});
+
+  t.equal(helper.canLoadPreviousPage(), false, 'nothing is loaded yet');
+
+  helper.search();
+  t.equal(helper.canLoadPreviousPage(), true);
+
+  helper.loadPreviousPage();
+  t.deepEqual(getIds(helper.lastResults), ['4-0', '4-1', '5-0', '5-1']);
+
+  helper.loadNextPage();
+  t.deepEqual(getIds(helper.lastResults), ['4-0', '4-1', '5-0', '5-1', '6-0', '6-1'], 'the next page follows the last page');
+
+  helper.setPage(0).search();
+  t.deepEqual(getIds(helper.lastResults), ['0-0', '0-1'], 'the page is not next to the list');
+  t.equal(helper.canLoadPreviousPage(), false);
+  t.throws(function () {
+    helper.loadPreviousPage();
+  }, /There is no previous page/);
+  t.end();
+});
+
+test('the infinite hits should be reset when the state changes', function (t) {
+  var helper = algoliasearchHelper(makeClient(), 'index', {page: 3}, {infiniteHits: true});
+
+  helper.search();
+  t.equal(helper.canLoadPreviousPage(), true);
+
+  helper.setQueryParameter('hitsPerPage', 2);
+  t.equal(helper.canLoadPreviousPage(), false, 'the pages loaded are forgotten');
+  t.end();
+});
+
+test('the infinite hits methods should need the option', function (t) {
+  var helper = algoliasearchHelper(makeClient(), 'index');
+
+  helper.search();
+  t.equal(helper.lastResults.accumulatedHits, undefined);
+  t.equal(helper.canLoadPreviousPage(), false);
+  t.throws(function () {
+    helper.loadNextPage();
+  }, /infiniteHits/);
+  t.end();
+});
\ No newline at end of file
@@ -0,0 +1,48 @@
+'use strict';
+
+var test = require('tape');
+var algoliasearchHelper = require('../../../index');
+
+var SearchResults = algoliasearchHelper.SearchResults;
+
+test('iteratePages should search the pages of the state when it is called', function (t) {
+  var queries = [];
+  var client = {
+    addAlgoliaAgent: function addAlgoliaAgent() {},
+    search: function (requests) {
+      var params = requests[0].params;
+      queries.push(params);
+      return Promise.resolve({
+        results: [{query: params.query, hits: [{objectID: String(params.page)}], nbHits: 3, page: params.page, nbPages: 3, hitsPerPage: 1}]
+      });
+    }
+  };
+  var helper = algoliasearchHelper(client, 'index', {hitsPerPage: 1});
+  var searchOnceCount = 0;
+
+  helper.on('searchOnce', function () {
+    searchOnceCount++;
+  });
+
+  var iterator = helper.setQuery('tv').iteratePages();
+  helper.setQuery('phone');
+
+  var pages = [];
+  function next() {
+    return iterator.next().then(function (step) {
+      if (step.done) return undefined;
+      pages.push(step.value);
+      return next();
+    });
+  }
+
+  next().then(function () {
+    t.equal(pages.length, 3);
+    t.ok(pages[0] instanceof SearchResults);
+    t.deepEqual(pages.map(function (p) { return p.hits[0].objectID; }), ['0', '1', '2']);
+    t.deepEqual(queries.map(function (q) { return q.query; }), ['tv', 'tv', 'tv'], 'the state is frozen');
+    t.equal(helper.state.query, 'phone', 'the state of the helper is not changed');
+    t.equal(searchOnceCount, 3);
+    t.end();
+  }).catch(t.end);
+});
\ No newline at end of file
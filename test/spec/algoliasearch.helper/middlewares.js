@@ -0,0 +1,224 @@
+'use strict';
+
+var test = require('tape');
+var algoliaSearch = require('algoliasearch');
+
+var algoliasearchHelper = require('../../../index');
+
+function makeClient() {
+  var testData = require('../search.testdata');
+  var client = algoliaSearch('dsf', 'dsfdf');
+  client.queries = [];
+  client.search = function (qs, cb) {
+    client.queries.push(qs);
+    var response = testData().response;
+    if (cb) {
+      cb(null, response);
+      return undefined;
+    }
+    return Promise.resolve(response);
+  };
+  return client;
+}
+
+test('beforeSearch and afterResponse should modify the queries and the results', function (t) {
+  var client = makeClient();
+  var helper = algoliasearchHelper(client, 'test_hotels-node');
+
+  helper.use({
+    beforeSearch: function (queries, states) {
+      t.equal(states[0], helper.state, 'the states are given to the hooks');
+      queries[0].params.userToken = 'user';
+    }
+  }).use({
+    afterResponse: function (rawResults) {
+      return rawResults.map(function (result) {
+        result.hits = result.hits.slice(0, 1);
+        return result;
+      });
+    }
+  });
+
+  helper.on('result', function (results) {
+    t.equal(client.queries[0][0].params.userToken, 'user', 'the query has been modified');
+    t.equal(results.hits.length, 1, 'the results have been modified');
+    t.end();
+  });
+
+  helper.search();
+});
+
+test('the hooks can be asynchronous', function (t) {
+  var client = makeClient();
+  var helper = algoliasearchHelper(client, 'test_hotels-node');
+
+  helper.use({
+    beforeSearch: function (queries) {
+      return Promise.resolve(queries.map(function (query) {
+        query.params.analyticsTags = ['async'];
+        return query;
+      }));
+    },
+    afterResponse: function (rawResults) {
+      return new Promise(function (resolve) {
+        setTimeout(function () {
+          rawResults[0].hits = [];
+          resolve();
+        }, 0);
+      });
+    }
+  });
+
+  helper.searchOnce({}).then(function (res) {
+    t.deepEqual(client.queries[0][0].params.analyticsTags, ['async'], 'the query has been modified');
+    t.equal(res.content.hits.length, 0, 'the results have been modified');
+    t.equal(helper.hasPendingRequests(), false, 'there should be no pending requests');
+    t.end();
+  });
+});
+
+test('the middlewares should be used by searchForFacetValues', function (t) {
+  var client = makeClient();
+  var params;
+  client.initIndex = function () {
+    return {
+      searchForFacetValues: function (p) {
+        params = p;
+        return Promise.resolve({facetHits: [{value: 'a'}, {value: 'b'}]});
+      }
+    };
+  };
+  var helper = algoliasearchHelper(client, 'test_hotels-node', {facets: ['type']});
+
+  helper.use({
+    beforeSearch: function (queries) {
+      queries[0].params.userToken = 'user';
+    },
+    afterResponse: function (rawResults) {
+      rawResults[0].facetHits.pop();
+    }
+  });
+
+  helper.searchForFacetValues('type', 'a').then(function (content) {
+    t.equal(params.userToken, 'user', 'the query has been modified');
+    t.deepEqual(content.facetHits, [{value: 'a', isRefined: false}], 'the results have been modified');
+    t.end();
+  });
+});
+
+test('onError should be called for the errors of the requests and of the hooks', function (t) {
+  var client = makeClient();
+  var helper = algoliasearchHelper(client, 'test_hotels-node');
+  var hookError = new Error('hook');
+  var errors = [];
+
+  var failing = {
+    afterResponse: function () {
+      return Promise.reject(hookError);
+    }
+  };
+
+  helper.use({
+    onError: function (err, states) {
+      errors.push(err);
+      t.equal(states[0].index, 'test_hotels-node', 'the states are given to onError');
+    }
+  }).use(failing);
+
+  helper.on('error', function (err) {
+    t.equal(err, hookError, 'the error event is triggered with the error of the hook');
+    t.deepEqual(errors, [hookError], 'onError has been called');
+
+    helper.unuse(failing);
+    helper.searchOnce({}).then(function () {
+      t.equal(errors.length, 1, 'the removed middleware is not used anymore');
+      t.end();
+    });
+  });
+
+  helper.search();
+});
+
+test('onStateChange should be called for each change', function (t) {
+  var helper = algoliasearchHelper(makeClient(), 'test_hotels-node');
+  var calls = [];
+
+  helper.use({
+    onStateChange: function (state, diff) {
+      calls.push([state.query, diff]);
+    }
+  });
+
+  helper.setQuery('a');
+
+  t.deepEqual(calls, [['a', [{op: 'set', parameter: 'query', value: 'a'}]]], 'with the new state and the diff');
+  t.end();
+});
+
+test('the errors thrown after an asynchronous hook should reject the search', function (t) {
+  var client = makeClient();
+  client.search = function () {
+    throw new Error('the client failed');
+  };
+  var helper = algoliasearchHelper(client, 'test_hotels-node');
+
+  helper.use({
+    beforeSearch: function (queries) {
+      return Promise.resolve(queries);
+    }
+  });
+
+  helper.searchOnce({}).then(function () {
+    t.fail('the promise should be rejected');
+    t.end();
+  }, function (err) {
+    t.equal(err.message, 'the client failed');
+    t.end();
+  });
+});
+
+
+test('the errors of the result listeners after an asynchronous hook should not be reported as search errors', function (t) {
+  var client = makeClient();
+  var helper = algoliasearchHelper(client, 'test_hotels-node');
+  var events = [];
+  var uncaughtListeners = process.listeners('uncaughtException');
+
+  helper.use({
+    afterResponse: function (results) {
+      return Promise.resolve(results);
+    }
+  });
+
+  helper.on('searchQueueEmpty', function () {
+    events.push('searchQueueEmpty');
+  });
+  helper.on('error', function () {
+    events.push('error');
+  });
+  helper.on('result', function () {
+    events.push('result');
+    throw new Error('the listener failed');
+  });
+
+  process.removeAllListeners('uncaughtException');
+  process.once('uncaughtException', function (err) {
+    uncaughtListeners.forEach(function (listener) {
+      process.on('uncaughtException', listener);
+    });
+
+    t.equal(err.message, 'the listener failed', 'the error of the listener is thrown');
+    t.deepEqual(events, ['searchQueueEmpty', 'result'], 'the search is not reported as failed');
+  });
+
+  helper.searchAsync().then(function (res) {
+    t.ok(res.content, 'the promise is resolved with the results');
+    setTimeout(function () {
+      t.deepEqual(events, ['searchQueueEmpty', 'result'], 'no other event is emitted');
+      t.end();
+    }, 10);
+  }, function (err) {
+    t.fail(err.message);
+    t.end();
+  });
+});
@@ -134,4 +134,21 @@ test('Should be able to remove the value even if it was a string used as a numbe
   t.notOk(helper.state.isNumericRefined(attributeName, '=', n), 'should not contain the numeric refinement = 42');
 
   t.end();
-});
\ No newline at end of file
+});
+
+test('Numeric filters: setNumericRange and clearNumericRange should reset the page and trigger a change', function (t) {
+  var helper = algoliasearchHelper(fakeClient, 'index');
+  var changes = 0;
+  helper.on('change', function () {
+    changes++;
+  });
+
+  helper.setPage(3).setNumericRange('price', {min: 10, max: 100, maxInclusive: false});
+  t.deepEqual(helper.getNumericRange('price'), {min: 10, max: 100, minInclusive: true, maxInclusive: false}, 'the range should be set');
+  t.equal(helper.getPage(), 0, 'the page should be reset');
+
+  helper.clearNumericRange('price');
+  t.equal(helper.getNumericRange('price'), undefined, 'the range should be removed');
+  t.equal(changes, 3, 'each call should trigger a change');
+  t.end();
+});
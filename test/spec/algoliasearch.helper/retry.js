@@ -0,0 +1,188 @@
+'use strict';
+
+var test = require('tape');
+var sinon = require('sinon');
+var algoliaSearch = require('algoliasearch');
+
+var algoliasearchHelper = require('../../../index');
+
+function makeClient() {
+  var client = algoliaSearch('dsf', 'dsfdf');
+  client.calls = [];
+  client.search = function (qs, cb) {
+    client.calls.push({queries: qs, cb: cb});
+  };
+  return client;
+}
+
+function serverError() {
+  var error = new Error('Server error');
+  error.statusCode = 500;
+  return error;
+}
+
+test('a failed search should be retried with an exponential backoff', function (t) {
+  var clock = sinon.useFakeTimers();
+  var testData = require('../search.testdata');
+  var client = makeClient();
+  var helper = algoliasearchHelper(client, 'test_hotels-node', {}, {retry: {maxAttempts: 3, delay: 100}});
+
+  var events = [];
+  helper.on('search', function () {
+    events.push('search');
+  });
+  helper.on('retry', function (error, attempt, delay) {
+    events.push('retry ' + attempt + ' ' + delay);
+  });
+  helper.on('error', function () {
+    events.push('error');
+  });
+  helper.on('result', function () {
+    events.push('result');
+  });
+
+  helper.search();
+
+  client.calls[0].cb(serverError());
+  t.equal(client.calls.length, 1, 'the retry waits for the delay');
+  clock.tick(100);
+  t.equal(client.calls.length, 2, 'the search is sent again');
+  t.deepEqual(client.calls[1].queries, client.calls[0].queries, 'with the same queries');
+
+  client.calls[1].cb(serverError());
+  clock.tick(200);
+  t.equal(client.calls.length, 3, 'the delay is doubled');
+  t.equal(helper.hasPendingRequests(), true, 'the search is still pending');
+
+  client.calls[2].cb(null, testData().response);
+  clock.restore();
+
+  t.deepEqual(events, ['search', 'retry 1 100', 'retry 2 200', 'result'], 'the events');
+  t.equal(helper.hasPendingRequests(), false, 'the search is done');
+  t.end();
+});
+
+test('error should be triggered once the attempts are exhausted', function (t) {
+  var clock = sinon.useFakeTimers();
+  var client = makeClient();
+  var helper = algoliasearchHelper(client, 'test_hotels-node', {}, {retry: {maxAttempts: 2, delay: 10}});
+
+  var retryCount = 0;
+  var errorCount = 0;
+  helper.on('retry', function () {
+    retryCount++;
+  });
+  helper.on('error', function () {
+    errorCount++;
+  });
+
+  var promise = helper.searchAsync();
+
+  client.calls[0].cb(serverError());
+  clock.tick(10);
+  var lastError = serverError();
+  client.calls[1].cb(lastError);
+  clock.tick(1000);
+  clock.restore();
+
+  t.equal(client.calls.length, 2, 'no more attempts');
+  t.equal(retryCount, 1, 'a single retry');
+  t.equal(errorCount, 1, 'a single error event');
+
+  promise.then(null, function (err) {
+    t.equal(err, lastError, 'the promise is rejected with the last error');
+    t.end();
+  });
+});
+
+test('shouldRetry should tell which errors are retried', function (t) {
+  var client = makeClient();
+  var helper = algoliasearchHelper(client, 'test_hotels-node', {}, {retry: true});
+  var customHelper = algoliasearchHelper(client, 'test_hotels-node', {}, {
+    retry: {
+      shouldRetry: function (err) {
+        return err.message === 'retry me';
+      }
+    }
+  });
+
+  var errors = [];
+  helper.on('error', function (err) {
+    errors.push(err.statusCode);
+  });
+  customHelper.on('error', function (err) {
+    errors.push(err.message);
+  });
+
+  var badRequest = new Error('Bad request');
+  badRequest.statusCode = 400;
+
+  helper.search();
+  client.calls[0].cb(badRequest);
+
+  customHelper.search();
+  client.calls[1].cb(serverError());
+
+  t.deepEqual(errors, [400, 'Server error'], 'the errors are not retried');
+  t.end();
+});
+
+test('only the network errors and the server errors should be retried by default', function (t) {
+  var client = makeClient();
+  var helper = algoliasearchHelper(client, 'test_hotels-node', {}, {retry: {maxAttempts: 2, delay: 0}});
+
+  var retried = [];
+  var failed = [];
+  helper.on('retry', function (err) {
+    retried.push(err.message);
+  });
+  helper.on('error', function (err) {
+    failed.push(err.message);
+  });
+
+  function fail(message, properties) {
+    var error = new Error(message);
+    Object.keys(properties).forEach(function (key) {
+      error[key] = properties[key];
+    });
+    helper.search();
+    client.calls[client.calls.length - 1].cb(error);
+  }
+
+  fail('network', {name: 'AlgoliaSearchNetworkError'});
+  fail('timeout', {name: 'AlgoliaSearchRequestTimeoutError'});
+  fail('no response', {statusCode: 0});
+  fail('rate limit', {statusCode: 429});
+  fail('server', {statusCode: 503});
+  fail('bad request', {statusCode: 400});
+  fail('programming error', {});
+
+  t.deepEqual(retried, ['network', 'timeout', 'no response', 'rate limit', 'server'], 'the transient errors are retried');
+  t.deepEqual(failed, ['bad request', 'programming error'], 'the other errors are reported without retry');
+  t.end();
+});
+
+test('a superseded or cancelled search should not be retried', function (t) {
+  var clock = sinon.useFakeTimers();
+  var testData = require('../search.testdata');
+  var client = makeClient();
+  var helper = algoliasearchHelper(client, 'test_hotels-node', {}, {retry: {delay: 10}});
+
+  helper.search();
+  helper.search();
+
+  client.calls[0].cb(serverError());
+  client.calls[1].cb(null, testData().response);
+  clock.tick(10);
+  t.equal(client.calls.length, 2, 'the superseded search is not sent again');
+
+  helper.search();
+  client.calls[2].cb(serverError());
+  helper.cancelPendingSearches();
+  clock.tick(10);
+  clock.restore();
+
+  t.equal(client.calls.length, 3, 'the cancelled search is not sent again');
+  t.equal(helper.hasPendingRequests(), false, 'there should be no pending requests');
+  t.end();
+});
\ No newline at end of file
@@ -0,0 +1,90 @@
+'use strict';
+
+var test = require('tape');
+var algoliaSearch = require('algoliasearch');
+
+var algoliasearchHelper = require('../../../index');
+
+function makeClient() {
+  var client = algoliaSearch('dsf', 'dsfdf');
+  client.triggerCbs = [];
+  client.search = function (qs, cb) {
+    client.triggerCbs.push(cb);
+  };
+  return client;
+}
+
+test('searchAsync should resolve with the results and the state of the search', function (t) {
+  var testData = require('../search.testdata')();
+  var client = makeClient();
+  var helper = algoliasearchHelper(client, 'test_hotels-node');
+
+  var resultEventCount = 0;
+  helper.on('result', function () {
+    resultEventCount++;
+  });
+
+  helper.searchAsync().then(function (res) {
+    t.equal(resultEventCount, 1, 'the result event should have been triggered');
+    t.equal(res.content, helper.lastResults, 'the promise should resolve with the results');
+    t.equal(res.state, helper.state, 'the promise should resolve with the state used');
+    t.equal(helper.hasPendingRequests(), false, 'there should be no pending requests');
+    t.end();
+  });
+
+  client.triggerCbs[0](null, testData.response);
+});
+
+test('searchAsync should reject with the error and trigger the error event', function (t) {
+  var client = makeClient();
+  var helper = algoliasearchHelper(client, 'test_hotels-node');
+  var error = new Error('error');
+
+  var errorEventCount = 0;
+  helper.on('error', function () {
+    errorEventCount++;
+  });
+
+  helper.searchAsync().then(function () {
+    t.fail('the promise should not be resolved');
+  }, function (err) {
+    t.equal(err, error, 'the promise should be rejected with the error');
+    t.equal(errorEventCount, 1, 'the error event should have been triggered');
+    t.end();
+  });
+
+  client.triggerCbs[0](error);
+});
+
+test('searchAsync should reject outdated searches with a superseded error', function (t) {
+  var testData = require('../search.testdata');
+  var client = makeClient();
+  var helper = algoliasearchHelper(client, 'test_hotels-node');
+
+  var resultEventCount = 0;
+  helper.on('result', function () {
+    resultEventCount++;
+  });
+
+  var first = helper.searchAsync();
+  var second = helper.setQuery('a').searchAsync();
+
+  // The second search comes back first, the first one is discarded
+  client.triggerCbs[1](null, testData().response);
+  client.triggerCbs[0](null, testData().response);
+
+  Promise.all([
+    first.then(function () {
+      t.fail('the first search should not be resolved');
+    }, function (err) {
+      t.equal(err.name, 'SearchSupersededError', 'the first search should be superseded');
+    }),
+    second.then(function (res) {
+      t.equal(res.state.query, 'a', 'the second search should resolve with its own state');
+    })
+  ]).then(function () {
+    t.equal(resultEventCount, 1, 'only the second search should trigger a result');
+    t.equal(helper.hasPendingRequests(), false, 'there should be no pending requests');
+    t.end();
+  });
+});
\ No newline at end of file
@@ -67,4 +67,27 @@ test('searchForFacetValues can override the current search state', function (t)
   t.equal(lastParameters[0].highlightPostTag, '<HIGHLIGHT');
 
   t.end();
-});
\ No newline at end of file
+});
+
+test('searchForFacetValues should reject when the response cannot be read', function (t) {
+  var fakeClient = {
+    addAlgoliaAgent: function addAlgoliaAgent() {},
+    initIndex: function initIndex() {
+      return {
+        searchForFacetValues: function searchForFacetValues() {
+          return Promise.resolve(null);
+        }
+      };
+    }
+  };
+
+  var helper = algoliasearchHelper(fakeClient, 'index');
+
+  helper.searchForFacetValues('facet', 'query').then(function () {
+    t.fail('the promise should be rejected');
+    t.end();
+  }, function (err) {
+    t.ok(err instanceof TypeError, 'the error of the response is given');
+    t.end();
+  });
+});
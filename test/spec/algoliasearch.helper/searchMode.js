@@ -0,0 +1,117 @@
+'use strict';
+
+var test = require('tape');
+var sinon = require('sinon');
+var algoliaSearch = require('algoliasearch');
+
+var algoliasearchHelper = require('../../../index');
+
+function makeClient() {
+  var client = algoliaSearch('dsf', 'dsfdf');
+  client.calls = [];
+  client.search = function (qs, cb) {
+    client.calls.push({queries: qs, cb: cb});
+  };
+  return client;
+}
+
+test('debounce searchMode should merge the searches into one request with the latest state', function (t) {
+  var clock = sinon.useFakeTimers();
+  var testData = require('../search.testdata');
+  var client = makeClient();
+  var helper = algoliasearchHelper(client, 'test_hotels-node', {}, {searchMode: {debounce: 150}});
+
+  var changeCount = 0;
+  helper.on('change', function () {
+    changeCount++;
+  });
+
+  helper.setQuery('a').search();
+  clock.tick(100);
+  helper.setQuery('ab').search();
+  clock.tick(100);
+  var promise = helper.setQuery('abc').searchAsync();
+
+  t.equal(changeCount, 3, 'change should be triggered right away');
+  t.equal(client.calls.length, 0, 'no request should be sent during the debounce');
+  t.equal(helper.hasPendingRequests(), false, 'a scheduled search is not a pending request');
+
+  clock.tick(150);
+  clock.restore();
+
+  t.equal(client.calls.length, 1, 'a single request should be sent');
+  t.equal(client.calls[0].queries[0].params.query, 'abc', 'the request should use the latest state');
+  t.equal(helper.hasPendingRequests(), true, 'the request is now pending');
+
+  client.calls[0].cb(null, testData().response);
+
+  promise.then(function (res) {
+    t.equal(res.state.query, 'abc', 'searchAsync should resolve with the merged search');
+    t.end();
+  });
+});
+
+test('leading option should send the first search of a burst immediately', function (t) {
+  var clock = sinon.useFakeTimers();
+  var client = makeClient();
+  var helper = algoliasearchHelper(client, 'test_hotels-node', {}, {searchMode: {debounce: 150, leading: true}});
+
+  helper.setQuery('a').search();
+  t.equal(client.calls.length, 1, 'the first search should be sent right away');
+
+  helper.setQuery('ab').search();
+  helper.setQuery('abc').search();
+  t.equal(client.calls.length, 1, 'the following searches should be delayed');
+
+  clock.tick(150);
+  t.equal(client.calls.length, 2, 'the trailing search should be sent');
+  t.equal(client.calls[1].queries[0].params.query, 'abc', 'with the latest state');
+
+  clock.tick(500);
+  t.equal(client.calls.length, 2, 'nothing else should be sent');
+
+  clock.restore();
+  t.end();
+});
+
+test('throttle searchMode should send at most one request per interval', function (t) {
+  var clock = sinon.useFakeTimers();
+  var client = makeClient();
+  var helper = algoliasearchHelper(client, 'test_hotels-node', {}, {searchMode: {throttle: 100}});
+
+  for (var i = 0; i < 10; i++) {
+    helper.setQuery('q' + i).search();
+    clock.tick(30);
+  }
+  clock.tick(100);
+  clock.restore();
+
+  t.equal(client.calls.length, 3, 'the searches should be throttled');
+  t.equal(client.calls[2].queries[0].params.query, 'q9', 'the last request should use the latest state');
+  t.end();
+});
+
+test('cancelPendingSearches should drop the scheduled search', function (t) {
+  var clock = sinon.useFakeTimers();
+  var client = makeClient();
+  var helper = algoliasearchHelper(client, 'test_hotels-node', {}, {searchMode: {debounce: 150}});
+
+  var promise = helper.searchAsync();
+  helper.cancelPendingSearches();
+  clock.tick(500);
+  clock.restore();
+
+  t.equal(client.calls.length, 0, 'the scheduled search should not be sent');
+
+  promise.then(null, function (err) {
+    t.equal(err.name, 'SearchCancelledError', 'the scheduled searchAsync is rejected');
+    t.end();
+  });
+});
+
+test('searchMode without debounce or throttle should throw', function (t) {
+  t.throws(function () {
+    algoliasearchHelper(makeClient(), 'index', {}, {searchMode: {leading: true}});
+  }, /debounce/);
+  t.end();
+});
\ No newline at end of file
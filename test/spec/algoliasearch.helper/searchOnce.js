@@ -2,6 +2,7 @@
 
 var test = require('tape');
 var sinon = require('sinon');
+var assign = require('lodash/assign');
 var algoliaSearch = require('algoliasearch');
 var SearchParameters = require('../../../src/SearchParameters');
 
@@ -24,8 +25,8 @@ test('searchOnce should call the algolia client according to the number of refin
   helper.searchOnce(parameters, function (err, data) {
     t.equal(err, null, 'should be equal');
 
-    // shame deepclone, to remove any associated methods coming from the results
-    t.deepEqual(JSON.parse(JSON.stringify(data)), JSON.parse(JSON.stringify(testData.responseHelper)), 'should be equal');
+    // shame deepclone, to remove any associated methods coming from the results (toJSON included)
+    t.deepEqual(JSON.parse(JSON.stringify(assign({}, data))), JSON.parse(JSON.stringify(testData.responseHelper)), 'should be equal');
 
     var cityValues = data.getFacetValues('city');
     var expectedCityValues = [{ name: 'Paris', count: 3, isRefined: true }, { name: 'New York', count: 1, isRefined: true }, { name: 'San Francisco', count: 1, isRefined: false }];
@@ -83,4 +84,23 @@ test('searchOnce should call the algolia client according to the number of refin
 
     t.end();
   });
-});
\ No newline at end of file
+});
+
+test('searchOnce should reject when the results cannot be built from the response', function (t) {
+  var client = {
+    addAlgoliaAgent: function addAlgoliaAgent() {},
+    search: function () {
+      return Promise.resolve({});
+    }
+  };
+  var helper = algoliasearchHelper(client, 'test_hotels-node');
+
+  helper.searchOnce({}).then(function () {
+    t.fail('the promise should be rejected');
+    t.end();
+  }, function (err) {
+    t.ok(err instanceof TypeError, 'the error of the results is given');
+    t.equal(helper.hasPendingRequests(), false, 'there should be no pending requests');
+    t.end();
+  });
+});
@@ -0,0 +1,91 @@
+'use strict';
+
+var test = require('tape');
+var algoliasearchHelper = require('../../../index');
+
+var sortBy = {relevance: 'products', price_asc: 'products_price_asc', price_desc: 'products_price_desc'};
+
+function makeClient(onSearch) {
+  return {
+    addAlgoliaAgent: function addAlgoliaAgent() {},
+    search: onSearch || function () {}
+  };
+}
+
+test('setSortBy should target the replica of the label', function (t) {
+  var helper = algoliasearchHelper(makeClient(), 'products', {sortBy: sortBy}).setPage(3);
+
+  t.equal(helper.getSortBy(), 'relevance');
+
+  helper.setSortBy('price_asc');
+  t.equal(helper.getIndex(), 'products_price_asc');
+  t.equal(helper.getSortBy(), 'price_asc');
+  t.equal(helper.getPage(), 0, 'the page is reset');
+
+  helper.setIndex('other');
+  t.equal(helper.getSortBy(), undefined, 'an index that is not in sortBy has no label');
+
+  t.throws(function () {
+    helper.setSortBy('popularity');
+  }, /Unknown sort label: popularity, the labels are: relevance, price_asc, price_desc/);
+  t.throws(function () {
+    algoliasearchHelper(makeClient(), 'products').setSortBy('relevance');
+  }, /Unknown sort label/);
+  t.throws(function () {
+    helper.setQueryParameter('sortBy', ['products']);
+  }, /should map the labels to index names/);
+  t.end();
+});
+
+test('the derived helpers should follow the sort order of the main helper', function (t) {
+  var indices;
+  var client = makeClient(function (requests) {
+    indices = requests.map(function (request) {
+      return request.indexName;
+    });
+  });
+  var helper = algoliasearchHelper(client, 'products', {sortBy: sortBy});
+
+  helper.derive(function (state) {
+    return state.setQueryParameter('hitsPerPage', 3);
+  });
+  helper.derive(function (state) {
+    return state.setQueryParameters({
+      index: 'articles',
+      sortBy: {relevance: 'articles', price_asc: 'articles_price_asc'}
+    });
+  });
+  helper.derive(function (state) {
+    return state.setIndex('suggestions');
+  });
+  helper.derive(function (state) {
+    return state.setIndex('products_price_desc');
+  }, {followSortBy: false});
+
+  helper.setSortBy('price_asc').search();
+  t.deepEqual(indices, ['products_price_asc', 'products_price_asc', 'articles_price_asc', 'suggestions', 'products_price_desc']);
+
+  helper.setSortBy('price_desc').search();
+  t.deepEqual(indices, ['products_price_desc', 'products_price_desc', 'articles', 'suggestions', 'products_price_desc'], 'a derived helper without the label keeps its index');
+  t.end();
+});
+
+test('the sort label should be written in the url instead of the index', function (t) {
+  var helper = algoliasearchHelper(makeClient(), 'products', {sortBy: sortBy}).setQuery('tv').setSortBy('price_asc');
+  var queryString = helper.getStateAsQueryString({filters: ['index', 'query']});
+
+  t.equal(queryString, 'q=tv&sB=price_asc');
+
+  var otherHelper = algoliasearchHelper(makeClient(), 'products', {sortBy: sortBy});
+  otherHelper.setStateFromQueryString(queryString);
+  t.equal(otherHelper.getIndex(), 'products_price_asc');
+  t.deepEqual(otherHelper.state.sortBy, sortBy, 'the mapping is not read from the url');
+
+  t.deepEqual(algoliasearchHelper.url.getStateFromQueryString('sB=popularity', {sortBy: sortBy}), {}, 'an unknown label is ignored');
+  t.deepEqual(
+    algoliasearchHelper.url.getStateFromQueryString(helper.setIndex('other').getStateAsQueryString({filters: ['index']})),
+    {index: 'other'},
+    'the index without label is kept'
+  );
+  t.end();
+});
\ No newline at end of file
@@ -0,0 +1,94 @@
+'use strict';
+
+var test = require('tape');
+
+var filters = require('../../src/filterExpression');
+
+test('The filter builders should create plain objects', function (t) {
+  t.deepEqual(filters.eq('brand', 'Apple'), {type: 'facet', attribute: 'brand', value: 'Apple'}, 'eq with a string');
+  t.deepEqual(filters.eq('inStock', true), {type: 'facet', attribute: 'inStock', value: 'true'}, 'eq with a boolean');
+  t.deepEqual(filters.eq('price', 10), {type: 'numeric', attribute: 'price', operator: '=', value: 10}, 'eq with a number');
+  t.deepEqual(filters.neq('brand', 'Apple'), {type: 'not', filter: {type: 'facet', attribute: 'brand', value: 'Apple'}}, 'neq with a string');
+  t.deepEqual(filters.gte('price', 10), {type: 'numeric', attribute: 'price', operator: '>=', value: 10}, 'gte');
+  t.deepEqual(filters.and(filters.tag('sale')), {type: 'and', filters: [{type: 'tag', value: 'sale'}]}, 'and');
+
+  var expression = filters.or(filters.eq('brand', 'Apple'), filters.not(filters.lt('price', 5)));
+  t.deepEqual(JSON.parse(JSON.stringify(expression)), expression, 'the expressions should be serializable');
+  t.end();
+});
+
+test('toFilters should compile the expressions into conjunctions of disjunctions', function (t) {
+  t.equal(
+    filters.toFilters(filters.and(filters.eq('brand', 'Apple'), filters.gt('price', 100))),
+    'brand:"Apple" AND price > 100',
+    'and'
+  );
+  t.equal(
+    filters.toFilters(filters.or(filters.eq('brand', 'Samsung'), filters.and(filters.eq('brand', 'Apple'), filters.eq('color', 'red')))),
+    '(brand:"Samsung" OR brand:"Apple") AND (brand:"Samsung" OR color:"red")',
+    'or should be distributed over and'
+  );
+  t.equal(
+    filters.toFilters(filters.not(filters.or(filters.eq('brand', 'Apple'), filters.tag('sale')))),
+    'NOT brand:"Apple" AND NOT _tags:"sale"',
+    'a negated or should be a conjunction of negations'
+  );
+  t.equal(
+    filters.toFilters(filters.not(filters.and(filters.eq('my brand', 'A "B"'), filters.neq('price', 3)))),
+    '(NOT "my brand":"A \\"B\\"" OR NOT price != 3)',
+    'a negated and should be a disjunction of negations'
+  );
+  t.end();
+});
+
+test('validate should throw on invalid expressions', function (t) {
+  t.doesNotThrow(function () {
+    filters.validate(filters.and(filters.eq('brand', 'Apple'), filters.or(filters.gt('price', 100), filters.not(filters.lte('price', 5)))));
+  }, 'a valid expression');
+  t.throws(function () {
+    filters.validate(filters.or());
+  }, /`or` expects at least one filter/, 'an empty combination');
+  t.throws(function () {
+    filters.validate(filters.gt('price', '5'));
+  }, /should be a number/, 'a comparison with a string');
+  t.throws(function () {
+    filters.validate(filters.eq('', 'Apple'));
+  }, /non empty string/, 'an empty attribute');
+  t.throws(function () {
+    filters.validate({type: 'xor', filters: []});
+  }, /Unknown type/, 'an unknown type');
+  t.end();
+});
+
+test('toFilters should keep the nesting of the disjunctions of numeric and facet filters', function (t) {
+  t.equal(
+    filters.toFilters(filters.or(filters.eq('brand', 'Apple'), filters.and(filters.gte('price', 100), filters.eq('color', 'red')))),
+    '(brand:"Apple" OR (price >= 100 AND color:"red"))',
+    'a facet filter or a conjunction with a numeric filter'
+  );
+  t.equal(
+    filters.toFilters(filters.not(filters.and(filters.tag('sale'), filters.lt('price', 5)))),
+    '(NOT _tags:"sale" OR NOT price < 5)',
+    'a negated and of a tag and a numeric filter'
+  );
+  t.equal(
+    filters.toFilters(filters.and(filters.eq('brand', 'Apple'), filters.not(filters.or(filters.eq('color', 'red'), filters.gt('price', 5))))),
+    'brand:"Apple" AND NOT color:"red" AND NOT price > 5',
+    'a negated or is a conjunction'
+  );
+  t.end();
+});
+
+test('validate should throw on the expressions too complex to compile', function (t) {
+  t.doesNotThrow(function () {
+    filters.validate(filters.or(filters.eq('brand', 'Apple'), filters.and(filters.gte('price', 100), filters.eq('color', 'red'))));
+  }, 'a disjunction of numeric and facet filters');
+
+  var tooComplex = filters.and.apply(null, [1, 2, 3, 4, 5, 6, 7].map(function (i) {
+    return filters.or(filters.eq('a' + i, 'x'), filters.eq('b' + i, 'x'));
+  }));
+  t.throws(function () {
+    filters.validate(filters.not(tooComplex));
+  }, /too complex/, 'the distributed form is limited');
+  t.end();
+});
\ No newline at end of file
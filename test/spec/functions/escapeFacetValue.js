@@ -0,0 +1,21 @@
+'use strict';
+
+var test = require('tape');
+var escapeFacetValue = require('../../../src/functions/escapeFacetValue').escapeFacetValue;
+var unescapeFacetValue = require('../../../src/functions/escapeFacetValue').unescapeFacetValue;
+
+test('escapeFacetValue escapes the values that would be read as exclusions', function (t) {
+  t.equal(escapeFacetValue('-5%'), '\\-5%');
+  t.equal(escapeFacetValue('\\-5%'), '\\\\-5%');
+  t.equal(escapeFacetValue('C++: Guide'), 'C++: Guide');
+  t.equal(escapeFacetValue('a\\b'), 'a\\b');
+  t.equal(escapeFacetValue('5-6'), '5-6');
+  t.end();
+});
+
+test('unescapeFacetValue reverses escapeFacetValue', function (t) {
+  ['-5%', '\\-5%', '\\\\-', 'C++: Guide', 'a\\b', '\\'].forEach(function (value) {
+    t.equal(unescapeFacetValue(escapeFacetValue(value)), value, value);
+  });
+  t.end();
+});
\ No newline at end of file
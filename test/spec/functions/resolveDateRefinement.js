@@ -0,0 +1,48 @@
+'use strict';
+
+var test = require('tape');
+var resolveDateRefinement = require('../../../src/functions/resolveDateRefinement');
+
+// Sunday, March 29th 2020 at 12:00 UTC, the day of the daylight saving change in Europe
+var now = Date.UTC(2020, 2, 29, 12);
+
+function resolve(preset, timezone) {
+  var range = resolveDateRefinement({preset: preset, timezone: timezone}, now);
+  return [new Date(range.min).toISOString(), new Date(range.max).toISOString()];
+}
+
+test('resolveDateRefinement should resolve the presets in the timezone', function (t) {
+  t.deepEqual(resolve('today', 'UTC'), ['2020-03-29T00:00:00.000Z', '2020-03-30T00:00:00.000Z']);
+  t.deepEqual(resolve('yesterday', 'UTC'), ['2020-03-28T00:00:00.000Z', '2020-03-29T00:00:00.000Z']);
+  t.deepEqual(resolve('last7days', 'UTC'), ['2020-03-23T00:00:00.000Z', '2020-03-30T00:00:00.000Z']);
+  t.deepEqual(resolve('last30days', 'UTC'), ['2020-02-29T00:00:00.000Z', '2020-03-30T00:00:00.000Z']);
+  t.deepEqual(resolve('thisWeek', 'UTC'), ['2020-03-23T00:00:00.000Z', '2020-03-30T00:00:00.000Z'], 'the week starts on monday');
+  t.deepEqual(resolve('thisMonth', 'UTC'), ['2020-03-01T00:00:00.000Z', '2020-04-01T00:00:00.000Z']);
+  t.deepEqual(resolve('lastMonth', 'UTC'), ['2020-02-01T00:00:00.000Z', '2020-03-01T00:00:00.000Z']);
+  t.deepEqual(resolve('thisYear', 'UTC'), ['2020-01-01T00:00:00.000Z', '2021-01-01T00:00:00.000Z']);
+  t.end();
+});
+
+test('resolveDateRefinement should handle the offsets and the daylight saving changes', function (t) {
+  t.deepEqual(resolve('today', 'Europe/Paris'), ['2020-03-28T23:00:00.000Z', '2020-03-29T22:00:00.000Z'], 'the day is 23 hours long');
+  t.deepEqual(resolve('thisMonth', 'Europe/Paris'), ['2020-02-29T23:00:00.000Z', '2020-03-31T22:00:00.000Z']);
+  t.deepEqual(resolve('today', 'Asia/Tokyo'), ['2020-03-28T15:00:00.000Z', '2020-03-29T15:00:00.000Z']);
+  t.deepEqual(resolve('yesterday', 'America/Los_Angeles'), ['2020-03-28T07:00:00.000Z', '2020-03-29T07:00:00.000Z'], 'it is still the 29th in Los Angeles');
+  t.end();
+});
+
+test('resolveDateRefinement should keep the bounds of a range', function (t) {
+  t.deepEqual(resolveDateRefinement({from: 1000}, now), {min: 1000, max: undefined, maxInclusive: true});
+  t.deepEqual(resolveDateRefinement({from: 1000, to: 2000}, now), {min: 1000, max: 2000, maxInclusive: true});
+  t.end();
+});
+
+test('resolveDateRefinement should throw for an unknown preset or timezone', function (t) {
+  t.throws(function () {
+    resolveDateRefinement({preset: 'nextWeek'}, now);
+  }, /Unknown preset: nextWeek/);
+  t.throws(function () {
+    resolveDateRefinement({preset: 'today', timezone: 'Mars/Olympus_Mons'}, now);
+  }, /Unknown timezone: Mars\/Olympus_Mons/);
+  t.end();
+});
\ No newline at end of file
@@ -0,0 +1,146 @@
+'use strict';
+
+var test = require('tape');
+
+var algoliasearchHelper = require('../../../index');
+var createLocalClient = algoliasearchHelper.createLocalClient;
+
+var records = [
+  {objectID: '1', name: 'iPhone X', brand: 'Apple', price: 999, color: ['black', 'white'], _tags: ['phone'], category: {lvl0: 'Phones', lvl1: 'Phones > Smartphones'}},
+  {objectID: '2', name: 'Galaxy S9', brand: 'Samsung', price: 799, color: ['black'], _tags: ['phone'], category: {lvl0: 'Phones', lvl1: 'Phones > Smartphones'}},
+  {objectID: '3', name: 'MacBook Pro', brand: 'Apple', price: 2399, color: ['grey'], _tags: ['laptop'], category: {lvl0: 'Computers'}},
+  {objectID: '4', name: 'Galaxy Tab', brand: 'Samsung', price: 499, color: ['white'], _tags: ['tablet'], category: {lvl0: 'Tablets'}},
+  {objectID: '5', name: 'Pixel 3', brand: 'Google', price: 799, color: ['white', 'pink'], _tags: ['phone'], category: {lvl0: 'Phones', lvl1: 'Phones > Smartphones'}}
+];
+
+function objectIDs(hits) {
+  return hits.map(function (hit) {
+    return hit.objectID;
+  });
+}
+
+test('the local client should filter, count the facets and paginate', function (t) {
+  var client = createLocalClient(records);
+
+  client.search([
+    {indexName: 'products', params: {query: 'gal', facets: ['brand', 'price'], hitsPerPage: 1}},
+    {indexName: 'products', params: {facetFilters: [['brand:Apple', 'brand:Google'], 'color:-grey'], numericFilters: ['price>=500']}},
+    {indexName: 'products', params: {numericFilters: [['price=499', 'price:2000 TO 3000']], tagFilters: '-phone'}},
+    {indexName: 'products', params: {tagFilters: [['laptop', 'tablet']], attributesToRetrieve: ['name'], page: 1, hitsPerPage: 1}}
+  ], function (err, content) {
+    t.error(err, 'no error');
+
+    var textResult = content.results[0];
+    t.deepEqual(objectIDs(textResult.hits), ['2'], 'the text query with a prefix');
+    t.equal(textResult.nbHits, 2, 'nbHits');
+    t.equal(textResult.nbPages, 2, 'nbPages');
+    t.deepEqual(textResult.facets, {brand: {Samsung: 2}, price: {499: 1, 799: 1}}, 'the facet counts');
+    t.deepEqual(textResult.facets_stats, {price: {min: 499, max: 799, avg: 649, sum: 1298}}, 'the facets stats');
+
+    t.deepEqual(objectIDs(content.results[1].hits), ['1', '5'], 'facetFilters and numericFilters');
+    t.deepEqual(objectIDs(content.results[2].hits), ['3', '4'], 'numeric ranges and negative tags');
+    t.deepEqual(content.results[3].hits, [{objectID: '4', name: 'Galaxy Tab'}], 'pagination and attributesToRetrieve');
+    t.end();
+  });
+});
+
+test('the local client should search for facet values', function (t) {
+  var client = createLocalClient({products: records}, {attributesForFaceting: ['searchable(brand)']});
+  var index = client.initIndex('products');
+
+  index.searchForFacetValues({facetName: 'brand', facetQuery: 'a', numericFilters: ['price<1000']}).then(function (content) {
+    t.deepEqual(content.facetHits, [{value: 'Apple', highlighted: '<em>A</em>pple', count: 1}], 'the values matching the query and the filters');
+
+    return index.searchForFacetValues({facetName: 'color', facetQuery: ''});
+  }).then(function () {
+    t.fail('color is not a facet');
+  }, function (err) {
+    t.equal(err.statusCode, 400, 'searching an attribute which is not a facet fails');
+
+    client.search([{indexName: 'unknown', params: {}}], function (searchErr) {
+      t.equal(searchErr.statusCode, 404, 'searching an unknown index fails');
+      t.end();
+    });
+  });
+});
+
+test('the helper should work end-to-end with the local client', function (t) {
+  var client = createLocalClient(records);
+  var helper = algoliasearchHelper(client, 'products', {
+    disjunctiveFacets: ['brand'],
+    facets: ['color'],
+    hierarchicalFacets: [{name: 'category', attributes: ['category.lvl0', 'category.lvl1']}]
+  });
+
+  helper
+    .addDisjunctiveFacetRefinement('brand', 'Samsung')
+    .addDisjunctiveFacetRefinement('brand', 'Google')
+    .addFacetRefinement('color', 'white')
+    .toggleRefinement('category', 'Phones')
+    .setQuery('pix')
+    .searchAsync()
+    .then(function (res) {
+      var results = res.content;
+      t.deepEqual(objectIDs(results.hits), ['5'], 'the hits');
+
+      var brands = results.getFacetValues('brand', {sortBy: ['name:asc']}).map(function (facetValue) {
+        return [facetValue.name, facetValue.count, facetValue.isRefined];
+      });
+      t.deepEqual(brands, [['Google', 1, true], ['Samsung', 0, true]], 'the disjunctive facet values, computed without the brand refinements');
+      t.equal(results.getFacetValues('category').data[0].name, 'Phones', 'the hierarchical facet');
+
+      return helper.searchForFacetValues('brand', 'g');
+    })
+    .then(function (content) {
+      t.deepEqual(content.facetHits, [
+        {value: 'Google', highlighted: '<em>G</em>oogle', count: 1, isRefined: true}
+      ], 'searchForFacetValues');
+      t.end();
+    });
+});
+
+test('the local client should apply the filters built by the helper', function (t) {
+  var filters = algoliasearchHelper.filters;
+  var client = createLocalClient(records);
+  var helper = algoliasearchHelper(client, 'products', {
+    filtersFormat: 'filters',
+    filters: 'NOT _tags:laptop',
+    disjunctiveFacets: ['brand'],
+    facets: ['color']
+  });
+
+  helper
+    .addDisjunctiveFacetRefinement('brand', 'Apple')
+    .addDisjunctiveFacetRefinement('brand', 'Google')
+    .addFacetExclusion('color', 'pink')
+    .addNumericRefinement('price', '>=', 500)
+    .addFilterExpression(filters.or(filters.eq('color', 'black'), filters.eq('color', 'grey')));
+
+  t.equal(
+    helper.getQuery().filters,
+    '(NOT _tags:laptop) AND NOT color:"pink" AND (brand:"Apple" OR brand:"Google") AND price >= 500 AND (color:"black" OR color:"grey")',
+    'the helper sends a filters expression'
+  );
+
+  helper.searchAsync().then(function (res) {
+    t.deepEqual(objectIDs(res.content.hits), ['1'], 'the hits match the filters');
+    t.deepEqual(res.content.getFacetValues('brand', {sortBy: ['name:asc']}).map(function (facetValue) {
+      return [facetValue.name, facetValue.count];
+    }), [['Apple', 1], ['Google', 0], ['Samsung', 1]], 'the disjunctive facet is counted without its refinements');
+
+    return client.search([
+      {indexName: 'products', params: {filters: 'price:700 TO 1000 AND NOT (brand:Samsung OR "color":"pink")'}},
+      {indexName: 'products', params: {filters: 'price < 500 OR _tags:laptop', facetFilters: ['brand:Apple']}}
+    ]);
+  }).then(function (content) {
+    t.deepEqual(objectIDs(content.results[0].hits), ['1'], 'the ranges, the negations and the quoted attributes');
+    t.deepEqual(objectIDs(content.results[1].hits), ['3'], 'the filters are combined with the other parameters');
+
+    return client.search([{indexName: 'products', params: {filters: 'brand:Apple AND (price > 500'}}]);
+  }).then(function () {
+    t.fail('the filters are invalid');
+  }, function (err) {
+    t.equal(err.statusCode, 400, 'invalid filters are rejected');
+    t.end();
+  });
+});
@@ -0,0 +1,111 @@
+'use strict';
+
+var test = require('tape');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+var algoliasearchHelper = require('../../index');
+var recording = require('../../recording');
+
+var records = [
+  {objectID: '1', name: 'iPhone', brand: 'Apple', price: 999},
+  {objectID: '2', name: 'Galaxy', brand: 'Samsung', price: 899},
+  {objectID: '3', name: 'iPad', brand: 'Apple', price: 499}
+];
+
+function makeFolder() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'helper-recording-'));
+}
+
+function removeFolder(dir) {
+  fs.readdirSync(dir).forEach(function (file) {
+    fs.unlinkSync(path.join(dir, file));
+  });
+  fs.rmdirSync(dir);
+}
+
+test('replayClient should answer with the responses saved by recordingClient', function (t) {
+  var dir = makeFolder();
+  var client = recording.recordingClient(algoliasearchHelper.createLocalClient(records), dir);
+  var helper = algoliasearchHelper(client, 'products', {disjunctiveFacets: ['brand']});
+
+  var recorded;
+
+  helper.addDisjunctiveFacetRefinement('brand', 'Apple').searchAsync().then(function (res) {
+    recorded = res.content;
+    return helper.searchForFacetValues('brand', 'a');
+  }).then(function (recordedFacetValues) {
+    t.equal(fs.readdirSync(dir).length, 2, 'a file should be saved for each request');
+
+    var replayHelper = algoliasearchHelper(recording.replayClient(dir), 'products', {
+      disjunctiveFacets: ['brand']
+    });
+
+    return replayHelper.addDisjunctiveFacetRefinement('brand', 'Apple').searchAsync().then(function (res) {
+      t.deepEqual(res.content.hits, recorded.hits, 'the hits should be replayed');
+      t.deepEqual(res.content.getFacetValues('brand'), recorded.getFacetValues('brand'), 'the facets should be replayed');
+      return replayHelper.searchForFacetValues('brand', 'a');
+    }).then(function (facetValues) {
+      t.deepEqual(facetValues, recordedFacetValues, 'the facet values should be replayed');
+    });
+  }).then(function () {
+    removeFolder(dir);
+    t.end();
+  }, function (err) {
+    removeFolder(dir);
+    t.end(err);
+  });
+});
+
+test('replayClient should not depend on the order of the keys of the queries', function (t) {
+  var dir = makeFolder();
+  var client = recording.recordingClient(algoliasearchHelper.createLocalClient(records), dir);
+
+  client.search([{indexName: 'products', params: {query: 'i', hitsPerPage: 1}}]).then(function () {
+    return recording.replayClient(dir).search([{params: {hitsPerPage: 1, query: 'i'}, indexName: 'products'}]);
+  }).then(function (content) {
+    t.equal(content.results[0].nbHits, 2, 'the recorded response should be found');
+    removeFolder(dir);
+    t.end();
+  }, function (err) {
+    removeFolder(dir);
+    t.end(err);
+  });
+});
+
+test('replayClient should fail when a request has not been recorded', function (t) {
+  var dir = makeFolder();
+  var helper = algoliasearchHelper(recording.replayClient(dir), 'products');
+
+  helper.on('error', function () {});
+
+  helper.setQuery('unknown').searchAsync().then(function () {
+    t.fail('the search should fail');
+  }, function (err) {
+    t.equal(err.name, 'MissingRecordingError', 'the error should be specific');
+    t.ok(err.message.indexOf('"query":"unknown"') !== -1, 'the error should contain the request');
+  }).then(function () {
+    removeFolder(dir);
+    t.end();
+  });
+});
+
+test('recordingClient should create the missing parent folders', function (t) {
+  var root = makeFolder();
+  var dir = path.join(root, 'recordings', 'search');
+
+  recording.recordingClient(algoliasearchHelper.createLocalClient(records), dir);
+
+  t.ok(fs.statSync(dir).isDirectory(), 'the folder should be created');
+  fs.rmdirSync(dir);
+  fs.rmdirSync(path.dirname(dir));
+  fs.rmdirSync(root);
+  t.end();
+});
+
+test('the recording clients should not be in the main module built for the browsers', function (t) {
+  t.equal(algoliasearchHelper.recordingClient, undefined);
+  t.equal(algoliasearchHelper.replayClient, undefined);
+  t.end();
+});
@@ -55,4 +55,82 @@ test('The request builder should should force clickAnalytics to false on subsequ
   t.equal(queries[1].params.clickAnalytics, false, 'the parameter clickAnalytics should be set to false on the second query');
 
   t.end();
-});
\ No newline at end of file
+});
+
+test('With the filters format, the request builder should compile the refinements into a filters expression', function (t) {
+  var SearchParameters = require('../../src/SearchParameters');
+  var state = new SearchParameters({
+    index: 'products',
+    filtersFormat: 'filters',
+    facets: ['type', 'my color'],
+    disjunctiveFacets: ['brand'],
+    hierarchicalFacets: [{name: 'categories', attributes: ['categories.lvl0', 'categories.lvl1']}]
+  })
+    .addFacetRefinement('type', 'phone "pro"')
+    .addExcludeRefinement('my color', 'red')
+    .addDisjunctiveFacetRefinement('brand', 'Apple')
+    .addDisjunctiveFacetRefinement('brand', 'Samsung')
+    .toggleHierarchicalFacetRefinement('categories', 'Phones > Smartphones')
+    .addNumericRefinement('price', '>=', 100)
+    .addNumericRefinement('rating', '=', [4, 5])
+    .addTagRefinement('sale');
+
+  var queries = getQueries(state.index, state);
+
+  t.equal(queries.length, 4, 'the disjunctive and hierarchical facets should have their own queries');
+  t.equal(
+    queries[0].params.filters,
+    'type:"phone \\"pro\\"" AND NOT "my color":"red" AND (brand:"Apple" OR brand:"Samsung") AND ' +
+    'categories.lvl1:"Phones > Smartphones" AND price >= 100 AND (rating = 4 OR rating = 5) AND _tags:"sale"',
+    'the hits query should contain all the refinements'
+  );
+  t.equal(queries[0].params.facetFilters, undefined, 'the facetFilters should not be used');
+  t.equal(queries[0].params.numericFilters, undefined, 'the numericFilters should not be used');
+  t.equal(queries[0].params.tagFilters, undefined, 'the tagFilters should not be used');
+  t.equal(queries[0].params.filtersFormat, undefined, 'the format should not be sent');
+  t.equal(
+    queries[1].params.filters,
+    'type:"phone \\"pro\\"" AND NOT "my color":"red" AND categories.lvl1:"Phones > Smartphones" AND ' +
+    'price >= 100 AND (rating = 4 OR rating = 5) AND _tags:"sale"',
+    'the disjunctive facet query should not contain the refinements of the facet'
+  );
+  t.equal(
+    queries[2].params.filters,
+    'type:"phone \\"pro\\"" AND NOT "my color":"red" AND (brand:"Apple" OR brand:"Samsung") AND ' +
+    'categories.lvl0:"Phones" AND price >= 100 AND (rating = 4 OR rating = 5) AND _tags:"sale"',
+    'the hierarchical facet query should filter on the parent level'
+  );
+  t.equal(
+    queries[3].params.filters,
+    'type:"phone \\"pro\\"" AND NOT "my color":"red" AND (brand:"Apple" OR brand:"Samsung") AND ' +
+    'price >= 100 AND (rating = 4 OR rating = 5) AND _tags:"sale"',
+    'the hierarchical root level query should not filter on the facet'
+  );
+
+  t.end();
+});
+
+test('With the filters format, the request builder should combine the refinements with the filters parameter', function (t) {
+  var SearchParameters = require('../../src/SearchParameters');
+  var state = new SearchParameters({
+    index: 'products',
+    filtersFormat: 'filters',
+    filters: 'available:true OR preorder:true',
+    facets: ['brand']
+  });
+
+  t.equal(getQueries(state.index, state)[0].params.filters, 'available:true OR preorder:true', 'the filters should be sent as is without refinements');
+
+  state = state.addFacetRefinement('brand', 'a\\b');
+  t.equal(
+    getQueries(state.index, state)[0].params.filters,
+    '(available:true OR preorder:true) AND brand:"a\\\\b"',
+    'the filters should be combined with the refinements'
+  );
+
+  state = state.setQueryParameters({filtersFormat: undefined});
+  t.deepEqual(getQueries(state.index, state)[0].params.facetFilters, ['brand:a\\b'], 'the default format should use facetFilters');
+  t.equal(getQueries(state.index, state)[0].params.filters, 'available:true OR preorder:true', 'the filters should be sent as is with the default format');
+
+  t.end();
+});
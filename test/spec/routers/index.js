@@ -0,0 +1,85 @@
+'use strict';
+
+var test = require('tape');
+
+var routers = require('../../../src/routers');
+
+function makeWindow(search, hash) {
+  var listeners = {};
+  var win = {
+    location: {pathname: '/search', search: search, hash: hash},
+    history: {
+      entries: [],
+      pushState: function (state, title, href) {
+        win.history.entries.push(href);
+      }
+    },
+    addEventListener: function (name, listener) {
+      listeners[name] = (listeners[name] || []).concat(listener);
+    },
+    removeEventListener: function (name, listener) {
+      listeners[name] = (listeners[name] || []).filter(function (l) {
+        return l !== listener;
+      });
+    },
+    dispatch: function (name) {
+      (listeners[name] || []).forEach(function (listener) {
+        listener();
+      });
+    }
+  };
+  return win;
+}
+
+test('the history router should use the query string of the URL', function (t) {
+  var win = makeWindow('?q=tv', '#top');
+  var router = routers.history({window: win});
+  var updates = [];
+
+  t.equal(router.read(), 'q=tv');
+
+  router.write('q=phone');
+  router.write('');
+  t.deepEqual(win.history.entries, ['/search?q=phone#top', '/search#top'], 'the hash is kept');
+
+  router.onUpdate(function (queryString) {
+    updates.push(queryString);
+  });
+  win.location.search = '?q=back';
+  win.dispatch('popstate');
+  win.dispatch('hashchange');
+  t.deepEqual(updates, ['q=back']);
+
+  router.dispose();
+  win.dispatch('popstate');
+  t.deepEqual(updates, ['q=back'], 'the listeners are removed');
+  t.end();
+});
+
+test('the hash router should use the hash of the URL', function (t) {
+  var win = makeWindow('?lang=en', '#q=tv');
+  var router = routers.hash({window: win});
+  var updates = [];
+
+  t.equal(router.read(), 'q=tv');
+
+  router.write('q=phone');
+  t.deepEqual(win.history.entries, ['/search?lang=en#q=phone'], 'the query string is kept');
+
+  router.onUpdate(function (queryString) {
+    updates.push(queryString);
+  });
+  win.location.hash = '';
+  win.dispatch('hashchange');
+  t.deepEqual(updates, ['']);
+
+  router.dispose();
+  t.end();
+});
+
+test('the routers should need a window', function (t) {
+  t.throws(function () {
+    routers.history();
+  }, /There is no window/);
+  t.end();
+});
\ No newline at end of file